@@ -1,8 +1,12 @@
 // /api/cron/smart-report.js - Cron unico che gestisce tutto
+import { fetchShopSettings } from '../../lib/shop-settings.js';
+import { getTransports } from '../../lib/mailer.js';
+import { listRecipients, getRecipientsForPeriod } from '../../lib/recipient-registry.js';
+import { isCronAuthorized } from '../../lib/cron-auth.js';
+
 export default async function handler(req, res) {
   // Verifica autorizzazione cron
-  const authHeader = req.headers.authorization;
-  if (authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+  if (!isCronAuthorized(req)) {
     console.error('❌ Unauthorized cron call');
     return res.status(401).json({ error: 'Unauthorized' });
   }
@@ -10,19 +14,23 @@ export default async function handler(req, res) {
   try {
     const now = new Date();
 
-    // CALCOLO TIMEZONE ESPLICITO
-    const monterreyTime = new Date(now.toLocaleString('en-US', { timeZone: 'America/Monterrey' }));
-    const dayOfWeek = monterreyTime.getDay();
-    const dayOfMonth = monterreyTime.getDate();
+    // CALCOLO TIMEZONE DEL NEGOZIO (letto da Shopify)
+    const { timezone } = await fetchShopSettings();
+    const shopTime = new Date(now.toLocaleString('en-US', { timeZone: timezone }));
+    const dayOfWeek = shopTime.getDay();
+    const dayOfMonth = shopTime.getDate();
+    const month = shopTime.getMonth() + 1;
+    const isFirstDayOfQuarter = dayOfMonth === 1 && [1, 4, 7, 10].includes(month);
+    const isFirstDayOfYear = dayOfMonth === 1 && month === 1;
     
-    console.log(`🤖 Smart cron started - Day: ${dayOfWeek}, Date: ${dayOfMonth} (Monterrey time)`);
-    console.log(`DEBUG - UTC date: ${now.getDate()}, Monterrey date: ${monterreyTime.getDate()}`);
+    console.log(`🤖 Smart cron started - Day: ${dayOfWeek}, Date: ${dayOfMonth}, Month: ${month} (${timezone})`);
+    console.log(`DEBUG - UTC date: ${now.getDate()}, Shop date: ${shopTime.getDate()}`);
 
-    // Verifica configurazione
-    const recipients = process.env.SALES_REPORT_RECIPIENTS?.split(',')?.map(email => email.trim()) || [];
+    // Verifica configurazione: registro destinatari (o SALES_REPORT_RECIPIENTS se il registro è vuoto)
+    const recipients = (await listRecipients()).filter(r => r.active);
     
     if (!recipients.length) {
-      console.log('⚠️  Nessun destinatario configurato in SALES_REPORT_RECIPIENTS');
+      console.log('⚠️  Nessun destinatario attivo nel registro né in SALES_REPORT_RECIPIENTS');
       return res.status(200).json({ 
         success: true, 
         message: 'No recipients configured',
@@ -31,9 +39,8 @@ export default async function handler(req, res) {
       });
     }
 
-    if (!process.env.MAILGUN_API_KEY) {
-      throw new Error('MAILGUN_API_KEY non configurata');
-    }
+    // Lancia se il provider email (MAIL_PROVIDER) non è configurato
+    getTransports();
 
     const results = [];
    // FIX URL CONSTRUCTION - Same logic as send-sales-email.js
@@ -56,55 +63,28 @@ export default async function handler(req, res) {
     console.log('DEBUG - VERCEL_URL env:', process.env.VERCEL_URL);
     console.log('DEBUG - req.headers.host:', req.headers.host);*/
     
-    // 1) SEMPRE: Report giornaliero (ieri)
-    console.log('📧 Inviando report giornaliero...');
-    try {
-      const dailyResult = await sendReport({
-        period: 'daily',
-        recipients,
-        today: false,
-        customMessage: 'Report automatico giornaliero - Performance di ieri',
-        baseUrl
-      });
-      results.push({ type: 'daily', ...dailyResult });
-    } catch (err) {
-      console.error('❌ Daily report failed:', err.message);
-      results.push({ type: 'daily', success: false, error: err.message });
-    }
-
-    // 2) LUNEDÌ: Report settimanale  
-    if (dayOfWeek === 1) {
-      console.log('📧 Inviando report settimanale (lunedì)...');
-      try {
-        const weeklyResult = await sendReport({
-          period: 'weekly',
-          recipients,
-          customMessage: 'Report automatico settimanale - Riepilogo settimana scorsa',
-          baseUrl
-        });
-        results.push({ type: 'weekly', ...weeklyResult });
-      } catch (err) {
-        console.error('❌ Weekly report failed:', err.message);
-        results.push({ type: 'weekly', success: false, error: err.message });
-      }
-    }
-
-    // 3) REPORT MENSILE - SOLUZIONE PRINCIPALE (PRIMO DEL MESE)
-    if (dayOfMonth === 1) {
-      console.log('📧 Inviando report mensile (1 del mese)...');
-      try {
-        const monthlyResult = await sendReport({
-          period: 'monthly',
-          recipients,
-          customMessage: 'Report automatico mensile - Analisi completa mese precedente',
-          baseUrl
-        });
-        results.push({ type: 'monthly', ...monthlyResult });
-      } catch (err) {
-        console.error('❌ Monthly report failed:', err.message);
-        results.push({ type: 'monthly', success: false, error: err.message });
-      }
-    }
+    // Report dovuti oggi: ogni invio è una chiamata a send-sales-email (funzione e maxDuration propri),
+    // lanciati in parallelo così il 1 gennaio l'annuale non aspetta giornaliero, mensile e trimestrale
+    const due = [
+      // 1) SEMPRE: Report giornaliero (ieri)
+      { period: 'daily', today: false, customMessage: 'Report automatico giornaliero - Performance di ieri' },
+      // 2) LUNEDÌ: Report settimanale
+      dayOfWeek === 1 && { period: 'weekly', customMessage: 'Report automatico settimanale - Riepilogo settimana scorsa' },
+      // 3) PRIMO DEL MESE: Report mensile
+      dayOfMonth === 1 && { period: 'monthly', customMessage: 'Report automatico mensile - Analisi completa mese precedente' },
+      // 4) PRIMO GIORNO DEL TRIMESTRE: Report trimestrale
+      isFirstDayOfQuarter && { period: 'quarterly', customMessage: 'Report automatico trimestrale - Chiusura trimestre precedente' },
+      // 5) PRIMO GENNAIO: Report annuale
+      isFirstDayOfYear && { period: 'yearly', customMessage: 'Report automatico annuale - Chiusura anno precedente' }
+    ].filter(Boolean);
+
+    console.log(`📧 Inviando report: ${due.map(d => d.period).join(', ')}`);
+    // sendReport non lancia mai: un periodo che fallisce non blocca gli altri
+    const sends = await Promise.all(due.map(({ period, ...options }) => sendReport({ period, ...options, baseUrl })));
+    due.forEach(({ period }, i) => {
+      if (!sends[i].success) console.error(`❌ ${period} report failed:`, sends[i].error);
+      results.push({ type: period, ...sends[i] });
+    });
 
     // FALLBACK COMMENTATO - Attiva solo se la soluzione principale non funziona
     /*
@@ -117,7 +97,6 @@ export default async function handler(req, res) {
       try {
         const monthlyResult = await sendReport({
           period: 'monthly',
-          recipients,
           customMessage: 'Report automatico mensile (recupero) - Analisi completa mese precedente',
           baseUrl
         });
@@ -140,6 +119,8 @@ export default async function handler(req, res) {
       timestamp: now.toISOString(),
       day: dayOfWeek,
       date: dayOfMonth,
+      month,
+      timezone,
       results,
       summary: { successful, failed, total: results.length },
       recipients: recipients.length
@@ -157,22 +138,31 @@ export default async function handler(req, res) {
 }
 
 // Helper per inviare singolo report
-// Helper per inviare singolo report
-async function sendReport({ period, recipients, today = false, customMessage, baseUrl }) {
+// Ogni destinatario riceve il report con le sue preferenze: send-sales-email legge il registro
+async function sendReport({ period, today = false, customMessage, baseUrl }) {
   const startTime = Date.now();
   
   try {
+    const subscribers = await getRecipientsForPeriod(period);
+    if (!subscribers.length) {
+      console.log(`⏭️ Report ${period}: nessun destinatario iscritto`);
+      return { success: true, skipped: true, reason: 'no subscribers' };
+    }
+
     const response = await fetch(`${baseUrl}/api/send-sales-email`, {
       method: 'POST',
       headers: { 
         'Content-Type': 'application/json',
+        // Invio al registro: send-sales-email lo accetta solo con il CRON_SECRET
+        'Authorization': `Bearer ${process.env.CRON_SECRET}`,
         'User-Agent': 'Smart-Cron/1.0'
       },
       body: JSON.stringify({
         period,
-        recipients,
         today,
-        customMessage
+        customMessage,
+        // Es. "pdf" (solo PDF) o "html,pdf"; senza valore vale REPORT_EMAIL_ATTACHMENTS
+        ...(process.env.SMART_REPORT_ATTACHMENTS && { attachments: process.env.SMART_REPORT_ATTACHMENTS })
       })
     });
 
@@ -194,7 +184,7 @@ async function sendReport({ period, recipients, today = false, customMessage, ba
     const duration = Date.now() - startTime;
     
     if (result.success) {
-      console.log(`Report ${period} sent successfully in ${duration}ms - Resend ID: ${result.messageId}`);
+      console.log(`Report ${period} sent successfully in ${duration}ms - ${result.deliveries?.length || 1} email, ${result.provider} ID: ${result.messageId}${result.failover ? ' (failover)' : ''}`);
       return { 
         ...result, 
         duration,
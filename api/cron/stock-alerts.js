@@ -0,0 +1,19 @@
+// /api/cron/stock-alerts.js - Scansione periodica dello stock basso
+import { runStockAlertScan } from '../../lib/stock-alerts.js';
+import { isCronAuthorized } from '../../lib/cron-auth.js';
+
+export default async function handler(req, res) {
+  // Verifica autorizzazione cron
+  if (!isCronAuthorized(req)) {
+    console.error('❌ Unauthorized cron call');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const result = await runStockAlertScan();
+    res.status(200).json({ success: true, ...result, timestamp: new Date().toISOString() });
+  } catch (err) {
+    console.error('❌ Stock alert scan error:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
@@ -1,15 +1,14 @@
 // /api/debug-inventory.js - Debug inventario separato
 import { DateTime } from "luxon";
+import { shopifyRest } from "../lib/shopify-rest.js";
+import { loadLocations, getLocation, isLocationActive } from "../lib/location-registry.js";
 
 const SHOP = process.env.SHOPIFY_SHOP;
-const TOKEN = process.env.SHOPIFY_ADMIN_TOKEN;
 const REST = (p, ver = "2024-07") => `https://${SHOP}/admin/api/${ver}${p}`;
 
 async function fetchWithHeaders(url) {
-  const r = await fetch(url, { headers: { "X-Shopify-Access-Token": TOKEN } });
-  const text = await r.text();
-  if (!r.ok) throw new Error(`${url} -> ${r.status} ${text}`.slice(0, 500));
-  return { json: text ? JSON.parse(text) : {}, link: r.headers.get("link") || "" };
+  const { json, link } = await shopifyRest(url);
+  return { json, link };
 }
 
 async function shopFetchJson(url) { 
@@ -67,9 +66,7 @@ async function debugVariantInventory(variantId) {
       const locationDetails = [];
       
       for (const level of levelsData.inventory_levels || []) {
-        // Fetch location details
-        const locationData = await shopFetchJson(REST(`/locations/${level.location_id}.json`));
-        const location = locationData.location;
+        const location = await getLocation(level.location_id) || { id: level.location_id, name: `Location ${level.location_id}`, active: false };
         
         const available = Number(level.available || 0);
         totalAllLocations += available;
@@ -187,9 +184,8 @@ async function compareInventoryMethods(sampleSize = 10) {
             const available = Number(level.available || 0);
             newMethodAll += available;
             
-            // Check se location è attiva
-            const locationData = await shopFetchJson(REST(`/locations/${level.location_id}.json`));
-            if (locationData.location.active) {
+            // Check se location è attiva (registro caricato una volta sola)
+            if (await isLocationActive(level.location_id)) {
               newMethodActive += available;
             }
           }
@@ -223,13 +219,14 @@ async function compareInventoryMethods(sampleSize = 10) {
 // Ottieni info su tutte le location del negozio
 async function getShopLocations() {
   try {
-    const { locations } = await shopFetchJson(REST('/locations.json'));
+    // Debug: sempre la lista attuale di Shopify (aggiorna anche il registro)
+    const locations = await loadLocations({ refresh: true });
     return locations.map(loc => ({
       id: loc.id,
       name: loc.name,
       active: loc.active,
-      address1: loc.address1 || '',
-      city: loc.city || '',
+      address1: loc.address1,
+      city: loc.city,
       created_at: loc.created_at,
       updated_at: loc.updated_at
     }));
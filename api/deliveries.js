@@ -0,0 +1,53 @@
+// /api/deliveries.js - Storico consegne dei report e stato per destinatario
+import {
+  listSends,
+  getSendHistory,
+  getMessage,
+  getRecipientStatus,
+  DELIVERY_STATUSES
+} from '../lib/delivery-log.js';
+import { getSuppression } from '../lib/suppression-list.js';
+import { isCronAuthorized } from '../lib/cron-auth.js';
+
+export default async function handler(req, res) {
+  if (!isCronAuthorized(req)) {
+    console.error('❌ Unauthorized deliveries call');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Solo GET method' });
+  }
+
+  try {
+    const { send, message, email } = req.query;
+
+    if (send) {
+      const history = await getSendHistory(send);
+      if (!history) return res.status(404).json({ success: false, error: `Invio non trovato: ${send}` });
+      return res.status(200).json({ success: true, ...history });
+    }
+
+    if (message) {
+      const record = await getMessage(message);
+      if (!record) return res.status(404).json({ success: false, error: `Messaggio non trovato: ${message}` });
+      return res.status(200).json({ success: true, ...record });
+    }
+
+    if (email) {
+      const status = await getRecipientStatus(email);
+      const suppression = await getSuppression(email);
+      if (!status && !suppression) {
+        return res.status(404).json({ success: false, error: `Nessuna consegna registrata per ${email}` });
+      }
+      return res.status(200).json({ success: true, email, ...status, suppression });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit || '20', 10) || 20, 200);
+    const sends = await listSends(limit);
+    return res.status(200).json({ success: true, statuses: DELIVERY_STATUSES, sends });
+  } catch (err) {
+    console.error('Deliveries error:', err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+}
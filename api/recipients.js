@@ -0,0 +1,64 @@
+// /api/recipients.js - Gestione del registro destinatari (periodi, sezioni, formato, lingua, location)
+import {
+  loadRegistry,
+  saveRecipients,
+  removeRecipient,
+  REPORT_PERIODS,
+  DELIVERY_FORMATS,
+  EMAIL_SECTIONS,
+  EMAIL_SECTION_GROUPS
+} from '../lib/recipient-registry.js';
+import { REPORT_LANGUAGES } from '../lib/report-i18n.js';
+import { loadLocations } from '../lib/location-registry.js';
+import { isCronAuthorized } from '../lib/cron-auth.js';
+
+export default async function handler(req, res) {
+  // Il registro contiene indirizzi email: tutto richiede il CRON_SECRET
+  if (!isCronAuthorized(req)) {
+    console.error('❌ Unauthorized recipients call');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const registry = await loadRegistry();
+      const locations = await loadLocations();
+      return res.status(200).json({
+        success: true,
+        ...registry,
+        options: {
+          periods: REPORT_PERIODS,
+          sections: EMAIL_SECTIONS,
+          sectionGroups: EMAIL_SECTION_GROUPS,
+          formats: DELIVERY_FORMATS,
+          languages: REPORT_LANGUAGES,
+          locations: locations.map(l => ({ id: String(l.id), name: l.name, active: l.active }))
+        }
+      });
+    }
+
+    if (req.method === 'POST') {
+      // Un destinatario o { recipients: [...] }; i campi omessi restano invariati
+      const body = req.body || {};
+      const inputs = Array.isArray(body.recipients) ? body.recipients : [body];
+      const saved = await saveRecipients(inputs);
+      console.log(`👥 Registro destinatari aggiornato: ${saved.map(r => r.email).join(', ')}`);
+      return res.status(200).json({ success: true, saved });
+    }
+
+    if (req.method === 'DELETE') {
+      const email = req.query.email || req.body?.email;
+      if (!email) return res.status(400).json({ error: 'Parametro email richiesto' });
+
+      const removed = await removeRecipient(email);
+      if (!removed) return res.status(404).json({ success: false, error: `Destinatario non trovato: ${email}` });
+      console.log(`👥 Destinatario rimosso: ${email}`);
+      return res.status(200).json({ success: true, removed: email });
+    }
+
+    return res.status(405).json({ error: 'Metodo non supportato (GET, POST, DELETE)' });
+  } catch (err) {
+    console.error('Recipients error:', err);
+    return res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+}
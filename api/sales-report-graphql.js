@@ -4,26 +4,32 @@
 import { DateTime } from "luxon";
 import { 
   fetchVariantsInventoryGraphQL,
+  getGraphQLCostStats,
+  resetGraphQLCostStats,
   testConnection 
-} from './shopify-graphql.js';
+} from '../lib/shopify-graphql.js';
+import { fetchShopSettings, formatMoney } from '../lib/shop-settings.js';
+import { shopifyRest } from '../lib/shopify-rest.js';
+import { loadLocations } from '../lib/location-registry.js';
 
 // ========================================
 // IMPORTA LE FUNZIONI COMUNI DA REST
 // ========================================
 
 const SHOP = process.env.SHOPIFY_SHOP;
-const TOKEN = process.env.SHOPIFY_ADMIN_TOKEN;
 const REST = (p, ver = "2024-07") => `https://${SHOP}/admin/api/${ver}${p}`;
 
 const esc = (s) => String(s ?? "").replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m]));
-const money = (n) => new Intl.NumberFormat("es-MX",{style:"currency",currency:"MXN"}).format(Number(n||0));
+let shopSettings = null;
+const money = (n) => formatMoney(n, shopSettings?.currency);
 
 function getOrderRevenue(order) {
   return Number(order.total_price || 0);
 }
 
 async function getShopTZ() {
-  return "America/Monterrey";
+  if (!shopSettings) shopSettings = await fetchShopSettings();
+  return shopSettings.timezone;
 }
 
 async function computeRange(period, todayFlag) {
@@ -64,24 +70,8 @@ async function computeRange(period, todayFlag) {
 }
 
 async function fetchWithTimeout(url, timeoutMs = 15000) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-  
-  try {
-    const response = await fetch(url, {
-      headers: { "X-Shopify-Access-Token": TOKEN },
-      signal: controller.signal
-    });
-    
-    const text = await response.text();
-    if (!response.ok) {
-      throw new Error(`${url} -> ${response.status} ${text}`.slice(0, 500));
-    }
-    
-    return { json: text ? JSON.parse(text) : {}, link: response.headers.get("link") || "" };
-  } finally {
-    clearTimeout(timeoutId);
-  }
+  const { json, link } = await shopifyRest(url, { timeoutMs });
+  return { json, link };
 }
 
 async function fetchOrdersPaidInRange(start, end) {
@@ -191,6 +181,8 @@ export default async function handler(req, res) {
   const timing = {};
   
   try {
+    resetGraphQLCostStats();
+    
     // Test connessione GraphQL
     const connectionOk = await testConnection();
     if (!connectionOk) {
@@ -214,6 +206,10 @@ export default async function handler(req, res) {
     const { rows, variantIds } = await processProductsCompleteGraphQL(orders, includeAllLocations);
     timing.processing = Date.now() - t2;
     
+    // Stesso registro location del report REST: per confrontare quali location sono state sommate
+    const locations = await loadLocations();
+    const countedLocations = locations.filter(l => includeAllLocations || l.active);
+    
     timing.total = Date.now() - startTime;
 
     const label = period==="daily" ? `${today ? "Hoy" : "Ayer"} ${start.toFormat("dd LLL yyyy")}` :
@@ -236,13 +232,15 @@ export default async function handler(req, res) {
         totalRevenue: totRev,
         totalOrders: orders.length,
         graphqlUsage: `${graphqlUsage}/${rows.length} products`,
-        includeAllLocations
+        includeAllLocations,
+        locations: countedLocations.map(l => l.name)
       },
       comparison: {
         expectedRESTTime: `~${(variantIds.length * 0.2).toFixed(0)}s`,
         actualGraphQLTime: `${(timing.processing / 1000).toFixed(1)}s`,
         speedup: `~${(variantIds.length * 0.2 / (timing.processing / 1000)).toFixed(1)}x faster`
       },
+      graphqlCost: getGraphQLCostStats(),
       // Top 10 prodotti per verifica
       topProducts: rows.slice(0, 10).map(r => ({
         title: r.productTitle,
@@ -1,21 +1,39 @@
 // /api/sales-report.js - FILE 1/6: CONFIGURAZIONE E CACHE
 import { DateTime } from "luxon";
-import { fetchVariantsInventoryGraphQL } from './shopify-graphql.js';
+import { shopifyRest, getRestLimiterStats, resetRestLimiterStats } from '../lib/shopify-rest.js';
+import { fetchVariantsInventoryGraphQL, fetchOrdersGraphQL, getGraphQLCostStats, resetGraphQLCostStats, setBulkDeadline } from '../lib/shopify-graphql.js';
+import { fetchShopSettings, formatMoney, REPORT_LOCALE } from '../lib/shop-settings.js';
+import { reportStore } from '../lib/report-store.js';
+import { ensureWarehouseFresh, queryOrders, queryRefundActivity } from '../lib/order-warehouse.js';
+import { getLocationLevels, saveLocationLevels } from '../lib/inventory-store.js';
+import { loadLocations, getLocationName, findLocation, locationSlug, isLocationActive, getRegistryInfo } from '../lib/location-registry.js';
+import { REPORT_SCHEMA_VERSION, REPORT_SCHEMA_ID, getReportSchema, validateReportJson } from '../lib/report-schema.js';
+import { CSV_CONTENT_TYPE, XLSX_CONTENT_TYPE, tableToCSV, tablesToXLSX } from '../lib/report-export.js';
+import { renderPdf } from '../lib/pdf-renderer.js';
+import { buildReportPdf, PDF_DONUT_SIZE } from '../lib/report-pdf.js';
+import { getTranslator, REPORT_LANGUAGES, DEFAULT_LANGUAGE } from '../lib/report-i18n.js';
+import { EMAIL_SECTIONS, DEFAULT_EMAIL_SECTIONS, expandEmailSections } from '../lib/recipient-registry.js';
+import { UNSUBSCRIBE_PLACEHOLDER } from '../lib/suppression-list.js';
 
 // ========================================
-// SISTEMA DI CACHE IN-MEMORY
+// SISTEMA DI CACHE: IN-MEMORY (L1) + STORE PERSISTENTE
 // ========================================
+// reportCache evita round-trip sull'istanza calda, reportStore sopravvive ai cold start
 const reportCache = new Map();
 
 function getCacheTTL(period, today) {
   if (today) return 3 * 60 * 1000; // 3 minuti per dati tempo reale
   if (period === "daily") return 10 * 60 * 1000; // 10 minuti per daily
   if (period === "weekly") return 2 * 60 * 60 * 1000; // 2 ore per weekly
-  return 4 * 60 * 60 * 1000; // 4 ore per monthly
+  if (period === "quarterly") return 12 * 60 * 60 * 1000; // 12 ore per quarterly
+  if (period === "yearly") return 24 * 60 * 60 * 1000; // 24 ore per yearly
+  return 4 * 60 * 60 * 1000; // 4 ore per monthly, ytd e custom
 }
 
 function getCacheKey(period, today, start, end) {
   const timeKey = today ? start.toFormat('yyyy-MM-dd-HH') : start.toFormat('yyyy-MM-dd');
+  // Range custom e YTD condividono lo start, quindi serve anche la fine nella chiave
+  if (period === "custom" || period === "ytd") return `${period}-${today}-${timeKey}-${end.toFormat('yyyy-MM-dd')}`;
   return `${period}-${today}-${timeKey}`;
 }
 
@@ -30,20 +48,75 @@ function getFromCache(key, ttl) {
   return { ...cached.data, cached: true, cacheAge: Math.floor(age/1000) };
 }
 
-function setCache(key, data, ttl) {
+function setCache(key, data, ttl, timestamp = Date.now()) {
   if (reportCache.size >= 15) {
     const oldest = reportCache.keys().next().value;
     reportCache.delete(oldest);
   }
-  reportCache.set(key, { data, timestamp: Date.now() });
+  reportCache.set(key, { data, timestamp });
+}
+
+// Solo i campi degli ordini usati dal rendering: lo snapshot resta piccolo anche per yearly
+function slimOrder(o) {
+  return {
+    id: o.id,
+    name: o.name,
+    created_at: o.created_at,
+    total_price: o.total_price,
+    subtotal_price: o.subtotal_price,
+    total_discounts: o.total_discounts,
+    discount_applications: (o.discount_applications || []).map(d => ({ value: d.value, amount: d.amount })),
+    payment_gateway_names: o.payment_gateway_names,
+    source_name: o.source_name,
+    location_id: o.location_id,
+    line_items: (o.line_items || []).map(li => ({
+      quantity: li.quantity, price: li.price, variant_id: li.variant_id, sku: li.sku, title: li.title
+    }))
+  };
+}
+
+function serializeReport(data) {
+  return { ...data, orders: data.orders.map(slimOrder) };
+}
+
+// Gli snapshot salvati contengono ISO string al posto dei DateTime di luxon
+function hydrateReport(stored) {
+  const toDateTime = (v) => DateTime.isDateTime(v) ? v : DateTime.fromISO(v, { zone: stored.tz });
+  return {
+    ...stored,
+    now: toDateTime(stored.now),
+    comparison: stored.comparison && {
+      ...stored.comparison,
+      baselines: stored.comparison.baselines.map(b => ({ ...b, start: toDateTime(b.start), end: toDateTime(b.end) }))
+    }
+  };
+}
+
+async function getStoredReport(key, ttl) {
+  const stored = await reportStore.getReport(key);
+  if (!stored) return null;
+  
+  const age = Date.now() - stored.storedAt;
+  if (age > ttl) return null;
+  
+  const { storedAt, ...payload } = stored;
+  const data = hydrateReport(payload);
+  setCache(key, data, ttl, storedAt);
+  console.log(`📦 Report ${key} loaded from ${reportStore.backend} store`);
+  return { ...data, cached: true, cacheAge: Math.floor(age/1000) };
+}
+
+async function persistReport(key, data, ttl) {
+  setCache(key, data, ttl);
+  await reportStore.saveReport(key, serializeReport(data), ttl);
 }
 
 // ========================================
 // CACHE GLOBALE OTTIMIZZATA
 // ========================================
 const globalCache = {
-  locations: null,
-  locationFetched: false,
+  shop: null,
+  deadStock: new Map(),
   products: new Map(),
   productsFetched: new Set(),
   lastCacheReset: Date.now()
@@ -53,144 +126,95 @@ function resetCacheIfNeeded() {
   const oneHour = 60 * 60 * 1000;
   if (Date.now() - globalCache.lastCacheReset > oneHour) {
     console.log('⏰ Resetting global cache (1 hour expired)');
-    globalCache.locations = null;
-    globalCache.locationFetched = false;
+    globalCache.shop = null;
+    globalCache.deadStock.clear();
     globalCache.products.clear();
     globalCache.productsFetched.clear();
     globalCache.lastCacheReset = Date.now();
   }
 }
 
-function shouldSkipDeadStock(days, productsCount) {
-  if (days > 7 && productsCount > 500) {
-    console.log(`⚡ Skipping dead stock analysis for ${days}-day report with ${productsCount} products`);
-    return true;
-  }
-  return false;
-}
-
-async function getCachedLocations(rateLimiter) {
-  if (globalCache.locationFetched && globalCache.locations) {
-    console.log('📍 Using cached locations');
-    return globalCache.locations;
-  }
-  
-  try {
-    await rateLimiter.waitForSlot();
-    const response = await fetchWithTimeout('/admin/api/2024-01/locations.json', 10000);
-    
-    if (response.json) {
-      const data = response.json;
-      globalCache.locations = data.locations || [];
-      globalCache.locationFetched = true;
-      console.log(`📍 Cached ${globalCache.locations.length} locations`);
-      return globalCache.locations;
-    }
-  } catch (error) {
-    console.warn('⚠️ Failed to fetch locations:', error.message);
-    return [];
-  }
-  
-  return [];
-}
-
-// ========================================
-// RATE LIMITING OTTIMIZZATO
-// ========================================
-class OptimizedRateLimiter {
-  constructor(callsPerSecond = 5) {
-    this.callsPerSecond = callsPerSecond;
-    this.interval = 1000 / callsPerSecond; // 200ms per 5 calls/sec
-    this.lastCall = 0;
-    this.callCount = 0;
-    this.rateLimitHits = 0;
-    this.startTime = Date.now();
-  }
-  
-  async waitForSlot() {
-    const now = Date.now();
-    const timeSinceLastCall = now - this.lastCall;
-    
-    if (timeSinceLastCall < this.interval) {
-      const waitTime = this.interval - timeSinceLastCall;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-    
-    this.lastCall = Date.now();
-    this.callCount++;
-  }
-  
-  recordRateLimit() {
-    this.rateLimitHits++;
-    console.warn(`⚠️ Rate limit hit #${this.rateLimitHits}`);
-  }
-  
-  getStats() {
-    const elapsed = Date.now() - this.startTime;
-    const avgCallsPerSec = (this.callCount / (elapsed / 1000)).toFixed(1);
-    
-    return {
-      totalCalls: this.callCount,
-      rateLimitHits: this.rateLimitHits,
-      avgCallsPerSec,
-      elapsed: Math.round(elapsed / 1000)
-    };
-  }
-}
-
-// Legacy rate limiter per compatibilità
-class ShopifyRateLimiter {
-  constructor() {
-    this.lastCall = 0;
-    this.minInterval = 200; // 5 calls/sec
-    this.callCount = 0;
-  }
-  
-  async waitIfNeeded() {
-    const elapsed = Date.now() - this.lastCall;
-    if (elapsed < this.minInterval) {
-      await new Promise(resolve => setTimeout(resolve, this.minInterval - elapsed));
-    }
-    this.lastCall = Date.now();
-    this.callCount++;
-  }
-  
-  getStats() {
-    return { totalCalls: this.callCount };
-  }
-}
-
-const rateLimiter = new ShopifyRateLimiter();
-
 // ========================================
 // CONFIGURAZIONE SHOPIFY API
 // ========================================
 const SHOP = process.env.SHOPIFY_SHOP;
-const TOKEN = process.env.SHOPIFY_ADMIN_TOKEN;
 const REST = (p, ver = "2024-07") => `https://${SHOP}/admin/api/${ver}${p}`;
 
 // Helper per escape HTML e formattazione
 const esc = (s) => String(s ?? "").replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m]));
-const money = (n) => new Intl.NumberFormat("es-MX",{style:"currency",currency:"MXN"}).format(Number(n||0));
+// Valuta del negozio letta da getShopSettings() (caricata all'inizio di ogni report)
+const money = (n) => formatMoney(n, globalCache.shop?.currency);
 
 // Helper per calcolare revenue reale (post-descuentos)
 function getOrderRevenue(order) {
   return Number(order.total_price || 0);
 }
 
+// Quota del revenue ordine attribuita alla riga (proporzionale al subtotale)
+function getLineItemRevenue(order, lineItem) {
+  const orderSubtotal = Number(order.subtotal_price || 0);
+  const lineItemSubtotal = Number(lineItem.price || 0) * Number(lineItem.quantity || 0);
+  return orderSubtotal > 0 ? (lineItemSubtotal / orderSubtotal) * getOrderRevenue(order) : 0;
+}
+
 // ========================================
 // GESTIONE TIMEZONE E DATE
 // ========================================
+async function getShopSettings() {
+  if (globalCache.shop) return globalCache.shop;
+  globalCache.shop = await fetchShopSettings();
+  return globalCache.shop;
+}
+
 async function getShopTZ() {
-  return "America/Monterrey";
+  const { timezone } = await getShopSettings();
+  return timezone;
+}
+
+// Limite massimo per range custom (from/to), evita timeout su range enormi
+const MAX_CUSTOM_RANGE_DAYS = parseInt(process.env.MAX_CUSTOM_RANGE_DAYS) || 366;
+
+// html (default), json (schema versionato), schema (il JSON Schema stesso), csv e xlsx (tabelle), pdf
+const REPORT_FORMATS = ["html", "json", "schema", "csv", "xlsx", "pdf"];
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseCustomRange(from, to, tz) {
+  if (!from) throw badRequest("Parametro 'from' richiesto quando si usa 'to'");
+
+  const fromDate = DateTime.fromISO(String(from), { zone: tz });
+  const toDate = DateTime.fromISO(String(to || from), { zone: tz });
+
+  if (!fromDate.isValid) throw badRequest(`Data 'from' non valida: ${from} (formato atteso yyyy-MM-dd)`);
+  if (!toDate.isValid) throw badRequest(`Data 'to' non valida: ${to} (formato atteso yyyy-MM-dd)`);
+
+  const start = fromDate.startOf("day");
+  const end = toDate.endOf("day");
+
+  if (end < start) {
+    throw badRequest(`Range invertito: 'from' (${start.toISODate()}) è successivo a 'to' (${end.toISODate()})`);
+  }
+
+  const days = Math.round(end.diff(start, "days").days);
+  if (days > MAX_CUSTOM_RANGE_DAYS) {
+    throw badRequest(`Range troppo ampio: ${days} giorni (massimo ${MAX_CUSTOM_RANGE_DAYS})`);
+  }
+
+  return { start, end };
 }
 
-async function computeRange(period, todayFlag) {
+async function computeRange(period, todayFlag, customRange = null) {
   const tz = await getShopTZ();
   const now = DateTime.now().setZone(tz);
   let start, end;
   
-  if (period === "daily") {
+  if (period === "custom") {
+    ({ start, end } = parseCustomRange(customRange?.from, customRange?.to, tz));
+  } else if (period === "daily") {
     if (todayFlag) { 
       start = now.startOf("day"); 
       end = now.endOf("day"); 
@@ -219,36 +243,88 @@ async function computeRange(period, todayFlag) {
       start = lastMonth.startOf("month"); 
       end = lastMonth.endOf("month");
     }
-}
+  } else if (period === "quarterly") {
+    const quarter = todayFlag ? now : now.minus({quarters: 1});
+    start = quarter.startOf("quarter");
+    end = quarter.endOf("quarter");
+  } else if (period === "yearly") {
+    const year = todayFlag ? now : now.minus({years: 1});
+    start = year.startOf("year");
+    end = year.endOf("year");
+  } else if (period === "ytd") {
+    // Senza today=1 si ferma a ieri (giorni completi); il 1 gennaio resta sull'anno precedente
+    const lastDay = todayFlag ? now : now.minus({days: 1});
+    start = lastDay.startOf("year");
+    end = lastDay.endOf("day");
+  } else {
+    throw badRequest(`Periodo non supportato: ${period}`);
+  }
   
   return { tz, now, start, end };
 }
 
+// Le stringhe dell'email passano da t(): lo spagnolo è la lingua sorgente (vedi lib/report-i18n.js)
+const T_ES = getTranslator(DEFAULT_LANGUAGE);
+
+const PERIOD_NAMES = {
+  daily: "diario",
+  weekly: "semanal",
+  monthly: "mensual",
+  quarterly: "trimestral",
+  yearly: "anual",
+  ytd: "año a la fecha",
+  custom: "personalizado"
+};
+
+function buildPeriodLabel(period, todayFlag, start, end, t = T_ES) {
+  if (period === "daily") return `${t(todayFlag ? "Hoy" : "Ayer")} ${start.toFormat("dd LLL yyyy")}`;
+  if (period === "weekly") return `${t("Semana")} ${start.toFormat("dd LLL")} - ${end.toFormat("dd LLL yyyy")}`;
+  if (period === "quarterly") return `${t("Trimestre")} Q${start.quarter} ${start.toFormat("yyyy")}`;
+  if (period === "yearly") return `${t("Año")} ${start.toFormat("yyyy")}`;
+  if (period === "ytd") return `${t("Año a la fecha")} ${start.toFormat("yyyy")} (${start.toFormat("dd LLL")} - ${end.toFormat("dd LLL")})`;
+  if (period === "custom") {
+    return start.hasSame(end, "day")
+      ? start.toFormat("dd LLL yyyy")
+      : t("Del {from} al {to}", { from: start.toFormat("dd LLL yyyy"), to: end.toFormat("dd LLL yyyy") });
+  }
+  return `${start.toFormat("LLLL yyyy")}`;
+}
+
+// Periodo precedente per il confronto: stesso numero di giorni subito prima del range
+function getPreviousRange(period, start, end) {
+  if (period === "daily") return { prevStart: start.minus({days: 1}), prevEnd: end.minus({days: 1}) };
+  if (period === "weekly") return { prevStart: start.minus({weeks: 1}), prevEnd: end.minus({weeks: 1}) };
+  if (period === "monthly") {
+    const prev = start.minus({months: 1});
+    return { prevStart: prev.startOf("month"), prevEnd: prev.endOf("month") };
+  }
+  if (period === "quarterly") {
+    const prev = start.minus({quarters: 1});
+    return { prevStart: prev.startOf("quarter"), prevEnd: prev.endOf("quarter") };
+  }
+  if (period === "yearly") {
+    const prev = start.minus({years: 1});
+    return { prevStart: prev.startOf("year"), prevEnd: prev.endOf("year") };
+  }
+  // YTD si confronta con lo stesso tratto dell'anno precedente
+  if (period === "ytd") return { prevStart: start.minus({years: 1}), prevEnd: end.minus({years: 1}) };
+  
+  const days = Math.round(end.diff(start, "days").days);
+  return { prevStart: start.minus({days}), prevEnd: end.minus({days}) };
+}
+
 // /api/sales-report.js - FILE 2/6: FETCH E VALIDAZIONE
 
 // ========================================
 // GESTIONE ERRORI E VALIDAZIONE
 // ========================================
-async function safeShopifyCall(fn, context, retries = 2) {
-  for (let i = 0; i <= retries; i++) {
-    try {
-      await rateLimiter.waitIfNeeded();
-      return await fn();
-    } catch (err) {
-      const isRateLimit = err.message.includes('429');
-      const isTimeout = err.message.includes('timeout') || err.message.includes('TIMEOUT');
-      const isAbort = err.name === 'AbortError';
-      
-      if ((isRateLimit || isTimeout || isAbort) && i < retries) {
-        const waitTime = isRateLimit ? 2000 * (i + 1) : 1000 * (i + 1);
-        console.warn(`${context} error (${err.message.slice(0,50)}), retry ${i + 1}/${retries} in ${waitTime}ms`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-        continue;
-      }
-      
-      console.error(`${context} failed after ${i + 1} attempts:`, err.message.slice(0,100));
-      if (i === retries) return null;
-    }
+// Retry, 429 e pacing sono gestiti da shopifyRest: qui un errore definitivo diventa null
+async function safeShopifyCall(fn, context) {
+  try {
+    return await fn();
+  } catch (err) {
+    console.error(`${context} failed:`, err.message.slice(0,100));
+    return null;
   }
 }
 
@@ -289,24 +365,8 @@ function validateLineItem(lineItem, orderId) {
 // FETCH CON TIMEOUT OTTIMIZZATO
 // ========================================
 async function fetchWithTimeout(url, timeoutMs = 15000) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-  
-  try {
-    const response = await fetch(url, {
-      headers: { "X-Shopify-Access-Token": TOKEN },
-      signal: controller.signal
-    });
-    
-    const text = await response.text();
-    if (!response.ok) {
-      throw new Error(`${url} -> ${response.status} ${text}`.slice(0, 500));
-    }
-    
-    return { json: text ? JSON.parse(text) : {}, link: response.headers.get("link") || "" };
-  } finally {
-    clearTimeout(timeoutId);
-  }
+  const { json, link } = await shopifyRest(url, { timeoutMs });
+  return { json, link };
 }
 
 async function shopFetchJson(url) { 
@@ -317,17 +377,69 @@ async function shopFetchJson(url) {
 // ========================================
 // RECUPERO ORDINI DA SHOPIFY
 // ========================================
-async function fetchOrdersPaidInRange(start, end) {
-  const base = `/orders.json?status=any&financial_status=paid&limit=250` +
-    `&created_at_min=${encodeURIComponent(start.toUTC().toISO())}` +
-    `&created_at_max=${encodeURIComponent(end.toUTC().toISO())}`;
+// Con USE_GRAPHQL i range grandi usano bulk operation (fino a tre per report: periodo, ROP, dead stock):
+// dopo questo tempo dall'inizio della richiesta non se ne avviano altre e quelle in corso vengono annullate
+const BULK_BUDGET_MS = 80 * 1000;
+
+// Ordini "venduti" nel periodo: pagati e parzialmente rimborsati (altrimenti spariscono dal report)
+// Se il warehouse copre il range si legge da lì, altrimenti da Shopify
+// complete = false se la paginazione REST si è fermata prima della fine (pagina fallita o limite pagine)
+async function fetchOrdersPaidInRange(start, end, options = {}) {
+  const stored = await queryOrders({
+    from: start.toJSDate(),
+    to: end.toJSDate(),
+    financialStatuses: ["paid", "partially_refunded"]
+  });
+  if (stored) {
+    console.log(`🏬 ${stored.length} paid orders from warehouse`);
+    return { orders: stored.filter(validateOrder), complete: true };
+  }
+  
+  // GraphQL: una sola query per entrambi gli stati, bulk operation per i range grandi
+  if (process.env.USE_GRAPHQL === 'true') {
+    try {
+      const orders = await fetchOrdersGraphQL(start.toUTC().toISO(), end.toUTC().toISO(), {
+        financialStatuses: ["paid", "partially_refunded"]
+      });
+      console.log(`⚡ ${orders.length} paid orders from GraphQL`);
+      return { orders: orders.filter(validateOrder), complete: true };
+    } catch (err) {
+      console.warn(`⚠️ GraphQL orders failed, fallback REST: ${err.message}`);
+    }
+  }
+  
+  const out = new Map();
+  let complete = true;
+  
+  for (const financialStatus of ["paid", "partially_refunded"]) {
+    const result = await fetchOrdersInRange(start, end, { ...options, financialStatus });
+    for (const o of result.orders) out.set(o.id, o);
+    complete = complete && result.complete;
+  }
+  
+  return { orders: [...out.values()], complete };
+}
+
+// Oltre ~25k ordini per stato la paginazione REST si ferma: per range così grandi warehouse o GraphQL
+const MAX_ORDER_PAGES = 100;
+
+async function fetchOrdersInRange(start, end, { financialStatus = "paid", dateField = "created_at", fields = null } = {}) {
+  const base = `/orders.json?status=any&financial_status=${financialStatus}&limit=250` +
+    `&${dateField}_min=${encodeURIComponent(start.toUTC().toISO())}` +
+    (end ? `&${dateField}_max=${encodeURIComponent(end.toUTC().toISO())}` : "") +
+    (fields ? `&fields=${fields}` : "");
 
   let url = REST(base);
   const out = [];
   let pageCount = 0;
+  let complete = true;
   
   for (;;) {
-    if (pageCount++ > 100) break;
+    if (pageCount++ >= MAX_ORDER_PAGES) {
+      console.warn(`⚠️ ${financialStatus} orders truncated at ${MAX_ORDER_PAGES} pages`);
+      complete = false;
+      break;
+    }
     
     const result = await safeShopifyCall(
       () => fetchWithTimeout(url),
@@ -336,6 +448,7 @@ async function fetchOrdersPaidInRange(start, end) {
     
     if (!result) {
       console.warn(`Failed to fetch orders page ${pageCount}, stopping pagination`);
+      complete = false;
       break;
     }
     
@@ -353,16 +466,45 @@ async function fetchOrdersPaidInRange(start, end) {
     url = REST(`/orders.json?${next}`);
   }
   
-  console.log(`Fetched ${out.length} valid orders from ${pageCount} pages`);
-  return out;
+  console.log(`Fetched ${out.length} valid ${financialStatus} orders from ${pageCount} pages${complete ? "" : " (incomplete)"}`);
+  return { orders: out, complete };
+}
 
-  function parseNext(linkHeader) {
-    if (!linkHeader) return null;
-    const m = linkHeader.split(",").find(s=>/rel="next"/.test(s?.trim()));
-    if (!m) return null;
-    const u = m.match(/<([^>]+)>/);
-    return u ? new URL(u[1]).search.replace(/^\?/, "") : null;
+function parseNext(linkHeader) {
+  if (!linkHeader) return null;
+  const m = linkHeader.split(",").find(s=>/rel="next"/.test(s?.trim()));
+  if (!m) return null;
+  const u = m.match(/<([^>]+)>/);
+  return u ? new URL(u[1]).search.replace(/^\?/, "") : null;
+}
+
+// Paginazione generica via Link header (prodotti, inventory levels, ...)
+async function fetchAllPages(path, key, context, maxPages = 100) {
+  const [resource] = path.split("?");
+  let url = REST(path);
+  const out = [];
+  let pageCount = 0;
+  
+  for (;;) {
+    if (pageCount++ >= maxPages) break;
+    
+    const result = await safeShopifyCall(
+      () => fetchWithTimeout(url),
+      `${context} page ${pageCount}`
+    );
+    
+    if (!result) {
+      console.warn(`Failed to fetch ${context} page ${pageCount}, stopping pagination`);
+      break;
+    }
+    
+    out.push(...(result.json[key] || []));
+    const next = parseNext(result.link);
+    if (!next) break;
+    url = REST(`${resource}?${next}`);
   }
+  
+  return out;
 }
 
 // ========================================
@@ -370,42 +512,88 @@ async function fetchOrdersPaidInRange(start, end) {
 // ========================================
 const chunk = (arr, n) => Array.from({length: Math.ceil(arr.length/n)}, (_,i)=>arr.slice(i*n,(i+1)*n));
 
-async function fetchVariantsByIds(variantIds) {
-  const ids = [...new Set(variantIds.filter(Boolean))];
-  const out = new Map();
-  let successCount = 0;
-  let failCount = 0;
+// Richieste in parallelo: il ritmo reale lo decide il limiter condiviso di shopifyRest
+const VARIANT_FETCH_CONCURRENCY = 4;
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
   
-  console.log(`Fetching ${ids.length} variant details with optimized rate limiting...`);
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  });
   
-  for (const variantId of ids) {
-    const result = await safeShopifyCall(
-      () => shopFetchJson(REST(`/variants/${variantId}.json`)),
-      `fetchVariant ${variantId}`
-    );
-    
-    if (result?.variant) {
-      const variant = result.variant;
+  await Promise.all(workers);
+  return results;
+}
+
+function toVariantInfo(variant) {
+  return {
+    inventory_item_id: variant.inventory_item_id,
+    inventory_quantity: variant.inventory_quantity,
+    inventory_management: variant.inventory_management || "",
+    sku: variant.sku || "",
+    price: variant.price || "0",
+    compare_at_price: variant.compare_at_price
+  };
+}
 
-      out.set(String(variant.id), {
-        inventory_item_id: variant.inventory_item_id,
-        inventory_quantity: variant.inventory_quantity,
-        inventory_management: variant.inventory_management || "",
-        sku: variant.sku || "",
-        price: variant.price || "0",
-        compare_at_price: variant.compare_at_price
+/**
+ * Dettagli dei variant: prima per prodotto (una chiamata ogni 100 prodotti),
+ * poi /variants/{id}.json solo per quelli rimasti fuori
+ * @param {Array} variantIds
+ * @param {Map<string, number>} productIdsByVariant - product_id noto dalle line item
+ * @returns {Promise<{variants: Map, failures: Array<{variantId: string, status: number|null, reason: string}>}>}
+ */
+async function fetchVariantsByIds(variantIds, productIdsByVariant = new Map()) {
+  const ids = [...new Set(variantIds.filter(Boolean).map(String))];
+  const wanted = new Set(ids);
+  const out = new Map();
+  const failures = [];
+  
+  const productIds = [...new Set(ids.map(id => productIdsByVariant.get(id)).filter(Boolean).map(String))];
+  console.log(`Fetching ${ids.length} variant details (${productIds.length} products known)...`);
+  
+  await mapWithConcurrency(chunk(productIds, 100), VARIANT_FETCH_CONCURRENCY, async (c) => {
+    try {
+      const { products = [] } = await shopFetchJson(REST(`/products.json?ids=${c.join(",")}&fields=id,variants&limit=250`));
+      for (const product of products) {
+        for (const variant of product.variants || []) {
+          if (wanted.has(String(variant.id))) out.set(String(variant.id), toVariantInfo(variant));
+        }
+      }
+    } catch (err) {
+      console.warn(`⚠️ Products batch (${c.length}) failed, fetching its variants one by one: ${err.message.slice(0,100)}`);
+    }
+  });
+  
+  // Variant senza product_id, di prodotti non restituiti o di batch falliti
+  const missing = ids.filter(id => !out.has(id));
+  await mapWithConcurrency(missing, VARIANT_FETCH_CONCURRENCY, async (variantId) => {
+    try {
+      const { variant } = await shopFetchJson(REST(`/variants/${variantId}.json`));
+      out.set(String(variant.id), toVariantInfo(variant));
+    } catch (err) {
+      failures.push({
+        variantId,
+        status: err.status || null,
+        reason: err.status === 404 ? "not_found" : err.message.slice(0,120)
       });
-      successCount++;
-    } else {
-      failCount++;
     }
-  }
+  });
   
-  console.log(`Variants fetch complete: ${successCount} success, ${failCount} failed`);
-  return out;
+  console.log(`Variants fetch complete: ${out.size} success (${missing.length} individually), ${failures.length} failed`);
+  if (failures.length) {
+    console.warn(`⚠️ Variants without data: ${failures.slice(0, 10).map(f => `${f.variantId} (${f.reason})`).join(", ")}${failures.length > 10 ? "..." : ""}`);
+  }
+  return { variants: out, failures };
 }
 
-async function fetchInventoryLevelsForItems(itemIds, includeInactive = false) {
+// Con locationId solo i livelli di quella location (report per location)
+async function fetchInventoryLevelsForItems(itemIds, includeInactive = false, locationId = null) {
   const ids = [...new Set(itemIds.filter(Boolean).map(String))];
   const res = Object.create(null);
   let successCount = 0;
@@ -414,18 +602,23 @@ async function fetchInventoryLevelsForItems(itemIds, includeInactive = false) {
   console.log(`Fetching inventory for ${ids.length} items...`);
   
   for (const c of chunk(ids, 50)) {
-    // ✅ AGGIUNGI RETRY CON safeShopifyCall invece di chiamata diretta
+    // I retry li fa shopifyRest: qui un chunk fallito diventa null
     const result = await safeShopifyCall(
-      () => shopFetchJson(REST(`/inventory_levels.json?inventory_item_ids=${encodeURIComponent(c.join(","))}`)),
-      `fetchInventory chunk ${c.length} items`,
-      3  // ✅ 3 retry invece di 2
+      () => shopFetchJson(REST(`/inventory_levels.json?inventory_item_ids=${encodeURIComponent(c.join(","))}${locationId != null ? `&location_ids=${locationId}` : ""}`)),
+      `fetchInventory chunk ${c.length} items`
     );
     
     if (!result?.inventory_levels) {
       console.error(`❌ CRITICAL: Failed to fetch inventory for chunk after retries. Items affected: ${c.length}`);
       
+      // inventory_quantity è il totale del negozio: per una sola location non vale come fallback
+      if (locationId != null) {
+        failCount++;
+        continue;
+      }
+      
       // ✅ FALLBACK: Se fallisce dopo i retry, usa fetchVariantsByIds per recuperare i dati
-      const fallbackVariants = await fetchVariantsByIds(c);
+      const { variants: fallbackVariants } = await fetchVariantsByIds(c);
       for (const [variantId, variantData] of fallbackVariants.entries()) {
         const itemId = String(variantData.inventory_item_id);
         if (itemId && variantData.inventory_quantity != null) {
@@ -442,26 +635,7 @@ async function fetchInventoryLevelsForItems(itemIds, includeInactive = false) {
       const key = String(lvl.inventory_item_id);
       const available = Number(lvl.available || 0);
       
-      if (!includeInactive) {
-        let location = globalCache.locations?.find(l => l.id === lvl.location_id);
-        if (!location) {
-          const locationResult = await safeShopifyCall(
-            () => shopFetchJson(REST(`/locations/${lvl.location_id}.json`)),
-            `fetchLocation ${lvl.location_id}`,
-            2
-          );
-          
-          if (locationResult?.location) {
-            location = locationResult.location;
-            if (!globalCache.locations) globalCache.locations = [];
-            globalCache.locations.push(location);
-          } else {
-            continue;
-          }
-        }
-        
-        if (!location.active) continue;
-      }
+      if (locationId == null && !includeInactive && !(await isLocationActive(lvl.location_id))) continue;
       
       res[key] = (res[key] || 0) + available;
       successCount++;
@@ -472,12 +646,31 @@ async function fetchInventoryLevelsForItems(itemIds, includeInactive = false) {
   return res;
 }
 
+async function fetchInventoryItemCosts(itemIds) {
+  const ids = [...new Set(itemIds.filter(Boolean).map(String))];
+  const out = new Map();
+  
+  for (const c of chunk(ids, 100)) {
+    const result = await safeShopifyCall(
+      () => shopFetchJson(REST(`/inventory_items.json?ids=${encodeURIComponent(c.join(","))}&limit=100`)),
+      `fetchInventoryItemCosts chunk ${c.length} items`
+    );
+    
+    for (const item of result?.inventory_items || []) {
+      if (item.cost != null && item.cost !== "") out.set(String(item.id), Number(item.cost));
+    }
+  }
+  
+  console.log(`Unit costs fetched: ${out.size}/${ids.length} items with cost`);
+  return out;
+}
+
 // /api/sales-report.js - FILE 3/6: ELABORAZIONE E ANALISI
 
 // ========================================
 // ELABORAZIONE DATI PRODOTTI
 // ========================================
-async function processProductsComplete(orders, includeAllLocations) {
+async function processProductsComplete(orders, includeAllLocations, locationId = null) {
   const byVariant = new Map();
   const variantIds = new Set();
   let processedItems = 0;
@@ -501,17 +694,14 @@ async function processProductsComplete(orders, includeAllLocations) {
         soldQty: 0, 
         revenue: 0,
         variantId: li.variant_id || null,
+        productId: li.product_id || null,
         inventory_item_id: li.inventory_item_id || null,
-        inventoryAvailable: null
+        inventoryAvailable: null,
+        unitCost: null
       };
       
       prev.soldQty += Number(li.quantity || 0);
-      
-      const orderSubtotal = Number(o.subtotal_price || 0);
-      const lineItemSubtotal = Number(li.price || 0) * Number(li.quantity || 0);
-      const orderRevenue = getOrderRevenue(o);
-      const lineItemRevenue = orderSubtotal > 0 ? (lineItemSubtotal / orderSubtotal) * orderRevenue : 0;
-      prev.revenue += lineItemRevenue;
+      prev.revenue += getLineItemRevenue(o, li);
       
       byVariant.set(key, prev);
       
@@ -528,6 +718,7 @@ async function processProductsComplete(orders, includeAllLocations) {
   // 🆕 FEATURE FLAG: GraphQL vs REST
   // ========================================
   const USE_GRAPHQL = process.env.USE_GRAPHQL === 'true';
+  let variantFailures = [];
 
   if (USE_GRAPHQL && variantIds.size > 0) {
     // ========================================
@@ -537,7 +728,7 @@ async function processProductsComplete(orders, includeAllLocations) {
     const graphqlStart = Date.now();
     
     try {
-      const variantInfo = await fetchVariantsInventoryGraphQL([...variantIds], includeAllLocations);
+      const variantInfo = await fetchVariantsInventoryGraphQL([...variantIds], includeAllLocations, locationId);
       
       for (const r of rows) {
         const info = r.variantId ? variantInfo.get(String(r.variantId)) : null;
@@ -547,6 +738,7 @@ async function processProductsComplete(orders, includeAllLocations) {
           r._variantFallbackQty = info._variantFallbackQty;
           r._variantMgmt = info._variantMgmt;
           r.compare_at_price = info.compare_at_price;
+          r.unitCost = info.unit_cost;
           r._method = 'GraphQL';
         }
       }
@@ -556,7 +748,7 @@ async function processProductsComplete(orders, includeAllLocations) {
     } catch (err) {
       console.error('❌ GraphQL failed, falling back to REST:', err.message);
       // Se GraphQL fallisce, usa REST come fallback
-      await processWithREST(rows, variantIds, includeAllLocations);
+      variantFailures = await processWithREST(rows, variantIds, includeAllLocations, locationId);
     }
     
   } else {
@@ -564,19 +756,24 @@ async function processProductsComplete(orders, includeAllLocations) {
     // 📡 METODO REST (DEFAULT - ATTUALE)
     // ========================================
     console.log(`📡 Using REST API for inventory (${USE_GRAPHQL ? 'GraphQL disabled' : 'default mode'})`);
-    await processWithREST(rows, variantIds, includeAllLocations);
+    variantFailures = await processWithREST(rows, variantIds, includeAllLocations, locationId);
   }
     
-  return { rows, variantIds: [...variantIds] };
+  return { rows, variantIds: [...variantIds], variantFailures };
 }
 
 // ========================================
 // HELPER: Process con REST (codice attuale)
 // ========================================
-async function processWithREST(rows, variantIds, includeAllLocations) {
+async function processWithREST(rows, variantIds, includeAllLocations, locationId = null) {
+  let failures = [];
+  
   // Fetch variant info
   if (variantIds.size > 0) {
-    const variantInfo = await fetchVariantsByIds([...variantIds]);
+    const productIdsByVariant = new Map(rows.filter(r => r.variantId && r.productId).map(r => [String(r.variantId), r.productId]));
+    const result = await fetchVariantsByIds([...variantIds], productIdsByVariant);
+    const variantInfo = result.variants;
+    failures = result.failures;
     
     for (const r of rows) {
       const info = r.variantId ? variantInfo.get(String(r.variantId)) : null;
@@ -592,13 +789,16 @@ async function processWithREST(rows, variantIds, includeAllLocations) {
   // Fetch inventory levels
   const itemIds = rows.map(r=>r.inventory_item_id).filter(Boolean);
   if (itemIds.length > 0) {
-    const invLevels = await fetchInventoryLevelsForItems(itemIds, includeAllLocations);
+    const invLevels = await fetchInventoryLevelsForItems(itemIds, includeAllLocations, locationId);
     
     for (const r of rows) {
       const iid = r.inventory_item_id ? String(r.inventory_item_id) : null;
       
-      // ✅ LOGICA CON FALLBACK (già implementata)
-      if (iid && invLevels[iid] != null) {
+      if (locationId != null) {
+        // Report per location: il fallback della variant è il totale del negozio, non si usa
+        r.inventoryAvailable = iid && invLevels[iid] != null ? invLevels[iid] : 0;
+      } else if (iid && invLevels[iid] != null) {
+        // ✅ LOGICA CON FALLBACK (già implementata)
         const apiStock = invLevels[iid];
         const fallbackStock = r._variantFallbackQty || 0;
         
@@ -625,7 +825,16 @@ async function processWithREST(rows, variantIds, includeAllLocations) {
       
       r._method = 'REST';
     }
+    
+    // Costo unitario per COGS e margine
+    const costs = await fetchInventoryItemCosts(itemIds);
+    for (const r of rows) {
+      const iid = r.inventory_item_id ? String(r.inventory_item_id) : null;
+      if (iid && costs.has(iid)) r.unitCost = costs.get(iid);
+    }
   }
+  
+  return failures;
 }
 
 // ========================================
@@ -659,37 +868,20 @@ function calculateConversions(orders) {
   }).sort((a,b) => b.orders - a.orders);
 }
 
-async function getLocationBreakdown(orders) {
+async function getLocationBreakdown(orders, costByVariant = null) {
   const locationStats = {};
   
   for (const order of orders) {
     let locationName = 'Online';
     
     if (order.location_id) {
-      let location = globalCache.locations?.find(l => l.id === order.location_id);
-      if (!location) {
-        const result = await safeShopifyCall(
-          () => shopFetchJson(REST(`/locations/${order.location_id}.json`)),
-          `fetchLocation ${order.location_id} for breakdown`
-        );
-        
-        if (result?.location) {
-          location = result.location;
-          if (!globalCache.locations) globalCache.locations = [];
-          globalCache.locations.push(location);
-          locationName = location.name || `Location ${order.location_id}`;
-        } else {
-          locationName = `Location ${order.location_id}`;
-        }
-      } else {
-        locationName = location.name || `Location ${order.location_id}`;
-      }
+      locationName = await getLocationName(order.location_id);
     } else if (order.source_name && order.source_name.toLowerCase().includes('pos')) {
       locationName = 'POS (Location Unknown)';
     }
 
     if (!locationStats[locationName]) {
-      locationStats[locationName] = { orders: 0, revenue: 0, items: 0 };
+      locationStats[locationName] = { orders: 0, revenue: 0, items: 0, cogs: 0, costedRevenue: 0 };
     }
 
     const revenue = getOrderRevenue(order);
@@ -698,11 +890,59 @@ async function getLocationBreakdown(orders) {
     locationStats[locationName].orders++;
     locationStats[locationName].revenue += revenue;
     locationStats[locationName].items += items;
+    
+    // COGS solo per le righe con costo noto, il margine si calcola sul revenue corrispondente
+    if (costByVariant) {
+      for (const li of order.line_items) {
+        const unitCost = li.variant_id ? costByVariant.get(String(li.variant_id)) : null;
+        if (unitCost == null) continue;
+        locationStats[locationName].cogs += unitCost * Number(li.quantity || 0);
+        locationStats[locationName].costedRevenue += getLineItemRevenue(order, li);
+      }
+    }
   }
 
   return locationStats;
 }
 
+// ========================================
+// REPORT PER LOCATION (location=<id|nome>)
+// ========================================
+
+/**
+ * Location a cui limitare il report; senza parametro il report copre tutto il negozio
+ * @param {string} [value] - ID o nome della location
+ * @returns {Promise<{id: string, name: string}|null>}
+ */
+async function resolveLocationScope(value) {
+  if (value == null || String(value).trim() === "") return null;
+  
+  const location = await findLocation(value);
+  if (!location) throw badRequest(`Location sconosciuta: ${value}`);
+  return { id: String(location.id), name: location.name };
+}
+
+// Vendite: gli ordini senza location_id (online) non appartengono a nessun negozio fisico
+function filterOrdersByLocation(orders, scope) {
+  return scope ? orders.filter(o => o.location_id != null && String(o.location_id) === scope.id) : orders;
+}
+
+// Location che hanno mosso lo stock dell'ordine: quella di vendita (POS) oppure,
+// per gli ordini online, quelle da cui è stato evaso (fulfillments)
+function orderStockLocationIds(order) {
+  if (order.location_id != null) return [String(order.location_id)];
+  return [...new Set((order.fulfillments || []).map(f => f.location_id).filter(id => id != null).map(String))];
+}
+
+// Stock (ROP, dead stock): contano anche gli ordini online evasi dalla location.
+// Un ordine evaso da più location conta intero per ognuna
+function filterOrdersByStockLocation(orders, locationId) {
+  if (locationId == null) return orders;
+  return orders.filter(o => orderStockLocationIds(o).includes(String(locationId)));
+}
+
+const withLocation = (label, scope) => (scope ? `${label} - ${scope.name}` : label);
+
 
 // ============================================
 // Funzione di analisi sconti
@@ -761,61 +1001,588 @@ function analyzeDiscounts(orders) {
   };
 }
 
+// ========================================
+// VENTAS NETAS: GROSS → DESCUENTOS → DEVOLUCIONES → NET
+// ========================================
+
+// Rimborsi emessi nel periodo, anche su ordini di periodi precedenti, più gli ordini
+// creati nel periodo e rimborsati del tutto (non sono tra i pagati ma contano nel lordo)
+function isRefundActivityInRange(order, start, end) {
+  const inRange = (iso) => {
+    if (!iso) return false;
+    const d = DateTime.fromISO(iso);
+    return d >= start && d <= end;
+  };
+  return (order.refunds || []).some(r => inRange(r.created_at)) ||
+    (order.financial_status === "refunded" && inRange(order.created_at));
+}
+
+async function fetchRefundActivity(start, end) {
+  const stored = await queryRefundActivity(start.toJSDate());
+  if (stored) {
+    const inRange = stored.filter(o => isRefundActivityInRange(o, start, end));
+    console.log(`🏬 ${inRange.length} refunded orders from warehouse`);
+    return inRange;
+  }
+  
+  const out = new Map();
+  
+  // Un rimborso aggiorna updated_at dell'ordine: updated_at nel range trova i rimborsi del periodo.
+  // Limite: se l'ordine è stato modificato di nuovo dopo `end` il rimborso sfugge (il warehouse no)
+  for (const financialStatus of ["partially_refunded", "refunded"]) {
+    const { orders } = await fetchOrdersInRange(start, end, { financialStatus, dateField: "updated_at" });
+    for (const o of orders) out.set(o.id, o);
+  }
+  // Rimborsati del tutto dopo `end`: li trova solo created_at
+  for (const o of (await fetchOrdersInRange(start, end, { financialStatus: "refunded" })).orders) {
+    out.set(o.id, o);
+  }
+  
+  return [...out.values()].filter(o => isRefundActivityInRange(o, start, end));
+}
+
+const sumBy = (arr, fn) => (arr || []).reduce((s, x) => s + Number(fn(x) || 0), 0);
+
+function computeNetSales(orders, refundOrders, start, end) {
+  const inRange = (iso) => {
+    if (!iso) return false;
+    const d = DateTime.fromISO(iso);
+    return d >= start && d <= end;
+  };
+  
+  // Vendite del periodo: ordini pagati + ordini creati nel periodo e poi rimborsati del tutto
+  const salesOrders = new Map(orders.map(o => [o.id, o]));
+  for (const o of refundOrders) {
+    if (!salesOrders.has(o.id) && inRange(o.created_at)) salesOrders.set(o.id, o);
+  }
+  
+  let grossSales = 0, discounts = 0, taxes = 0, shipping = 0;
+  let cancelledOrders = 0, cancelledAmount = 0;
+  
+  for (const o of salesOrders.values()) {
+    const lineGross = sumBy(o.line_items, li => Number(li.price || 0) * Number(li.quantity || 0));
+    const orderTax = Number(o.total_tax || 0);
+    
+    // Con prezzi IVA inclusa le tasse vanno tolte dal lordo (approssimazione a livello ordine)
+    grossSales += lineGross - (o.taxes_included ? orderTax : 0);
+    discounts += Number(o.total_discounts || 0);
+    taxes += orderTax;
+    shipping += sumBy(o.shipping_lines, sl => sl.price);
+    
+    if (inRange(o.cancelled_at)) {
+      cancelledOrders++;
+      cancelledAmount += getOrderRevenue(o);
+    }
+  }
+  
+  // Resi: rimborsi creati nel periodo, indipendentemente dalla data dell'ordine
+  let returns = 0, refundedTaxes = 0, refundedShipping = 0, refundedAmount = 0;
+  let refundCount = 0, refundsOnPriorOrders = 0;
+  
+  const refundSources = new Map([...salesOrders.values(), ...refundOrders].map(o => [o.id, o]));
+  for (const o of refundSources.values()) {
+    for (const refund of o.refunds || []) {
+      if (!inRange(refund.created_at)) continue;
+      
+      const lineSubtotal = sumBy(refund.refund_line_items, rli => rli.subtotal);
+      const lineTax = sumBy(refund.refund_line_items, rli => rli.total_tax);
+      const shippingAdjustments = (refund.order_adjustments || []).filter(a => a.kind === "shipping_refund");
+      
+      returns += lineSubtotal - (o.taxes_included ? lineTax : 0);
+      refundedTaxes += lineTax + Math.abs(sumBy(shippingAdjustments, a => a.tax_amount));
+      refundedShipping += Math.abs(sumBy(shippingAdjustments, a => a.amount));
+      
+      const refundTransactions = (refund.transactions || []).filter(t => t.kind === "refund" && t.status === "success");
+      const refundTotal = sumBy(refundTransactions, t => t.amount);
+      refundedAmount += refundTotal;
+      
+      refundCount++;
+      if (!inRange(o.created_at)) refundsOnPriorOrders += refundTotal;
+    }
+  }
+  
+  const netSales = grossSales - discounts - returns;
+  const netTaxes = taxes - refundedTaxes;
+  const netShipping = shipping - refundedShipping;
+  
+  return {
+    grossSales,
+    discounts,
+    returns,
+    netSales,
+    taxes: netTaxes,
+    shipping: netShipping,
+    totalSales: netSales + netTaxes + netShipping,
+    refundedAmount,
+    refundCount,
+    refundsOnPriorOrders,
+    cancelledOrders,
+    cancelledAmount,
+    salesOrders: salesOrders.size
+  };
+}
+
+// ========================================
+// CONFRONTI CON PERIODI DI RIFERIMENTO
+// ========================================
+const COMPARISON_MODES = {
+  previous: "Periodo anterior",
+  yoy: "Año anterior",
+  weekday: "Mismo día semana pasada"
+};
+
+// Baseline di default per periodo: ogni baseline costa un fetch ordini in più
+const DEFAULT_COMPARISONS = {
+  daily: ["previous", "weekday", "yoy"],
+  weekly: ["previous", "yoy"],
+  monthly: ["previous", "yoy"],
+  quarterly: ["previous", "yoy"],
+  yearly: ["previous"],
+  ytd: ["yoy"],
+  custom: ["previous", "yoy"]
+};
+
+function resolveComparisonModes(period, compareParam) {
+  if (compareParam == null || compareParam === "") return DEFAULT_COMPARISONS[period] || ["previous"];
+  if (compareParam === "none" || compareParam === "0") return [];
+
+  const modes = [...new Set(String(compareParam).split(",").map(m => m.trim().toLowerCase()).filter(Boolean))];
+  const invalid = modes.filter(m => !COMPARISON_MODES[m]);
+  if (invalid.length) {
+    throw badRequest(`Confronto non supportato: ${invalid.join(", ")} (valori ammessi: ${Object.keys(COMPARISON_MODES).join(", ")}, none)`);
+  }
+  return modes;
+}
+
+function getComparisonRange(mode, period, start, end) {
+  if (mode === "yoy") return { prevStart: start.minus({years: 1}), prevEnd: end.minus({years: 1}) };
+  if (mode === "weekday") return { prevStart: start.minus({weeks: 1}), prevEnd: end.minus({weeks: 1}) };
+  return getPreviousRange(period, start, end);
+}
+
+function summarizeOrders(orders, locationStats = {}) {
+  const revenue = orders.reduce((s, o) => s + getOrderRevenue(o), 0);
+  const units = orders.reduce((s, o) => s + (o.line_items || []).reduce((u, li) => u + Number(li.quantity || 0), 0), 0);
+  
+  return {
+    revenue,
+    orders: orders.length,
+    units,
+    aov: orders.length > 0 ? revenue / orders.length : 0,
+    discounts: analyzeDiscounts(orders).totalDiscounts,
+    locations: Object.fromEntries(Object.entries(locationStats).map(([name, stats]) => [name, stats.revenue]))
+  };
+}
+
+// ========================================
+// AGGREGATI GIORNALIERI PERSISTENTI
+// ========================================
+
+function mergeSummaries(summaries) {
+  const merged = { revenue: 0, orders: 0, units: 0, discounts: 0, locations: {} };
+  
+  for (const s of summaries) {
+    merged.revenue += s.revenue;
+    merged.orders += s.orders;
+    merged.units += s.units;
+    merged.discounts += s.discounts;
+    for (const [name, revenue] of Object.entries(s.locations)) {
+      merged.locations[name] = (merged.locations[name] || 0) + revenue;
+    }
+  }
+  
+  merged.aov = merged.orders > 0 ? merged.revenue / merged.orders : 0;
+  return merged;
+}
+
+// Giorni del range completamente chiusi (già finiti nel timezone del negozio)
+function listClosedDays(start, end) {
+  const today = DateTime.now().setZone(start.zone).startOf("day");
+  const days = [];
+  
+  for (let d = start.startOf("day"); d <= end && d < today; d = d.plus({days: 1})) {
+    if (d >= start && d.endOf("day") <= end) days.push(d.toISODate());
+  }
+  return days;
+}
+
+/**
+ * Calcola e salva gli aggregati dei giorni chiusi coperti da `orders`
+ * I giorni senza ordini vengono salvati a zero, così il range risulta coperto:
+ * per questo si salva solo se il fetch è completo (una paginazione interrotta darebbe totali parziali)
+ * @param {Array} orders
+ * @param {DateTime} start
+ * @param {DateTime} end
+ * @param {boolean} complete - Tutti gli ordini del range sono stati letti
+ * @returns {Promise<Map<string, object>>} Sommario per giorno (anche giorni non chiusi)
+ */
+async function persistDailyAggregates(orders, start, end, complete) {
+  const byDay = new Map();
+  for (const o of orders) {
+    const day = DateTime.fromISO(o.created_at, { zone: start.zone }).toISODate();
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(o);
+  }
+  
+  const summaries = new Map();
+  for (const [day, dayOrders] of byDay) {
+    summaries.set(day, summarizeOrders(dayOrders, await getLocationBreakdown(dayOrders)));
+  }
+  
+  if (!complete) {
+    console.warn("⚠️ Orders fetch incomplete: daily aggregates not saved");
+    return summaries;
+  }
+  
+  const closed = new Map(listClosedDays(start, end).map(day => [day, summaries.get(day) || summarizeOrders([])]));
+  if (closed.size && await reportStore.saveDailyAggregates(closed)) {
+    console.log(`📦 Saved ${closed.size} daily aggregates to ${reportStore.backend} store`);
+  }
+  
+  return summaries;
+}
+
+/**
+ * Sommario di un range: dagli aggregati salvati se ogni giorno è già presente,
+ * altrimenti da Shopify (salvando i giorni chiusi per la prossima volta)
+ * Per una sola location gli aggregati (di tutto il negozio) non bastano: ordini filtrati, nulla salvato
+ */
+async function getRangeSummary(start, end, scope = null) {
+  if (scope) {
+    const orders = filterOrdersByLocation((await fetchOrdersPaidInRange(start, end)).orders, scope);
+    return summarizeOrders(orders, await getLocationBreakdown(orders));
+  }
+  
+  const days = listClosedDays(start, end);
+  const isFullyClosed = days.length > 0 &&
+    +start === +start.startOf("day") && +end === +end.endOf("day") &&
+    days.length === Math.round(end.diff(start, "days").days);
+  
+  if (isFullyClosed) {
+    const stored = await reportStore.getDailyAggregates(days);
+    if (stored.every(Boolean)) {
+      console.log(`📦 Range ${days[0]} → ${days[days.length - 1]} from ${days.length} stored daily aggregates`);
+      return mergeSummaries(stored);
+    }
+  }
+  
+  const { orders, complete } = await fetchOrdersPaidInRange(start, end);
+  const summaries = await persistDailyAggregates(orders, start, end, complete);
+  return mergeSummaries([...summaries.values()]);
+}
+
+function computeDelta(current, baseline) {
+  const change = current - baseline;
+  return {
+    current,
+    baseline,
+    change,
+    percent: baseline > 0 ? Number(((change / baseline) * 100).toFixed(1)) : null
+  };
+}
+
+async function buildComparison(period, start, end, currentSummary, modes, scope = null) {
+  const baselines = [];
+  
+  for (const mode of modes) {
+    const { prevStart, prevEnd } = getComparisonRange(mode, period, start, end);
+    
+    // YTD "previous" e "yoy" coincidono: evita un secondo fetch identico
+    if (baselines.some(b => +b.start === +prevStart && +b.end === +prevEnd)) continue;
+    
+    try {
+      const prev = await getRangeSummary(prevStart, prevEnd, scope);
+      
+      const locationNames = new Set([...Object.keys(currentSummary.locations), ...Object.keys(prev.locations)]);
+      
+      baselines.push({
+        mode,
+        label: COMPARISON_MODES[mode],
+        start: prevStart,
+        end: prevEnd,
+        metrics: {
+          revenue: computeDelta(currentSummary.revenue, prev.revenue),
+          orders: computeDelta(currentSummary.orders, prev.orders),
+          units: computeDelta(currentSummary.units, prev.units),
+          aov: computeDelta(currentSummary.aov, prev.aov),
+          discounts: computeDelta(currentSummary.discounts, prev.discounts)
+        },
+        locations: Object.fromEntries([...locationNames].map(name => [
+          name,
+          computeDelta(currentSummary.locations[name] || 0, prev.locations[name] || 0)
+        ]))
+      });
+    } catch (err) {
+      console.error(`Comparison ${mode} error:`, err.message);
+    }
+  }
+  
+  if (!baselines.length) return null;
+  
+  // Compatibilità: revChange/revPercent restano riferiti alla prima baseline
+  const primary = baselines[0].metrics.revenue;
+  return {
+    baselines,
+    revChange: primary.change,
+    revPercent: primary.percent != null ? primary.percent.toFixed(1) : "0.0"
+  };
+}
+
 // ========================================
 // DEAD STOCK DETECTION
 // ========================================
-async function detectDeadStock(variantIds, now, period = 'daily') {
-  try {
-    if (period === 'weekly' || period === 'monthly') {
-      console.log(`Skipping dead stock detection for ${period} to optimize performance`);
-      return [];
+const DEAD_STOCK_BUCKETS = [
+  { key: "30", min: 30, label: "30-59 días" },
+  { key: "60", min: 60, label: "60-89 días" },
+  { key: "90", min: 90, label: "90-179 días" },
+  { key: "180+", min: 180, label: "180+ días" }
+];
+
+// Finestra ordini per l'ultima vendita: oltre l'ultimo bucket basta sapere "180+"
+const DEAD_STOCK_LOOKBACK_DAYS = 180;
+
+// Stock > 0 per inventory item, sommato sulle location (solo attive salvo includeAllLocations)
+// Con locationId solo quella location
+async function fetchStockedInventory(includeAllLocations, locationId = null) {
+  const locations = await loadLocations();
+  const targetLocations = locationId != null
+    ? locations.filter(l => String(l.id) === String(locationId))
+    : locations.filter(l => includeAllLocations || l.active);
+  const onHand = new Map();
+  
+  for (const location of targetLocations) {
+    // Snapshot persistente (aggiornato dai webhook) prima del fetch completo della location
+    let levels = await getLocationLevels(location.id);
+    if (!levels) {
+      levels = await fetchAllPages(
+        `/inventory_levels.json?location_ids=${location.id}&limit=250`,
+        "inventory_levels",
+        `fetchInventoryLevels location ${location.id}`
+      );
+      await saveLocationLevels(location.id, levels);
+    }
+    
+    for (const lvl of levels) {
+      const available = Number(lvl.available || 0);
+      if (available <= 0) continue;
+      const key = String(lvl.inventory_item_id);
+      onHand.set(key, (onHand.get(key) || 0) + available);
+    }
+  }
+  
+  console.log(`Stocked inventory: ${onHand.size} items across ${targetLocations.length} locations`);
+  return onHand;
+}
+
+// Catalogo completo: inventory_item_id => info variant
+async function fetchCatalogVariants() {
+  const products = await fetchAllPages(
+    "/products.json?limit=250&fields=id,title,status,variants",
+    "products",
+    "fetchCatalog"
+  );
+  
+  const byItem = new Map();
+  for (const p of products) {
+    for (const v of p.variants || []) {
+      if (!v.inventory_item_id) continue;
+      byItem.set(String(v.inventory_item_id), {
+        variantId: v.id,
+        productTitle: p.title || "Producto",
+        variantTitle: v.title || "Default Title",
+        productStatus: p.status || "active",
+        sku: v.sku || "",
+        price: Number(v.price || 0)
+      });
     }
+  }
+  
+  console.log(`Catalog: ${products.length} products, ${byItem.size} variants`);
+  return byItem;
+}
+
+function getAgingBucket(daysSinceSale) {
+  const days = daysSinceSale ?? Infinity;
+  return [...DEAD_STOCK_BUCKETS].reverse().find(b => days >= b.min) || null;
+}
+
+// Con locationId: stock di quella location e ultima vendita nella stessa location
+// Risultato salvato nello store per giorno (data dello shop) e ambito: catalogo, inventario
+// e 180 giorni di ordini si leggono una volta al giorno, non a ogni cold start
+async function detectDeadStock(now, includeAllLocations = false, locationId = null) {
+  const scope = locationId != null ? `location:${locationId}` : (includeAllLocations ? "all" : "active");
+  const day = now.toISODate();
+  const cacheKey = `${day}:${scope}`;
+  const cached = globalCache.deadStock.get(cacheKey);
+  if (cached) {
+    console.log('🧊 Using cached dead stock analysis');
+    return cached;
+  }
+  
+  const stored = await reportStore.getDeadStock(day, scope);
+  if (stored) {
+    console.log(`📦 Dead stock ${cacheKey} loaded from ${reportStore.backend} store`);
+    globalCache.deadStock.set(cacheKey, stored);
+    return stored;
+  }
+  
+  try {
+    const thresholdDays = parseInt(process.env.DEAD_STOCK_DAYS) || 90;
     
-    const deadStockDays = parseInt(process.env.DEAD_STOCK_DAYS) || 90;
-    const cutoffDate = now.minus({days: deadStockDays});
+    const onHand = await fetchStockedInventory(includeAllLocations, locationId);
+    if (!onHand.size) return emptyDeadStock(thresholdDays);
     
-    console.log(`Detecting dead stock for ${variantIds.length} variants...`);
+    const catalog = await fetchCatalogVariants();
     
-    const orders60 = await fetchOrdersPaidInRange(cutoffDate.startOf("day"), now.endOf("day"));
+    // Ultima vendita per variant (solo campi minimi per alleggerire il payload)
+    const lookbackStart = now.minus({days: DEAD_STOCK_LOOKBACK_DAYS}).startOf("day");
+    const { orders: recentOrders, complete: historyComplete } = await fetchOrdersPaidInRange(lookbackStart, now.endOf("day"), {
+      fields: "id,created_at,location_id,line_items,fulfillments"
+    });
+    if (!historyComplete) {
+      console.warn(`⚠️ Dead stock: sales history of the last ${DEAD_STOCK_LOOKBACK_DAYS} days is incomplete, results marked incomplete`);
+    }
+    const scopedOrders = filterOrdersByStockLocation(recentOrders, locationId);
     
-    const soldVariants = new Set();
-    for (const o of orders60) {
+    const lastSale = new Map();
+    for (const o of scopedOrders) {
+      const soldAt = DateTime.fromISO(o.created_at);
       for (const li of o.line_items || []) {
-        if (li.variant_id) soldVariants.add(String(li.variant_id));
+        if (!li.variant_id) continue;
+        const key = String(li.variant_id);
+        if (!lastSale.has(key) || lastSale.get(key) < soldAt) lastSale.set(key, soldAt);
       }
     }
     
-    const deadVariantIds = variantIds.filter(id => !soldVariants.has(String(id)));
-    if (deadVariantIds.length === 0) return [];
+    const stockedItemIds = [...onHand.keys()].filter(id => catalog.has(id));
+    const costs = await fetchInventoryItemCosts(stockedItemIds);
     
-    const deadVariantInfo = await fetchVariantsByIds(deadVariantIds);
-    const deadItemIds = Array.from(deadVariantInfo.values()).map(v => v.inventory_item_id).filter(Boolean);
-    const deadInventory = await fetchInventoryLevelsForItems(deadItemIds);
-    
-    return deadVariantIds.map(vid => {
-      const info = deadVariantInfo.get(String(vid));
-      if (!info) return null;
+    const items = [];
+    for (const itemId of stockedItemIds) {
+      const variant = catalog.get(itemId);
+      const soldAt = lastSale.get(String(variant.variantId)) || null;
+      const daysSinceSale = soldAt ? Math.floor(now.diff(soldAt, "days").days) : null;
+      const bucket = getAgingBucket(daysSinceSale);
+      if (!bucket) continue;
       
-      const itemId = String(info.inventory_item_id);
-      const quantity = deadInventory[itemId] || info.inventory_quantity || 0;
-      const value = quantity * Number(info.price || 0);
+      const quantity = onHand.get(itemId);
+      const unitCost = costs.has(itemId) ? costs.get(itemId) : null;
       
-      return {
-        variantId: vid,
-        sku: info.sku || "",
+      items.push({
+        ...variant,
+        inventoryItemId: itemId,
         quantity,
-        unitPrice: Number(info.price || 0),
-        totalValue: value,
-        daysStagnant: deadStockDays
-      };
-    }).filter(Boolean).filter(item => item.quantity > 0).sort((a,b) => b.totalValue - a.totalValue);
+        unitPrice: variant.price,
+        unitCost,
+        retailValue: quantity * variant.price,
+        costValue: unitCost != null ? quantity * unitCost : null,
+        lastSaleDate: soldAt ? soldAt.toISODate() : null,
+        daysStagnant: daysSinceSale,
+        bucket: bucket.key
+      });
+    }
+    
+    items.sort((a, b) => (b.daysStagnant ?? Infinity) - (a.daysStagnant ?? Infinity) || b.retailValue - a.retailValue);
+    
+    const summarize = (list) => ({
+      count: list.length,
+      units: list.reduce((s, i) => s + i.quantity, 0),
+      retailValue: list.reduce((s, i) => s + i.retailValue, 0),
+      costValue: list.reduce((s, i) => s + (i.costValue || 0), 0)
+    });
+    
+    const result = {
+      thresholdDays,
+      lookbackDays: DEAD_STOCK_LOOKBACK_DAYS,
+      // Storico vendite troncato: alcune "ultime vendite" mancano e i variant risultano più fermi del vero
+      incomplete: !historyComplete,
+      stockedVariants: stockedItemIds.length,
+      items,
+      buckets: DEAD_STOCK_BUCKETS.map(b => ({ ...b, ...summarize(items.filter(i => i.bucket === b.key)) })),
+      dead: summarize(items.filter(i => (i.daysStagnant ?? Infinity) >= thresholdDays))
+    };
+    
+    console.log(`Dead stock: ${result.dead.count} variants >= ${thresholdDays}d out of ${result.stockedVariants} stocked`);
+    // Un risultato incompleto non va in cache: il prossimo report riprova
+    if (historyComplete) {
+      globalCache.deadStock.set(cacheKey, result);
+      await reportStore.saveDeadStock(day, scope, result);
+    }
+    return result;
     
   } catch (err) {
     console.error('Error detecting dead stock:', err.message);
-    return [];
+    return emptyDeadStock(parseInt(process.env.DEAD_STOCK_DAYS) || 90);
   }
 }
 
+function emptyDeadStock(thresholdDays) {
+  return {
+    thresholdDays,
+    lookbackDays: DEAD_STOCK_LOOKBACK_DAYS,
+    incomplete: false,
+    stockedVariants: 0,
+    items: [],
+    buckets: DEAD_STOCK_BUCKETS.map(b => ({ ...b, count: 0, units: 0, retailValue: 0, costValue: 0 })),
+    dead: { count: 0, units: 0, retailValue: 0, costValue: 0 }
+  };
+}
+
+// ========================================
+// MARGINE LORDO E COGS
+// ========================================
+function computeMarginAnalysis(rows, locationStats) {
+  let cogs = 0;
+  let costedRevenue = 0;
+  let costedRows = 0;
+  
+  for (const r of rows) {
+    if (r.unitCost == null) {
+      r.cogs = null;
+      r.grossProfit = null;
+      r.marginPercent = null;
+      continue;
+    }
+    
+    r.cogs = r.unitCost * r.soldQty;
+    r.grossProfit = r.revenue - r.cogs;
+    r.marginPercent = r.revenue > 0 ? (r.grossProfit / r.revenue) * 100 : null;
+    
+    cogs += r.cogs;
+    costedRevenue += r.revenue;
+    costedRows++;
+  }
+  
+  const grossProfit = costedRevenue - cogs;
+  
+  const byLocation = Object.entries(locationStats)
+    .filter(([, stats]) => stats.costedRevenue > 0)
+    .map(([name, stats]) => ({
+      name,
+      revenue: stats.costedRevenue,
+      cogs: stats.cogs,
+      grossProfit: stats.costedRevenue - stats.cogs,
+      marginPercent: ((stats.costedRevenue - stats.cogs) / stats.costedRevenue) * 100
+    }))
+    .sort((a, b) => b.revenue - a.revenue);
+  
+  const lowestMargin = rows
+    .filter(r => r.marginPercent != null && r.soldQty > 0)
+    .sort((a, b) => a.marginPercent - b.marginPercent)
+    .slice(0, 10);
+  
+  return {
+    cogs,
+    costedRevenue,
+    grossProfit,
+    marginPercent: costedRevenue > 0 ? (grossProfit / costedRevenue) * 100 : null,
+    costedRows,
+    totalRows: rows.length,
+    byLocation,
+    lowestMargin
+  };
+}
+
 // ========================================
 // CALCOLI ROP E ABC
 // ========================================
@@ -843,11 +1610,13 @@ function computeROP({sales30d, onHand, leadDays, safetyDays}) {
 
 function computeABCAnalysis(rows) {
   const totalRevenue = rows.reduce((s, r) => s + r.revenue, 0);
+  // Periodo con sole righe a 0 (omaggi, 100% sconto): percentuali a 0 invece di NaN
+  const percentOf = (value) => totalRevenue > 0 ? (value / totalRevenue) * 100 : 0;
   let cumulativeRevenue = 0;
   
   return rows.map((r, index) => {
     cumulativeRevenue += r.revenue;
-    const cumulativePercent = (cumulativeRevenue / totalRevenue) * 100;
+    const cumulativePercent = percentOf(cumulativeRevenue);
     
     let category = 'C';
     if (cumulativePercent <= 80) category = 'A';
@@ -856,7 +1625,7 @@ function computeABCAnalysis(rows) {
     return {
       ...r,
       rank: index + 1,
-      revenuePercent: ((r.revenue / totalRevenue) * 100).toFixed(1),
+      revenuePercent: percentOf(r.revenue).toFixed(1),
       cumulativePercent: cumulativePercent.toFixed(1),
       abcCategory: category
     };
@@ -878,63 +1647,54 @@ function donutSVG(parts, size=140) {
   if (parts.length === 1) {
     return `
     <div style="width:${size}px;height:${size}px;border-radius:50%;background:${PALETTE[0]};display:flex;align-items:center;justify-content:center;color:white;font-weight:bold;font-size:14px;margin:0 auto;">
-      ${parts[0].value.toLocaleString("es-MX")}
+      ${parts[0].value.toLocaleString(REPORT_LOCALE)}
     </div>`;
   }
 
-  const total = parts.reduce((s,p)=>s+p.value,0) || 1;
-  const r = size/2 - 10, cx=size/2, cy=size/2, w=20;
-  let a0 = -Math.PI/2, segs="";
-  
-  parts.forEach((p, i)=>{
-    const a1 = a0 + (p.value/total)*Math.PI*2;
-    const x0 = cx + r*Math.cos(a0), y0 = cy + r*Math.sin(a0);
-    const x1 = cx + r*Math.cos(a1), y1 = cy + r*Math.sin(a1);
-    const large = (a1-a0) > Math.PI ? 1 : 0;
-    const path = `M ${x0} ${y0} A ${r} ${r} 0 ${large} 1 ${x1} ${y1} L ${cx + (r-w)*Math.cos(a1)} ${cy + (r-w)*Math.sin(a1)} A ${r-w} ${r-w} 0 ${large} 0 ${cx + (r-w)*Math.cos(a0)} ${cy + (r-w)*Math.sin(a0)} Z`;
-    segs += `<path d="${path}" fill="${PALETTE[i%PALETTE.length]}" stroke="#fff" stroke-width="1" />`;
-    a0 = a1;
-  });
+  const { total, segments } = donutSegments(parts, size);
+  const cx = size/2, cy = size/2;
+  let segs = segments.map(seg => `<path d="${seg.path}" fill="${seg.color}" stroke="#fff" stroke-width="1" />`).join("");
   
-  const totalLabel = total.toLocaleString("es-MX");
+  const totalLabel = total.toLocaleString(REPORT_LOCALE);
   segs += `<text x="${cx}" y="${cy}" text-anchor="middle" dominant-baseline="central" fill="#374151" font-weight="600" font-size="14">${totalLabel}</text>`;
   
   return `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">${segs}</svg>`;
 }
 
-// ========================================
-// GENERAZIONE GRAFICI DASHBOARD
-// ========================================
-function chartsHTML(orders, isEmail = false, locationStatsParam = null) {
-  const locStats = locationStatsParam || {};
-  const pieces = (o) => o.line_items.reduce((s,li)=>s+Number(li.quantity||0),0);
-  const revenue = (o) => getOrderRevenue(o);
-
-  // 1) Canali di vendita per location
-  const chObj = {};
-  if (Object.keys(locStats).length) {
-    for (const [locationName, stats] of Object.entries(locStats)) {
-      if (locationName === 'Online') {
-        chObj['Online'] = stats.items;
-      } else {
-        chObj[locationName] = stats.items;
-      }
-    }
-  } else {
-    for (const o of orders) {
-      const ch = (o.source_name || "unknown").toLowerCase();
-      chObj[ch] = (chObj[ch]||0) + pieces(o);
-    }
-  }
-
-  // 2) Analisi tipi di pagamento con gestione casi speciali E REVENUE
+// Geometria della ciambella (path SVG per segmento), condivisa da donutSVG e dal PDF nativo
+function donutSegments(parts, size=140) {
+  const total = parts.reduce((s,p)=>s+p.value,0) || 1;
+  const r = size/2 - 10, cx=size/2, cy=size/2, w=20;
+  let a0 = -Math.PI/2;
+  
+  const segments = parts.map((p, i)=>{
+    const a1 = a0 + (p.value/total)*Math.PI*2;
+    const x0 = cx + r*Math.cos(a0), y0 = cy + r*Math.sin(a0);
+    const x1 = cx + r*Math.cos(a1), y1 = cy + r*Math.sin(a1);
+    const large = (a1-a0) > Math.PI ? 1 : 0;
+    const path = `M ${x0} ${y0} A ${r} ${r} 0 ${large} 1 ${x1} ${y1} L ${cx + (r-w)*Math.cos(a1)} ${cy + (r-w)*Math.sin(a1)} A ${r-w} ${r-w} 0 ${large} 0 ${cx + (r-w)*Math.cos(a0)} ${cy + (r-w)*Math.sin(a0)} Z`;
+    a0 = a1;
+    return { path, color: PALETTE[i%PALETTE.length] };
+  });
+  
+  return { total, segments };
+}
+
+// ========================================
+// GENERAZIONE GRAFICI DASHBOARD
+// ========================================
+// Tipo di pagamento per ordine (gateway combinati, uso interno senza gateway)
+function analyzePaymentTypes(orders) {
   const grpObj = {};
+  const pieces = (o) => o.line_items.reduce((s,li)=>s+Number(li.quantity||0),0);
+  
   for (const o of orders) {
     const gws = o.payment_gateway_names || [];
     const orderRevenue = getOrderRevenue(o);
     
     if (gws.length === 0) {
-      if (!grpObj["Uso Interno"]) grpObj["Uso Interno"] = { items: 0, revenue: 0 };
+      if (!grpObj["Uso Interno"]) grpObj["Uso Interno"] = { orders: 0, items: 0, revenue: 0 };
+      grpObj["Uso Interno"].orders++;
       grpObj["Uso Interno"].items += pieces(o);
       grpObj["Uso Interno"].revenue += orderRevenue;
       continue; 
@@ -973,15 +1733,44 @@ function chartsHTML(orders, isEmail = false, locationStatsParam = null) {
       paymentType = `Otro (${gws.join(', ')})`;
     }
     
-    if (!grpObj[paymentType]) grpObj[paymentType] = { items: 0, revenue: 0 };
+    if (!grpObj[paymentType]) grpObj[paymentType] = { orders: 0, items: 0, revenue: 0 };
+    grpObj[paymentType].orders++;
     grpObj[paymentType].items += pieces(o);
     grpObj[paymentType].revenue += orderRevenue;
   }
 
+  return grpObj;
+}
+
+// Dati dei quattro grafici (canali, pagamenti, orari, ticket), usati da chartsHTML e dal PDF nativo
+function buildChartSections(orders, locStats = {}, tz = globalCache.shop?.timezone) {
+  const pieces = (o) => o.line_items.reduce((s,li)=>s+Number(li.quantity||0),0);
+  const revenue = (o) => getOrderRevenue(o);
+
+  // 1) Canali di vendita per location
+  const chObj = {};
+  if (Object.keys(locStats).length) {
+    for (const [locationName, stats] of Object.entries(locStats)) {
+      if (locationName === 'Online') {
+        chObj['Online'] = stats.items;
+      } else {
+        chObj[locationName] = stats.items;
+      }
+    }
+  } else {
+    for (const o of orders) {
+      const ch = (o.source_name || "unknown").toLowerCase();
+      chObj[ch] = (chObj[ch]||0) + pieces(o);
+    }
+  }
+
+  // 2) Analisi tipi di pagamento con gestione casi speciali E REVENUE
+  const grpObj = analyzePaymentTypes(orders);
+
   // 3) Analisi fasce orarie
   const hourObj = {};
   for (const o of orders) {
-    const orderDate = DateTime.fromISO(o.created_at).setZone("America/Monterrey");
+    const orderDate = DateTime.fromISO(o.created_at).setZone(tz);
     const hour = orderDate.hour;
     
     const timeSlot = 
@@ -1007,12 +1796,16 @@ function chartsHTML(orders, isEmail = false, locationStatsParam = null) {
   const top = (obj) => Object.entries(obj).sort((a,b)=>b[1]-a[1]).slice(0,8).map(([k,v])=>({label:k,value:v}));
   const topPayments = Object.entries(grpObj).sort((a,b)=>b[1].items-a[1].items).slice(0,8).map(([k,v])=>({label:k,value:v.items,revenue:v.revenue}));
 
-  const sections = [
+  return [
     { title:"Canales de venta", parts: top(chObj) },
     { title:"Tipo de pago", parts: topPayments },
     { title:"Horarios de venta", parts: Object.entries(hourObj).map(([k,v])=>({label:k,value:v})) },
     { title:"Rangos de ticket", parts: Object.entries(ticketObj).map(([k,v])=>({label:k,value:v})) },
   ];
+}
+
+function chartsHTML(orders, isEmail = false, locationStatsParam = null, tz = globalCache.shop?.timezone) {
+  const sections = buildChartSections(orders, locationStatsParam || {}, tz);
 
   if (isEmail) {
     const chartSize = 100;
@@ -1161,28 +1954,213 @@ function renderConversionAnalysis(conversionData, isEmail = false) {
   </div>`;
 }
 
-function renderDeadStockAlert(deadStockData, isEmail = false) {
-  if (!deadStockData.length) {
-    return `<div style="background:#f0fdf4;border:1px solid #bbf7d0;border-radius:8px;padding:16px;margin:20px 0;text-align:center;"><strong style="color:#166534;">Excelente!</strong> No hay productos estancados (sin ventas 60+ dias)</div>`;
+// Badge ▲/▼ per una delta; invert=true quando un aumento è negativo (es. sconti)
+function deltaBadge(delta, { invert = false, small = false, t = T_ES } = {}) {
+  if (!delta) return '';
+  
+  const fontSize = small ? 10 : 11;
+  if (delta.percent == null) {
+    const label = delta.current > 0 ? t('nuevo') : '—';
+    return `<span style="display:inline-block;padding:1px 6px;border-radius:10px;background:#f3f4f6;color:#6b7280;font-size:${fontSize}px;font-weight:600;">${label}</span>`;
+  }
+  
+  const up = delta.percent > 0;
+  const flat = delta.percent === 0;
+  const good = invert ? !up : up;
+  const color = flat ? '#6b7280' : (good ? '#059669' : '#dc2626');
+  const bg = flat ? '#f3f4f6' : (good ? '#ecfdf5' : '#fef2f2');
+  const arrow = flat ? '=' : (up ? '▲ +' : '▼ ');
+  
+  return `<span style="display:inline-block;padding:1px 6px;border-radius:10px;background:${bg};color:${color};font-size:${fontSize}px;font-weight:600;white-space:nowrap;">${arrow}${delta.percent}%</span>`;
+}
+
+const COMPARISON_METRICS = [
+  { key: 'revenue', label: 'Ingresos', format: (v) => money(v) },
+  { key: 'orders', label: 'Órdenes', format: (v) => String(v) },
+  { key: 'units', label: 'Unidades', format: (v) => String(v) },
+  { key: 'aov', label: 'Ticket promedio', format: (v) => money(v) },
+  { key: 'discounts', label: 'Descuentos', format: (v) => money(v), invert: true }
+];
+
+function renderComparisonSection(comparison, isEmail = false, t = T_ES) {
+  if (!comparison?.baselines?.length) return '';
+  
+  const { baselines } = comparison;
+  const locationNames = [...new Set(baselines.flatMap(b => Object.keys(b.locations)))]
+    .sort((a, b) => (baselines[0].locations[b]?.current || 0) - (baselines[0].locations[a]?.current || 0))
+    .slice(0, isEmail ? 3 : 10);
+  
+  const rangeText = (b) => b.start.hasSame(b.end, 'day')
+    ? b.start.toFormat('dd LLL yyyy')
+    : `${b.start.toFormat('dd LLL yyyy')} - ${b.end.toFormat('dd LLL yyyy')}`;
+  
+  const cell = (delta, format, invert) => `
+    <td align="right">
+      ${!isEmail ? `<div class="muted">${format(delta.baseline)}</div>` : ''}
+      ${deltaBadge(delta, { invert, small: isEmail, t })}
+    </td>`;
+  
+  return `
+  <div style="background:#f8fafc;border:1px solid #e5e7eb;border-radius:8px;padding:16px;margin:20px 0;">
+    <h4 style="margin:0 0 12px;color:#374151;">📊 ${t('Comparativo')}</h4>
+    <table style="margin:0;">
+      <thead><tr>
+        <th align="left">${t('Métrica')}</th>
+        <th align="right">${t('Actual')}</th>
+        ${baselines.map(b => `<th align="right">${esc(t(b.label))}${!isEmail ? `<div class="muted" style="font-weight:400;">${rangeText(b)}</div>` : ''}</th>`).join('')}
+      </tr></thead>
+      <tbody>
+        ${COMPARISON_METRICS.map(m => `
+          <tr>
+            <td>${t(m.label)}</td>
+            <td align="right"><strong>${m.format(baselines[0].metrics[m.key].current)}</strong></td>
+            ${baselines.map(b => cell(b.metrics[m.key], m.format, m.invert)).join('')}
+          </tr>
+        `).join('')}
+        ${locationNames.map(name => `
+          <tr>
+            <td>📍 ${esc(name)}</td>
+            <td align="right"><strong>${money(baselines[0].locations[name]?.current || 0)}</strong></td>
+            ${baselines.map(b => b.locations[name] ? cell(b.locations[name], money) : '<td align="right">—</td>').join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  </div>`;
+}
+
+function renderNetSalesSection(netSales, isEmail = false, t = T_ES) {
+  if (!netSales) return '';
+  
+  const steps = [
+    { label: t('Ventas brutas'), value: netSales.grossSales },
+    { label: t('Descuentos'), value: -netSales.discounts },
+    { label: t('Devoluciones'), value: -netSales.returns },
+    { label: t('Ventas netas'), value: netSales.netSales, total: true },
+    { label: t('Impuestos'), value: netSales.taxes },
+    { label: t('Envío'), value: netSales.shipping },
+    { label: t('Ventas totales'), value: netSales.totalSales, total: true }
+  ];
+  
+  const rowStyle = (step) => step.total ? 'background:#eff6ff;font-weight:700;' : '';
+  const valueColor = (step) => step.value < 0 ? '#dc2626' : (step.total ? '#1d4ed8' : '#374151');
+  
+  return `
+  <div style="background:#f8fafc;border:1px solid #e5e7eb;border-radius:8px;padding:16px;margin:20px 0;">
+    <h4 style="margin:0 0 12px;color:#374151;">🧾 ${t('Ventas Netas')}</h4>
+    <table style="margin:0;">
+      <tbody>
+        ${steps.map(step => `
+          <tr style="${rowStyle(step)}">
+            <td>${step.total ? '=' : (step.value < 0 ? '−' : '+')} ${step.label}</td>
+            <td align="right" style="color:${valueColor(step)};">${money(step.value)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    <div class="muted" style="margin-top:8px;font-size:${isEmail ? 10 : 11}px;">
+      ${t('{count} reembolsos ({amount})', { count: netSales.refundCount, amount: money(netSales.refundedAmount) })}${netSales.refundsOnPriorOrders > 0 ? `, ${t('{amount} sobre órdenes de periodos anteriores', { amount: money(netSales.refundsOnPriorOrders) })}` : ''}
+      ${netSales.cancelledOrders > 0 ? ` | ${t('{count} cancelaciones ({amount})', { count: netSales.cancelledOrders, amount: money(netSales.cancelledAmount) })}` : ''}
+    </div>
+  </div>`;
+}
+
+function renderMarginSection(marginData, isEmail = false, t = T_ES) {
+  if (!marginData || !marginData.costedRows) return '';
+  
+  const marginColor = (m) => m == null ? '#6b7280' : (m < 0 ? '#dc2626' : (m < 20 ? '#f97316' : '#059669'));
+  const fmtMargin = (m) => m == null ? '—' : `${m.toFixed(1)}%`;
+  const maxRows = isEmail ? 5 : 10;
+  
+  return `
+  <div style="background:#f0fdf4;border:1px solid #bbf7d0;border-radius:8px;padding:16px;margin:20px 0;">
+    <h4 style="margin:0 0 12px;color:#166534;">💹 ${t('Margen Bruto y COGS')}</h4>
+    <div style="display:grid;grid-template-columns:repeat(3,1fr);gap:12px;">
+      <div style="text-align:center;background:white;padding:12px;border-radius:6px;">
+        <div style="font-size:${isEmail ? 10 : 12}px;color:#6b7280;">COGS</div>
+        <div style="font-size:${isEmail ? 14 : 18}px;font-weight:700;color:#374151;">${money(marginData.cogs)}</div>
+      </div>
+      <div style="text-align:center;background:white;padding:12px;border-radius:6px;">
+        <div style="font-size:${isEmail ? 10 : 12}px;color:#6b7280;">${t('UTILIDAD BRUTA')}</div>
+        <div style="font-size:${isEmail ? 14 : 18}px;font-weight:700;color:${marginColor(marginData.marginPercent)};">${money(marginData.grossProfit)}</div>
+      </div>
+      <div style="text-align:center;background:white;padding:12px;border-radius:6px;">
+        <div style="font-size:${isEmail ? 10 : 12}px;color:#6b7280;">${t('MARGEN')}</div>
+        <div style="font-size:${isEmail ? 14 : 18}px;font-weight:700;color:${marginColor(marginData.marginPercent)};">${fmtMargin(marginData.marginPercent)}</div>
+      </div>
+    </div>
+    <div class="muted" style="margin-top:8px;font-size:${isEmail ? 10 : 11}px;">
+      ${t('Calculado sobre {costed} de {total} productos con costo registrado ({amount} en ventas)', { costed: marginData.costedRows, total: marginData.totalRows, amount: money(marginData.costedRevenue) })}
+    </div>
+    ${marginData.byLocation.length ? `
+    <table style="margin:12px 0 0;">
+      <thead><tr><th align="left">Location</th><th align="right">${t('Ventas')}</th><th align="right">COGS</th><th align="right">${t('Margen')}</th></tr></thead>
+      <tbody>
+        ${marginData.byLocation.map(l => `
+          <tr>
+            <td>${esc(l.name)}</td>
+            <td align="right">${money(l.revenue)}</td>
+            <td align="right">${money(l.cogs)}</td>
+            <td align="right" style="color:${marginColor(l.marginPercent)};font-weight:600;">${fmtMargin(l.marginPercent)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>` : ''}
+    ${marginData.lowestMargin.length ? `
+    <h4 style="margin:16px 0 8px;color:#374151;">${t('Productos con menor margen')}</h4>
+    <table style="margin:0;">
+      <thead><tr><th align="left">${t('Producto')}</th>${!isEmail ? '<th align="left">SKU</th>' : ''}<th align="right">${t('Vendidas')}</th><th align="right">${t('Costo unit.')}</th><th align="right">${t('Ingresos')}</th><th align="right">${t('Margen')}</th></tr></thead>
+      <tbody>
+        ${marginData.lowestMargin.slice(0, maxRows).map(r => `
+          <tr${r.marginPercent < 0 ? ' class="row-zero"' : ''}>
+            <td>${esc(r.productTitle)}${r.variantTitle !== 'Default Title' ? ` - ${esc(r.variantTitle)}` : ''}</td>
+            ${!isEmail ? `<td>${esc(r.sku || '')}</td>` : ''}
+            <td align="right">${r.soldQty}</td>
+            <td align="right">${money(r.unitCost)}</td>
+            <td align="right">${money(r.revenue)}</td>
+            <td align="right" style="color:${marginColor(r.marginPercent)};font-weight:600;">${fmtMargin(r.marginPercent)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>` : ''}
+  </div>`;
+}
+
+function renderDeadStockAlert(deadStockData, isEmail = false, t = T_ES) {
+  if (!deadStockData?.items?.length) {
+    return `<div style="background:#f0fdf4;border:1px solid #bbf7d0;border-radius:8px;padding:16px;margin:20px 0;text-align:center;"><strong style="color:#166534;">${t('Excelente!')}</strong> ${t('No hay productos en stock sin ventas en los últimos 30+ dias')}</div>`;
   }
   
-  const totalValue = deadStockData.reduce((s, item) => s + item.totalValue, 0);
-  const maxItems = isEmail ? 5 : 10;
+  const { dead, buckets, thresholdDays, stockedVariants, items } = deadStockData;
+  const maxItems = isEmail ? 5 : 20;
+  const cell = 'padding:6px;border:1px solid #e5e7eb;';
   
   return `
   <div style="background:#fef2f2;border:1px solid #fecaca;border-radius:8px;padding:16px;margin:20px 0;">
-    <h4 style="margin:0 0 12px;color:#dc2626;">Dead Stock Alert (60+ dias sin ventas)</h4>
+    <h4 style="margin:0 0 12px;color:#dc2626;">${t('Dead Stock Alert ({days}+ dias sin ventas)', { days: thresholdDays })}</h4>
+    ${deadStockData.incomplete ? `<div style="background:#fffbeb;border:1px solid #fde68a;border-radius:6px;padding:8px;margin:0 0 12px;font-size:${isEmail ? 11 : 12}px;color:#92400e;">${t('Historial de ventas incompleto: algunos productos pueden tener ventas recientes no incluidas')}</div>` : ''}
     <div style="background:white;border-radius:6px;padding:12px;margin:12px 0;text-align:center;">
-      <div style="font-size:${isEmail ? 18 : 24}px;font-weight:700;color:#dc2626;">${deadStockData.length}</div>
-      <div style="font-size:${isEmail ? 10 : 12}px;color:#6b7280;">PRODUCTOS ESTANCADOS</div>
-      <div style="font-size:${isEmail ? 11 : 13}px;margin-top:4px;"><strong>Valor total:</strong> ${money(totalValue)}</div>
+      <div style="font-size:${isEmail ? 18 : 24}px;font-weight:700;color:#dc2626;">${dead.count}</div>
+      <div style="font-size:${isEmail ? 10 : 12}px;color:#6b7280;">${t('PRODUCTOS ESTANCADOS de {count} con stock', { count: stockedVariants })}</div>
+      <div style="font-size:${isEmail ? 11 : 13}px;margin-top:4px;"><strong>${t('Valor venta')}:</strong> ${money(dead.retailValue)} | <strong>${t('Valor costo')}:</strong> ${money(dead.costValue)}</div>
+    </div>
+    <div style="display:grid;grid-template-columns:repeat(${isEmail ? 2 : 4},1fr);gap:8px;margin:12px 0;">
+      ${buckets.map(b => `
+        <div style="text-align:center;background:white;padding:8px;border-radius:6px;border:1px solid #fecaca;">
+          <div style="font-weight:600;color:#374151;font-size:${isEmail ? 10 : 11}px;">${t(b.label)}</div>
+          <div style="font-size:${isEmail ? 14 : 18}px;font-weight:700;color:#dc2626;">${b.count}</div>
+          <div style="font-size:${isEmail ? 9 : 10}px;color:#6b7280;">${b.units} ${t('uds')} · ${money(b.retailValue)}</div>
+          <div style="font-size:${isEmail ? 9 : 10}px;color:#6b7280;">${t('Costo')}: ${money(b.costValue)}</div>
+        </div>
+      `).join('')}
     </div>
     <table style="width:100%;border-collapse:collapse;font-size:${isEmail ? 10 : 11}px;">
-      <thead><tr style="background:#f8fafc;"><th style="padding:6px;border:1px solid #e5e7eb;">SKU</th><th style="padding:6px;border:1px solid #e5e7eb;">Stock</th><th style="padding:6px;border:1px solid #e5e7eb;">Valor</th></tr></thead>
+      <thead><tr style="background:#f8fafc;"><th style="${cell}">SKU</th>${!isEmail ? `<th style="${cell}">${t('Producto')}</th>` : ''}<th style="${cell}">Stock</th><th style="${cell}">${t('Última venta')}</th><th style="${cell}">${t('Antigüedad')}</th><th style="${cell}">${t('Valor costo')}</th><th style="${cell}">${t('Valor venta')}</th></tr></thead>
       <tbody>
-        ${deadStockData.slice(0, maxItems).map(item => `<tr><td style="padding:6px;border:1px solid #e5e7eb;">${item.sku || `ID:${item.variantId}`}</td><td style="padding:6px;border:1px solid #e5e7eb;">${item.quantity}</td><td style="padding:6px;border:1px solid #e5e7eb;font-weight:600;">${money(item.totalValue)}</td></tr>`).join('')}
+        ${items.slice(0, maxItems).map(item => `<tr><td style="${cell}">${esc(item.sku || `ID:${item.variantId}`)}</td>${!isEmail ? `<td style="${cell}">${esc(item.productTitle)}${item.variantTitle !== 'Default Title' ? ` - ${esc(item.variantTitle)}` : ''}</td>` : ''}<td style="${cell}">${item.quantity}</td><td style="${cell}">${item.lastSaleDate || t('Sin ventas')}</td><td style="${cell}">${item.daysStagnant != null ? `${item.daysStagnant}d` : `${deadStockData.lookbackDays}+d`}</td><td style="${cell}">${item.costValue != null ? money(item.costValue) : '—'}</td><td style="${cell}font-weight:600;">${money(item.retailValue)}</td></tr>`).join('')}
       </tbody>
     </table>
+    ${items.length > maxItems ? `<div style="color:#6b7280;margin-top:8px;">${t('... y {count} variantes más sin ventas en 30+ días', { count: items.length - maxItems })}</div>` : ''}
   </div>`;
 }
 
@@ -1195,6 +2173,15 @@ function renderABCSummary(abcData) {
   
   const totalRevenue = abcData.reduce((s, r) => s + r.revenue, 0);
   
+  // Margine della categoria calcolato solo sui prodotti con costo noto
+  const categoryMargin = (list) => {
+    const costed = list.filter(r => r.grossProfit != null);
+    const revenue = costed.reduce((s, r) => s + r.revenue, 0);
+    if (revenue <= 0) return '';
+    const margin = costed.reduce((s, r) => s + r.grossProfit, 0) / revenue * 100;
+    return `<div style="font-size:11px;color:#6b7280;">Margen: <strong style="color:${margin < 0 ? '#dc2626' : '#059669'};">${margin.toFixed(1)}%</strong></div>`;
+  };
+  
   return `
   <div style="background:#f0f9ff;border:1px solid #bae6fd;border-radius:8px;padding:16px;margin:20px 0;">
     <h4 style="margin:0 0 12px;color:#0369a1;">📊 Análisis ABC (Regla 80/20)</h4>
@@ -1204,18 +2191,21 @@ function renderABCSummary(abcData) {
         <div style="font-size:12px;color:#6b7280;">TOP PERFORMERS</div>
         <div><strong>${categories.A.length}</strong> productos</div>
         <div><strong>${((categories.A.reduce((s,r)=>s+r.revenue,0)/totalRevenue)*100).toFixed(0)}%</strong> ingresos</div>
+        ${categoryMargin(categories.A)}
       </div>
       <div style="text-align:center;background:white;padding:12px;border-radius:6px;">
         <div style="font-size:20px;font-weight:700;color:#f97316;">B</div>
         <div style="font-size:12px;color:#6b7280;">MEDIANOS</div>
         <div><strong>${categories.B.length}</strong> productos</div>
         <div><strong>${((categories.B.reduce((s,r)=>s+r.revenue,0)/totalRevenue)*100).toFixed(0)}%</strong> ingresos</div>
+        ${categoryMargin(categories.B)}
       </div>
       <div style="text-align:center;background:white;padding:12px;border-radius:6px;">
         <div style="font-size:20px;font-weight:700;color:#6b7280;">C</div>
         <div style="font-size:12px;color:#6b7280;">COLA LARGA</div>
         <div><strong>${categories.C.length}</strong> productos</div>
         <div><strong>${((categories.C.reduce((s,r)=>s+r.revenue,0)/totalRevenue)*100).toFixed(0)}%</strong> ingresos</div>
+        ${categoryMargin(categories.C)}
       </div>
     </div>
     
@@ -1223,7 +2213,7 @@ function renderABCSummary(abcData) {
       <strong style="color:#dc2626;">🏆 TOP PERFORMERS (Categoria A):</strong>
       <div style="margin-top:8px;font-size:11px;line-height:1.4;">
         ${categories.A.slice(0,8).map((p, i) => `
-          <div style="margin:2px 0;"><strong>${i+1}.</strong> ${esc(p.productTitle)} - ${money(p.revenue)} (${p.revenuePercent}%)</div>
+          <div style="margin:2px 0;"><strong>${i+1}.</strong> ${esc(p.productTitle)} - ${money(p.revenue)} (${p.revenuePercent}%)${p.marginPercent != null ? ` - margen ${p.marginPercent.toFixed(1)}%` : ''}</div>
         `).join('')}
         ${categories.A.length > 8 ? `<div style="color:#6b7280;margin-top:4px;">... y ${categories.A.length - 8} productos más</div>` : ''}
       </div>
@@ -1285,38 +2275,43 @@ function renderProductsTable(rows, isEmail = false) {
   return `<h3>Top productos vendidos</h3><table>${head}<tbody>${body}</tbody></table>${moreText}`;
 }
 
-function renderROPTable(rows, isEmail = false) {
-  if (!rows.length) {
-    return `<div style="margin:16px 0;padding:16px;background:#f0fdf4;border:1px solid #bbf7d0;border-radius:8px;text-align:center;"><strong style="color:#166534;">Excelente!</strong> Todos los productos tienen stock suficiente.</div>`;
-  }
-  
-  const sortedRows = [...rows].sort((a,b) => {
-    const urgencyOrder = {critical: 0, high: 1, medium: 2};
+// Prima i più urgenti, a parità di urgenza i più venduti
+function sortByUrgency(rows) {
+  const urgencyOrder = {critical: 0, high: 1, medium: 2};
+  return [...rows].sort((a,b) => {
     const aOrder = urgencyOrder[a.urgency] ?? 3;
     const bOrder = urgencyOrder[b.urgency] ?? 3;
     if (aOrder !== bOrder) return aOrder - bOrder;
     return b.sales30d - a.sales30d;
   });
+}
+
+function renderROPTable(rows, isEmail = false, t = T_ES) {
+  if (!rows.length) {
+    return `<div style="margin:16px 0;padding:16px;background:#f0fdf4;border:1px solid #bbf7d0;border-radius:8px;text-align:center;"><strong style="color:#166534;">${t('Excelente!')}</strong> ${t('Todos los productos tienen stock suficiente.')}</div>`;
+  }
+  
+  const sortedRows = sortByUrgency(rows);
   
   const maxRows = isEmail ? 10 : 25;
   const displayRows = sortedRows.slice(0, maxRows);
   
   const head = `
   <thead><tr>
-    <th align="left">Urgencia</th>
-    <th align="left">Producto</th>
-    <th align="left">Variante</th>
+    <th align="left">${t('Urgencia')}</th>
+    <th align="left">${t('Producto')}</th>
+    <th align="left">${t('Variante')}</th>
     ${!isEmail ? '<th align="left">SKU</th>' : ''}
     <th align="right">Stock</th>
-    <th align="right">Vel/dia</th>
-    <th align="right">Dias restantes</th>
-    <th align="right">Cantidad</th>
+    <th align="right">${t('Vel/dia')}</th>
+    <th align="right">${t('Dias restantes')}</th>
+    <th align="right">${t('Cantidad')}</th>
   </tr></thead>`;
   
   const body = displayRows.map(r=>{
-    const urgencyPill = r.urgency === 'critical' ? '<span class="pill-critical">CRITICO</span>' :
-                        r.urgency === 'high' ? '<span class="pill-high">ALTO</span>' :
-                        '<span class="pill-medium">MEDIO</span>';
+    const urgencyPill = r.urgency === 'critical' ? `<span class="pill-critical">${t('CRITICO')}</span>` :
+                        r.urgency === 'high' ? `<span class="pill-high">${t('ALTO')}</span>` :
+                        `<span class="pill-medium">${t('MEDIO')}</span>`;
     
     const rowClass = r.urgency === 'critical' ? ' class="row-critical"' : '';
     
@@ -1333,10 +2328,10 @@ function renderROPTable(rows, isEmail = false) {
       </tr>`;
   }).join("");
   
-  const moreText = rows.length > maxRows ? `<div style="color:#6b7280;margin-top:8px;">... y ${rows.length - maxRows} productos mas para reordenar</div>` : '';
+  const moreText = rows.length > maxRows ? `<div style="color:#6b7280;margin-top:8px;">${t('... y {count} productos mas para reordenar', { count: rows.length - maxRows })}</div>` : '';
   
-  return `<h3>Productos para reordenar</h3>
-    <div style="color:#6b7280;margin-bottom:12px;">Ventana: 30d - Lead time: 7d - Safety: 3d</div>
+  return `<h3>${t('Productos para reordenar')}</h3>
+    <div style="color:#6b7280;margin-bottom:12px;">${t('Ventana: 30d - Lead time: 7d - Safety: 3d')}</div>
     <table>${head}<tbody>${body}</tbody></table>${moreText}`;
 }
 
@@ -1384,6 +2379,23 @@ function styles(isEmail = false) {
       .stats-grid{grid-template-columns:repeat(2,1fr);gap:12px}
     }
     `}
+    
+    /* Stampa e PDF (format=pdf): tabelle lunghe su pagina nuova, header ripetuti, niente righe spezzate */
+    ${isEmail ? '' : `
+    @page { size: A4; }
+    @media print {
+      body{margin:0;background:white;-webkit-print-color-adjust:exact;print-color-adjust:exact}
+      .container{max-width:none;padding:0;border-radius:0;box-shadow:none}
+      table{box-shadow:none;overflow:visible;font-size:10px}
+      th,td{padding:5px 6px;font-size:10px}
+      thead{display:table-header-group}
+      tr,.stat-card,.report-section > div{break-inside:avoid}
+      h3,h4{break-after:avoid}
+      .stats-grid{grid-template-columns:repeat(4,1fr);gap:8px}
+      .page-start{break-before:page}
+      .no-print{display:none}
+    }
+    `}
   </style>`;
 }
 
@@ -1392,10 +2404,20 @@ function styles(isEmail = false) {
 // ========================================
 // TEMPLATE EMAIL SEMPLIFICATO COMPLETO
 // ========================================
-function buildEmailHTML(data) {
-  const { label, tz, now, rows, orders, timing, locationStats } = data;
+/**
+ * Email compatta del report
+ * @param {object} data - reportData (fresco o dallo store)
+ * @param {object} options
+ * @param {string[]} options.sections - Sezioni da includere (EMAIL_SECTIONS)
+ * @param {Function} options.t - Traduttore (getTranslator)
+ * @param {string[]} options.attachments - Allegati che accompagnano l'email (per la nota finale)
+ */
+function buildEmailHTML(data, { sections = DEFAULT_EMAIL_SECTIONS, t = T_ES, attachments = ['html'], unsubscribe = false } = {}) {
+  const { label, tz, now, rows, orders, timing, locationStats, comparison, netSales, marginData, ropRows, deadStockData } = data;
   const totRev = orders.reduce((s, o) => s + getOrderRevenue(o), 0);
+  const primaryComparison = comparison?.baselines?.[0];
   const USE_GRAPHQL = process.env.USE_GRAPHQL === 'true';
+  const has = (section) => sections.includes(section);
   
   const pieces = (o) => o.line_items.reduce((s, li) => s + Number(li.quantity || 0), 0);
   
@@ -1471,11 +2493,11 @@ function buildEmailHTML(data) {
   const maxCriticalShow = 10;
   
   return `<!doctype html>
-<html lang="es">
+<html lang="${t.lang}">
 <head>
   <meta charset="utf-8">
   <meta name="viewport" content="width=device-width, initial-scale=1">
-  <title>Reporte de Ventas - ${label}</title>
+  <title>${t('Reporte de Ventas')} - ${label}</title>
   <style>
     body{font-family:Arial,sans-serif;color:#333;margin:0;padding:20px;background:#f5f5f5}
     .container{max-width:600px;margin:0 auto;background:white;border-radius:8px;overflow:hidden}
@@ -1493,12 +2515,15 @@ function buildEmailHTML(data) {
     .footer{background:#f8fafc;padding:15px;text-align:center;font-size:12px;color:#666}
     .product-list{font-size:11px;line-height:1.4;margin-top:8px}
     .product-item{margin:2px 0;padding:2px 0}
+    .pill-critical{background:#ec4899;color:white;padding:2px 6px;border-radius:10px;font-weight:600;font-size:10px}
+    .pill-high{background:#eab308;color:white;padding:2px 6px;border-radius:10px;font-weight:600;font-size:10px}
+    .pill-medium{background:#059669;color:white;padding:2px 6px;border-radius:10px;font-weight:600;font-size:10px}
   </style>
 </head>
 <body>
   <div class="container">
     <div class="header">
-      <h1 style="margin:0;">📊 Reporte de Ventas</h1>
+      <h1 style="margin:0;">📊 ${t('Reporte de Ventas')}</h1>
       <h2 style="margin:5px 0;">${esc(label)}</h2>
       <div style="font-size:14px;opacity:0.9;">
         ${now.toFormat("dd LLL yyyy, HH:mm")} (${esc(tz)})
@@ -1507,48 +2532,61 @@ function buildEmailHTML(data) {
 
     <div class="content">
       <!-- ESTADÍSTICAS PRINCIPALES -->
+      ${has('summary') ? `
       <div class="section">
-        <h3>📈 Resumen General</h3>
+        <h3>📈 ${t('Resumen General')}</h3>
         <div class="stat-row">
-          <span class="stat-label">Productos únicos vendidos:</span>
+          <span class="stat-label">${t('Productos únicos vendidos')}:</span>
           <span class="stat-value">${rows.length}</span>
         </div>
         <div class="stat-row">
-          <span class="stat-label">Total órdenes procesadas:</span>
-          <span class="stat-value">${orders.length}</span>
+          <span class="stat-label">${t('Total órdenes procesadas')}:</span>
+          <span class="stat-value">${orders.length} ${deltaBadge(primaryComparison?.metrics.orders, { small: true, t })}</span>
         </div>
         <div class="stat-row">
-          <span class="stat-label">Ingresos totales:</span>
-          <span class="stat-value">${money(totRev)}</span>
+          <span class="stat-label">${t('Ingresos totales')}:</span>
+          <span class="stat-value">${money(totRev)} ${deltaBadge(primaryComparison?.metrics.revenue, { small: true, t })}</span>
         </div>
         <div class="stat-row">
-          <span class="stat-label">Ticket promedio:</span>
-          <span class="stat-value">${money(totRev/orders.length || 0)}</span>
+          <span class="stat-label">${t('Ticket promedio')}:</span>
+          <span class="stat-value">${money(totRev/orders.length || 0)} ${deltaBadge(primaryComparison?.metrics.aov, { small: true, t })}</span>
         </div>
+        ${primaryComparison ? `<div class="muted" style="font-size:11px;color:#666;margin-top:6px;">${t('Variación vs {baseline}', { baseline: esc(t(primaryComparison.label).toLowerCase()) })}</div>` : ''}
       </div>
+      ` : ''}
+
+      <!-- VENTAS NETAS -->
+      ${has('netsales') ? renderNetSalesSection(netSales, true, t) : ''}
+
+      <!-- MARGEN BRUTO -->
+      ${has('margin') ? renderMarginSection(marginData, true, t) : ''}
+
+      <!-- COMPARATIVO -->
+      ${has('comparison') ? renderComparisonSection(comparison, true, t) : ''}
 
        <!-- SEZIONE SCONTI -->
-      ${discountAnalysis.totalDiscounts > 10 ? `
+      ${has('discounts') && discountAnalysis.totalDiscounts > 10 ? `
       <div class="section" style="background:#fef3c7;border:1px solid #fde68a;">
-        <h3>💰 Descuentos Aplicados</h3>
+        <h3>💰 ${t('Descuentos Aplicados')}</h3>
         <div class="stat-row">
-          <span class="stat-label">Total descuentos:</span>
+          <span class="stat-label">${t('Total descuentos')}:</span>
           <span class="stat-value" style="color:#dc2626;">${money(discountAnalysis.totalDiscounts)}</span>
         </div>
         <div class="stat-row">
-          <span class="stat-label">Órdenes con descuento:</span>
-          <span class="stat-value">${discountAnalysis.ordersWithDiscounts} de ${orders.length} (${discountAnalysis.discountRate.toFixed(1)}%)</span>
+          <span class="stat-label">${t('Órdenes con descuento')}:</span>
+          <span class="stat-value">${t('{count} de {total}', { count: discountAnalysis.ordersWithDiscounts, total: orders.length })} (${discountAnalysis.discountRate.toFixed(1)}%)</span>
         </div>
         <div class="stat-row">
-          <span class="stat-label">Descuento promedio:</span>
+          <span class="stat-label">${t('Descuento promedio')}:</span>
           <span class="stat-value">${money(discountAnalysis.avgDiscount)}</span>
         </div>
       </div>
       ` : ''}
 
       <!-- CANALES DE VENTA -->
+      ${has('channels') ? `
       <div class="section">
-        <h3>🛒 Top Canales de Venta</h3>
+        <h3>🛒 ${t('Top Canales de Venta')}</h3>
         ${topChannels.map(([channel, items]) => `
           <div class="stat-row">
             <span class="stat-label">${channel.charAt(0).toUpperCase() + channel.slice(1)}:</span>
@@ -1556,70 +2594,76 @@ function buildEmailHTML(data) {
           </div>
         `).join('')}
       </div>
+      ` : ''}
 
       <!-- MÉTODOS DE PAGO CON REVENUE -->
+      ${has('payments') ? `
       <div class="section">
-        <h3>💳 Métodos de Pago</h3>
+        <h3>💳 ${t('Métodos de Pago')}</h3>
         ${topPayments.map(([method, data]) => `
           <div class="stat-row">
-            <span class="stat-label">${method}:</span>
+            <span class="stat-label">${t(method)}:</span>
             <span class="stat-value">${data.items} items - ${money(data.revenue)}</span>
           </div>
         `).join('')}
       </div>
+      ` : ''}
 
       <!-- BREAKDOWN POR LOCATION -->
-      ${Object.keys(locationStats).length > 0 ? `
+      ${has('locations') && Object.keys(locationStats).length > 0 ? `
       <div class="section">
-        <h3>📍 Ventas por Location</h3>
+        <h3>📍 ${t('Ventas por Location')}</h3>
         ${Object.entries(locationStats).sort((a,b) => b[1].revenue - a[1].revenue).slice(0,3).map(([name, stats]) => `
           <div class="stat-row">
             <span class="stat-label">${name}:</span>
-            <span class="stat-value">${money(stats.revenue)} (${stats.orders} órdenes)</span>
+            <span class="stat-value">${money(stats.revenue)} (${stats.orders} ${t('órdenes')})</span>
           </div>
         `).join('')}
       </div>
       ` : ''}
 
       <!-- TOP 5 PRODUCTOS VENDIDOS -->
+      ${has('products') ? `
       <div class="section">
-        <h3>🏆 Top 5 Productos Vendidos</h3>
+        <h3>🏆 ${t('Top 5 Productos Vendidos')}</h3>
         ${rows.slice(0, 5).map((p, i) => `
           <div class="stat-row">
             <span class="stat-label">${i + 1}. ${esc(p.productTitle)}${p.variantTitle !== 'Default Title' ? ` - ${esc(p.variantTitle)}` : ''}:</span>
-            <span class="stat-value">${p.soldQty} vendidas - ${money(p.revenue)}</span>
+            <span class="stat-value">${t('{count} vendidas', { count: p.soldQty })} - ${money(p.revenue)}</span>
           </div>
         `).join('')}
       </div>
+      ` : ''}
 
     <!-- PRODUCTOS USO INTERNO -->
-    ${(() => {
+    ${has('products') ? (() => {
       const usoInternoProducts = rows.filter(r => r.revenue === 0 && r.soldQty > 0);
       if (usoInternoProducts.length === 0) return '';
   
       return `
       <div class="section">
-        <h3>🏥 Productos Uso Interno (${usoInternoProducts.length})</h3>
+        <h3>🏥 ${t('Productos Uso Interno')} (${usoInternoProducts.length})</h3>
        ${usoInternoProducts.map(p => `
          <div class="stat-row">
            <span class="stat-label">${esc(p.productTitle)}${p.variantTitle !== 'Default Title' ? ` - ${esc(p.variantTitle)}` : ''}:</span>
-            <span class="stat-value">${p.soldQty} unidades utilizadas</span>
+            <span class="stat-value">${t('{count} unidades utilizadas', { count: p.soldQty })}</span>
           </div>
        `).join('')}
       </div>
       `;
-    })()}
+    })() : ''}
 
+      ${has('stock') ? `
       <!-- PRODUCTOS OUT OF STOCK -->
       ${outOfStockProducts.length > 0 ? `
       <div class="alert">
-        <strong>⚠️ Productos Sin Stock (${outOfStockProducts.length}):</strong>
+        <strong>⚠️ ${t('Productos Sin Stock')} (${outOfStockProducts.length}):</strong>
         <div class="product-list">
           ${outOfStockProducts.slice(0, maxOutOfStockShow).map(p => `
-            <div class="product-item">• ${esc(p.productTitle)} ${p.variantTitle !== 'Default Title' ? `- ${esc(p.variantTitle)}` : ''} (Vendidas: ${p.soldQty})</div>
+            <div class="product-item">• ${esc(p.productTitle)} ${p.variantTitle !== 'Default Title' ? `- ${esc(p.variantTitle)}` : ''} (${t('Vendidas')}: ${p.soldQty})</div>
           `).join('')}
           ${outOfStockProducts.length > maxOutOfStockShow ? `
-            <div style="margin-top:6px;font-style:italic;color:#666;">... y ${outOfStockProducts.length - maxOutOfStockShow} productos más sin stock</div>
+            <div style="margin-top:6px;font-style:italic;color:#666;">${t('... y {count} productos más sin stock', { count: outOfStockProducts.length - maxOutOfStockShow })}</div>
           ` : ''}
         </div>
       </div>
@@ -1628,13 +2672,13 @@ function buildEmailHTML(data) {
       <!-- PRODUCTOS CON 1 UNIDAD (STOCK CRITICO) -->
       ${criticalStockProducts.length > 0 ? `
       <div class="warning">
-        <strong>⚡ Productos con 1 Unidad Restante (${criticalStockProducts.length}):</strong>
+        <strong>⚡ ${t('Productos con 1 Unidad Restante')} (${criticalStockProducts.length}):</strong>
         <div class="product-list">
           ${criticalStockProducts.slice(0, maxCriticalShow).map(p => `
-            <div class="product-item">• ${esc(p.productTitle)} ${p.variantTitle !== 'Default Title' ? `- ${esc(p.variantTitle)}` : ''} (Vendidas: ${p.soldQty})</div>
+            <div class="product-item">• ${esc(p.productTitle)} ${p.variantTitle !== 'Default Title' ? `- ${esc(p.variantTitle)}` : ''} (${t('Vendidas')}: ${p.soldQty})</div>
           `).join('')}
           ${criticalStockProducts.length > maxCriticalShow ? `
-            <div style="margin-top:6px;font-style:italic;color:#666;">... y ${criticalStockProducts.length - maxCriticalShow} productos más con 1 unidad</div>
+            <div style="margin-top:6px;font-style:italic;color:#666;">${t('... y {count} productos más con 1 unidad', { count: criticalStockProducts.length - maxCriticalShow })}</div>
           ` : ''}
         </div>
       </div>
@@ -1642,28 +2686,40 @@ function buildEmailHTML(data) {
       
       ${lowStockProducts.length > 0 ? `
       <div class="info">
-        <strong>📦 Stock Bajo:</strong> ${lowStockProducts.length} productos con 2-4 unidades
+        <strong>📦 ${t('Stock Bajo')}:</strong> ${t('{count} productos con 2-4 unidades', { count: lowStockProducts.length })}
       </div>
       ` : ''}
 
       ${outOfStockProducts.length === 0 && criticalStockProducts.length === 0 && lowStockProducts.length === 0 ? `
       <div class="success">
-        <strong>✅ Stock OK:</strong> Todos los productos tienen inventario suficiente
+        <strong>✅ ${t('Stock OK')}:</strong> ${t('Todos los productos tienen inventario suficiente')}
       </div>
       ` : ''}
+      ` : ''}
+
+      <!-- REORDEN (ROP) -->
+      ${has('rop') && ropRows ? renderROPTable(ropRows, true, t) : ''}
+
+      <!-- DEAD STOCK -->
+      ${has('deadstock') && deadStockData ? renderDeadStockAlert(deadStockData, true, t) : ''}
 
       <!-- NOTA ALLEGATO -->
+      ${attachments.includes('html') || attachments.includes('pdf') ? `
       <div style="background:#eff6ff;border:1px solid #bfdbfe;border-radius:6px;padding:15px;margin:20px 0;text-align:center;">
-        <div style="font-weight:600;margin-bottom:8px;">🔍 Análisis Completo</div>
+        <div style="font-weight:600;margin-bottom:8px;">🔍 ${t('Análisis Completo')}</div>
         <div style="font-size:13px;color:#374151;">
-          Descarga y abre el archivo adjunto HTML con tu navegador para ver:<br>
-          • Gráficos interactivos • Análisis ABC • Tablas completas • Dead Stock • ROP
+          ${attachments.includes('html')
+            ? t('Descarga y abre el archivo adjunto HTML con tu navegador para ver:')
+            : t('Abre el PDF adjunto para ver:')}<br>
+          • ${t(attachments.includes('html') ? 'Gráficos interactivos' : 'Gráficos')} • ${t('Análisis ABC')} • ${t('Tablas completas')} • Dead Stock • ROP
         </div>
       </div>
+      ` : ''}
     </div>
 
     <div class="footer">
-      Reporte automático | [${USE_GRAPHQL ? 'GraphQL ⚡' : 'REST 🔵'}] | Performance: ${timing?.total || 0}ms | Versión: 2.1
+      ${t('Reporte automático')} | [${USE_GRAPHQL ? 'GraphQL ⚡' : 'REST 🔵'}] | Performance: ${timing?.total || 0}ms | ${t('Versión')}: 2.1${unsubscribe ? `
+      <br><a href="${UNSUBSCRIBE_PLACEHOLDER}" style="color:#666;">${t('Cancelar suscripción')}</a>` : ''}
     </div>
   </div>
 </body>
@@ -1673,17 +2729,25 @@ function buildEmailHTML(data) {
 // ========================================
 // GENERAZIONE HTML COMPLETO
 // ========================================
+
+// Nota accanto al titolo (HTML e PDF): da quali location viene lo stock
+function inventoryScopeNote(data) {
+  if (data.location) return ' (Inventario solo de esta location)';
+  return data.includeAllLocations ? 
+    ' (Inventario GLOBAL - todas las locations)' : 
+    ' (Solo locations activas)';
+}
+
 function buildCompleteHTML(data, isEmail = false) {
-  const { label, tz, now, rows, orders, conversions, comparison, timing, 
+  const { label, tz, now, rows, orders, conversions, comparison, netSales, marginData, timing, 
           deadStockData, ropRows, abcData, includeAllLocations, locationStats, performanceStats } = data;
   const totRev = orders.reduce((s, o) => s + getOrderRevenue(o), 0);
   const USE_GRAPHQL = process.env.USE_GRAPHQL === 'true';
+  const primaryComparison = comparison?.baselines?.[0];
 
   const isEmailMode = isEmail;
   const headerStyle = isEmailMode ? 'background:#2563eb;color:white;padding:20px;margin:-16px -16px 24px;' : '';
-  const inventoryNote = data.includeAllLocations ? 
-    ' (Inventario GLOBAL - todas las locations)' : 
-    ' (Solo locations activas)';
+  const inventoryNote = inventoryScopeNote(data);
   const discountAnalysis = analyzeDiscounts(orders);
 
   return `<!doctype html>
@@ -1702,7 +2766,7 @@ function buildCompleteHTML(data, isEmail = false) {
       <h2 style="margin:8px 0;${isEmailMode?'color:#dbeafe;':'color:#4b5563;'}">${esc(label)}${inventoryNote}</h2>
       <div class="muted" style="${isEmailMode?'color:#bfdbfe;':''}">
         Generado: ${now.toFormat("dd LLL yyyy, HH:mm")} (${esc(tz)})
-        ${comparison ? ` - vs anterior: <strong style="color:${comparison.revChange >= 0 ? '#10b981' : '#ef4444'}">${comparison.revChange >= 0 ? '+' : ''}${comparison.revPercent}%</strong>` : ''}
+        ${primaryComparison ? ` - vs ${esc(primaryComparison.label.toLowerCase())}: ${deltaBadge(primaryComparison.metrics.revenue)}` : ''}
       </div>
     </header>
 
@@ -1717,16 +2781,19 @@ function buildCompleteHTML(data, isEmail = false) {
         <div style="font-size:20px;margin-bottom:4px;">Órdenes</div>
         <div class="stat-number">${orders.length}</div>
         <div class="stat-label">Órdenes procesadas</div>
+        ${deltaBadge(primaryComparison?.metrics.orders)}
       </div>
       <div class="stat-card">
         <div style="font-size:20px;margin-bottom:4px;">Ingresos</div>
         <div class="stat-number">${money(totRev)}</div>
         <div class="stat-label">Total ventas</div>
+        ${deltaBadge(primaryComparison?.metrics.revenue)}
       </div>
       <div class="stat-card">
         <div style="font-size:20px;margin-bottom:4px;">Ticket</div>
         <div class="stat-number">${money(totRev/orders.length || 0)}</div>
         <div class="stat-label">Ticket promedio</div>
+        ${deltaBadge(primaryComparison?.metrics.aov)}
       </div>
       <div class="stat-card">
         <div style="font-size:20px;margin-bottom:4px;">Stock</div>
@@ -1804,26 +2871,38 @@ function buildCompleteHTML(data, isEmail = false) {
       })()}
     </div>
 
-    <!-- SECCIONES PRINCIPALES DEL REPORTE -->
-    ${renderLocationBreakdown(locationStats, isEmailMode)}
-    ${!isEmailMode ? renderUsoInternoSection(rows) : ''}
-    ${!isEmailMode ? renderStockCriticoVendidosSection(rows) : ''}
-    ${renderDeadStockAlert(deadStockData, isEmailMode)}
-    ${renderROPTable(ropRows, isEmailMode)}
-    ${renderProductsTable(rows, isEmailMode)}
-    ${!isEmailMode ? renderABCSummary(abcData) : ''}
-    ${renderConversionAnalysis(conversions, isEmailMode)}
-    ${chartsHTML(orders, isEmailMode, locationStats)}
+    <!-- SECCIONES PRINCIPALES DEL REPORTE (page-start = pagina nuova in stampa) -->
+    <section class="report-section">
+      ${renderNetSalesSection(netSales, isEmailMode)}
+      ${renderMarginSection(marginData, isEmailMode)}
+      ${renderComparisonSection(comparison, isEmailMode)}
+      ${renderLocationBreakdown(locationStats, isEmailMode)}
+    </section>
+    <section class="report-section page-start">
+      ${!isEmailMode ? renderUsoInternoSection(rows) : ''}
+      ${!isEmailMode ? renderStockCriticoVendidosSection(rows) : ''}
+      ${renderDeadStockAlert(deadStockData, isEmailMode)}
+    </section>
+    <section class="report-section page-start">${renderROPTable(ropRows, isEmailMode)}</section>
+    <section class="report-section page-start">${renderProductsTable(rows, isEmailMode)}</section>
+    <section class="report-section page-start">
+      ${!isEmailMode ? renderABCSummary(abcData) : ''}
+      ${renderConversionAnalysis(conversions, isEmailMode)}
+      ${chartsHTML(orders, isEmailMode, locationStats, tz)}
+    </section>
 
     <!-- FOOTER CON NAVIGAZIONE E PERFORMANCE STATS -->
     <footer style="margin-top:40px;padding-top:20px;border-top:1px solid #e5e7eb;text-align:center;">
       <div class="muted">
-        <div style="margin-bottom:8px;">
+        <div class="no-print" style="margin-bottom:8px;">
           <strong>Navigation:</strong>
           <a href="?period=daily&today=1" style="color:#2563eb;">Hoy</a> |
           <a href="?period=daily" style="color:#2563eb;">Ayer</a> |
           <a href="?period=weekly" style="color:#2563eb;">Semana</a> |
-          <a href="?period=monthly" style="color:#2563eb;">Mes</a>
+          <a href="?period=monthly" style="color:#2563eb;">Mes</a> |
+          <a href="?period=quarterly" style="color:#2563eb;">Trimestre</a> |
+          <a href="?period=yearly" style="color:#2563eb;">Año</a> |
+          <a href="?period=ytd" style="color:#2563eb;">YTD</a>
         </div>
         ${!isEmailMode ? `
         <div style="margin-bottom:8px;">
@@ -1842,6 +2921,8 @@ function buildCompleteHTML(data, isEmail = false) {
         <div style="margin-top:8px;font-size:10px;color:#9ca3af;">
           📊 Performance: ${(performanceStats.totalTime/1000).toFixed(1)}s | API: ${performanceStats.apiCalls} | Cache: ${performanceStats.cacheHits}
           ${performanceStats.rateLimitHits > 0 ? ` | Rate Limits: ${performanceStats.rateLimitHits}` : ''}
+          ${performanceStats.variantFailures?.length ? ` | ⚠️ Variantes sin datos: ${performanceStats.variantFailures.length}` : ''}
+          ${performanceStats.graphql ? ` | GraphQL: ${performanceStats.graphql.queries} queries, ${performanceStats.graphql.actualCost} pts${performanceStats.graphql.throttled ? `, ${performanceStats.graphql.throttled} throttled` : ''}` : ''}
         </div>
         ` : ''}
       </div>
@@ -1851,6 +2932,489 @@ function buildCompleteHTML(data, isEmail = false) {
 </html>`;
 }
 
+// Opzioni dell'email per destinatario: sezioni, lingua, allegati previsti (solo per la nota finale)
+// e link di disiscrizione (segnaposto che send-sales-email sostituisce per ogni destinatario)
+// Non entrano nella cache key: si applicano al reportData già calcolato
+function parseEmailOptions(query, { period, today, start, end, location = null }) {
+  const lang = String(query.lang || DEFAULT_LANGUAGE).toLowerCase();
+  if (!REPORT_LANGUAGES.includes(lang)) {
+    throw badRequest(`Lingua non supportata: ${lang} (valori ammessi: ${REPORT_LANGUAGES.join(", ")})`);
+  }
+  const t = getTranslator(lang);
+  
+  return {
+    t,
+    sections: query.sections ? expandEmailSections(query.sections) : DEFAULT_EMAIL_SECTIONS,
+    attachments: query.attachments == null
+      ? ["html"]
+      : String(query.attachments).split(",").map(a => a.trim().toLowerCase()).filter(Boolean),
+    label: withLocation(buildPeriodLabel(period, today, start, end, t), location),
+    unsubscribe: query.unsubscribe === "1"
+  };
+}
+
+// Template email condiviso tra risposta fresca e snapshot dallo store
+function buildEmailTemplate(reportData, period, viewQuery, { t = T_ES, label = reportData.label, ...htmlOptions } = {}) {
+  const periodName = t(PERIOD_NAMES[period] || period);
+  return {
+    subject: t("Reporte ventas {period} - {label} - {orders} ordenes, {revenue}", {
+      period: periodName,
+      label,
+      orders: reportData.stats.totalOrders,
+      revenue: money(reportData.stats.totalRevenue)
+    }),
+    html: buildEmailHTML({ ...reportData, label }, { t, ...htmlOptions }),
+    text: `${t("Reporte ventas {period} - {label}", { period: periodName, label })}\n${t("Ver online")}: ${process.env.VERCEL_URL}/api/sales-report?${viewQuery}` +
+      (htmlOptions.unsubscribe ? `\n\n${t("Cancelar suscripción")}: ${UNSUBSCRIBE_PLACEHOLDER}` : ""),
+    language: t.lang,
+    sections: htmlOptions.sections || DEFAULT_EMAIL_SECTIONS
+  };
+}
+
+// ========================================
+// REPORT JSON (format=json, schema versionato)
+// ========================================
+const toNumber = (v) => (v == null || v === "" ? null : Number(v));
+const toId = (v) => (v == null ? null : Number(v));
+const toISO = (v) => (DateTime.isDateTime(v) ? v.toISO() : v);
+
+function productJson(r) {
+  return {
+    variantId: toId(r.variantId),
+    productId: toId(r.productId),
+    sku: r.sku || "",
+    productTitle: r.productTitle,
+    variantTitle: r.variantTitle,
+    unitPrice: Number(r.unitPrice || 0),
+    soldQty: Number(r.soldQty || 0),
+    revenue: Number(r.revenue || 0),
+    inventoryAvailable: toNumber(r.inventoryAvailable),
+    unitCost: toNumber(r.unitCost),
+    cogs: toNumber(r.cogs),
+    grossProfit: toNumber(r.grossProfit),
+    marginPercent: toNumber(r.marginPercent)
+  };
+}
+
+/**
+ * Tutte le sezioni del report come dati strutturati (schemas/sales-report.v1.schema.json)
+ * Stringhe formattate e campi interni (_method, _variantFallbackQty...) restano fuori
+ * @param {object} reportData - Report fresco o snapshot dallo store
+ * @param {{period: string, start: DateTime, end: DateTime}} range
+ * Esportata per il test contro lo schema (test/report-json.test.js)
+ */
+export function buildReportJson(reportData, { period, start, end }) {
+  const { stats, netSales, marginData, rows, abcData, ropRows, deadStockData, locationStats, conversions, comparison } = reportData;
+  
+  const abcCategories = Object.fromEntries(["A", "B", "C"].map(category => {
+    const items = abcData.filter(r => r.abcCategory === category);
+    return [category, { count: items.length, revenue: items.reduce((s, r) => s + r.revenue, 0) }];
+  }));
+  
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    generatedAt: toISO(reportData.now),
+    report: {
+      period,
+      label: reportData.label,
+      start: start.toISO(),
+      end: end.toISO(),
+      timezone: reportData.tz,
+      currency: stats.currency || null,
+      includeAllLocations: Boolean(reportData.includeAllLocations),
+      location: reportData.location || null
+    },
+    summary: {
+      totalProducts: stats.totalProducts,
+      totalRevenue: stats.totalRevenue,
+      totalOrders: stats.totalOrders,
+      totalDiscounts: stats.totalDiscounts,
+      cogs: stats.cogs,
+      grossProfit: stats.grossProfit,
+      grossMarginPercent: toNumber(stats.grossMarginPercent),
+      deadStockVariants: stats.deadStockVariants,
+      deadStockValue: stats.deadStockValue
+    },
+    netSales: netSales || null,
+    margin: {
+      ...marginData,
+      lowestMargin: marginData.lowestMargin.map(productJson)
+    },
+    products: rows.map(productJson),
+    abc: {
+      categories: abcCategories,
+      items: abcData.map(r => ({
+        variantId: toId(r.variantId),
+        sku: r.sku || "",
+        productTitle: r.productTitle,
+        rank: r.rank,
+        revenue: r.revenue,
+        revenuePercent: toNumber(r.revenuePercent) ?? 0,
+        cumulativePercent: toNumber(r.cumulativePercent) ?? 0,
+        category: r.abcCategory
+      }))
+    },
+    reorder: ropRows.map(r => ({
+      variantId: toId(r.variantId),
+      sku: r.sku || "",
+      productTitle: r.productTitle,
+      variantTitle: r.variantTitle,
+      onHand: r.onHand,
+      sales30d: r.sales30d,
+      dailyVelocity: Number(r.dailyVel),
+      reorderPoint: r.rop,
+      targetStock: r.target,
+      suggestedQty: r.qty,
+      coverageDays: r.coverage === "inf" ? null : Number(r.coverage),
+      urgency: r.urgency
+    })),
+    deadStock: {
+      thresholdDays: deadStockData.thresholdDays,
+      lookbackDays: deadStockData.lookbackDays,
+      incomplete: Boolean(deadStockData.incomplete),
+      stockedVariants: deadStockData.stockedVariants,
+      buckets: deadStockData.buckets.map(b => ({
+        key: b.key, label: b.label, minDays: b.min,
+        count: b.count, units: b.units, retailValue: b.retailValue, costValue: b.costValue
+      })),
+      dead: deadStockData.dead,
+      items: deadStockData.items.map(i => ({
+        variantId: toId(i.variantId),
+        inventoryItemId: toId(i.inventoryItemId),
+        sku: i.sku || "",
+        productTitle: i.productTitle,
+        variantTitle: i.variantTitle,
+        productStatus: i.productStatus,
+        quantity: i.quantity,
+        unitPrice: i.unitPrice,
+        unitCost: toNumber(i.unitCost),
+        retailValue: i.retailValue,
+        costValue: toNumber(i.costValue),
+        lastSaleDate: i.lastSaleDate,
+        daysStagnant: i.daysStagnant,
+        bucket: i.bucket
+      }))
+    },
+    locations: Object.entries(locationStats)
+      .map(([name, l]) => ({ name, orders: l.orders, revenue: l.revenue, items: l.items, cogs: l.cogs }))
+      .sort((a, b) => b.revenue - a.revenue),
+    channels: conversions.map(c => ({
+      channel: c.channel,
+      orders: c.orders,
+      revenue: c.revenue,
+      conversionRate: c.conversionRate,
+      aov: Number(c.aov)
+    })),
+    discounts: analyzeDiscounts(reportData.orders),
+    comparison: comparison && {
+      baselines: comparison.baselines.map(b => ({
+        mode: b.mode,
+        label: b.label,
+        start: toISO(b.start),
+        end: toISO(b.end),
+        metrics: b.metrics,
+        locations: b.locations
+      }))
+    },
+    diagnostics: {
+      cached: Boolean(reportData.cached),
+      cacheAgeSeconds: reportData.cacheAge ?? null,
+      timing: reportData.timing || {},
+      variantFailures: reportData.performanceStats?.variantFailures || []
+    }
+  };
+}
+
+function sendReportJson(res, reportData, range, debug) {
+  const body = buildReportJson(reportData, range);
+  
+  // In debug il payload si valida contro lo schema pubblicato
+  if (debug) {
+    const validation = validateReportJson(body);
+    if (!validation.valid) console.warn(`⚠️ Report JSON non conforme a ${REPORT_SCHEMA_ID}:`, validation.errors.slice(0, 5));
+    body.diagnostics.schemaValidation = validation;
+  }
+  
+  res.setHeader("Content-Type", "application/json");
+  res.setHeader("X-Report-Schema", REPORT_SCHEMA_ID);
+  return res.status(200).json(body);
+}
+
+// ========================================
+// EXPORT TABELLARE (format=csv / format=xlsx)
+// ========================================
+const URGENCY_LABELS = { critical: "CRITICO", high: "ALTO", medium: "MEDIO" };
+const variantLabel = (title) => title === "Default Title" ? "" : title;
+
+/**
+ * Tabelle del report complete (senza i limiti di righe dell'HTML), stessi dati di buildCompleteHTML
+ * L'ordine delle chiavi è l'ordine dei fogli XLSX
+ * @param {object} reportData
+ * @returns {Record<string, {title: string, columns: object[], rows: object[]}>}
+ */
+function buildExportTables(reportData) {
+  const { rows, ropRows, deadStockData, abcData, locationStats, orders } = reportData;
+  
+  return {
+    products: {
+      title: "Productos",
+      columns: [
+        { header: "Producto", value: r => r.productTitle },
+        { header: "Variante", value: r => variantLabel(r.variantTitle) },
+        { header: "SKU", value: r => r.sku },
+        { header: "Variant ID", value: r => r.variantId },
+        { header: "Precio", type: "money", value: r => r.unitPrice },
+        { header: "Vendidas", type: "integer", value: r => r.soldQty },
+        { header: "Ingresos", type: "money", value: r => r.revenue },
+        { header: "Stock", type: "integer", value: r => r.inventoryAvailable },
+        { header: "Costo unitario", type: "money", value: r => r.unitCost },
+        { header: "COGS", type: "money", value: r => r.cogs },
+        { header: "Utilidad bruta", type: "money", value: r => r.grossProfit },
+        { header: "Margen %", type: "percent", value: r => r.marginPercent }
+      ],
+      rows
+    },
+    rop: {
+      title: "Reorden",
+      columns: [
+        { header: "Urgencia", value: r => URGENCY_LABELS[r.urgency] || r.urgency },
+        { header: "Producto", value: r => r.productTitle },
+        { header: "Variante", value: r => variantLabel(r.variantTitle) },
+        { header: "SKU", value: r => r.sku },
+        { header: "Stock", type: "integer", value: r => r.onHand },
+        { header: "Ventas 30d", type: "integer", value: r => r.sales30d },
+        { header: "Vel/dia", type: "number", value: r => r.dailyVel },
+        // Vuoto = nessuna vendita (copertura infinita)
+        { header: "Dias restantes", type: "number", value: r => r.coverage === "inf" ? null : r.coverage },
+        { header: "Punto de reorden", type: "integer", value: r => r.rop },
+        { header: "Stock objetivo", type: "integer", value: r => r.target },
+        { header: "Cantidad", type: "integer", value: r => r.qty }
+      ],
+      rows: sortByUrgency(ropRows)
+    },
+    deadstock: {
+      title: "Dead stock",
+      columns: [
+        { header: "SKU", value: i => i.sku },
+        { header: "Producto", value: i => i.productTitle },
+        { header: "Variante", value: i => variantLabel(i.variantTitle) },
+        { header: "Estado", value: i => i.productStatus },
+        { header: "Stock", type: "integer", value: i => i.quantity },
+        { header: "Última venta", value: i => i.lastSaleDate || "Sin ventas" },
+        { header: "Dias sin venta", type: "integer", value: i => i.daysStagnant },
+        { header: "Antigüedad", value: i => deadStockData.buckets.find(b => b.key === i.bucket)?.label || i.bucket },
+        { header: "Precio", type: "money", value: i => i.unitPrice },
+        { header: "Costo unitario", type: "money", value: i => i.unitCost },
+        { header: "Valor costo", type: "money", value: i => i.costValue },
+        { header: "Valor venta", type: "money", value: i => i.retailValue }
+      ],
+      rows: deadStockData.items
+    },
+    abc: {
+      title: "ABC",
+      columns: [
+        { header: "Rank", type: "integer", value: r => r.rank },
+        { header: "Categoria", value: r => r.abcCategory },
+        { header: "Producto", value: r => r.productTitle },
+        { header: "Variante", value: r => variantLabel(r.variantTitle) },
+        { header: "SKU", value: r => r.sku },
+        { header: "Ingresos", type: "money", value: r => r.revenue },
+        { header: "% ingresos", type: "percent", value: r => r.revenuePercent },
+        { header: "% acumulado", type: "percent", value: r => r.cumulativePercent },
+        { header: "Margen %", type: "percent", value: r => r.marginPercent }
+      ],
+      rows: abcData
+    },
+    locations: {
+      title: "Locations",
+      columns: [
+        { header: "Location", value: ([name]) => name },
+        { header: "Ordenes", type: "integer", value: ([, l]) => l.orders },
+        { header: "Items", type: "integer", value: ([, l]) => l.items },
+        { header: "Ingresos", type: "money", value: ([, l]) => l.revenue },
+        { header: "COGS", type: "money", value: ([, l]) => l.cogs }
+      ],
+      rows: Object.entries(locationStats).sort((a, b) => b[1].revenue - a[1].revenue)
+    },
+    payments: {
+      title: "Tipos de pago",
+      columns: [
+        { header: "Tipo de pago", value: ([type]) => type },
+        { header: "Ordenes", type: "integer", value: ([, p]) => p.orders },
+        { header: "Items", type: "integer", value: ([, p]) => p.items },
+        { header: "Ingresos", type: "money", value: ([, p]) => p.revenue }
+      ],
+      rows: Object.entries(analyzePaymentTypes(orders)).sort((a, b) => b[1].items - a[1].items)
+    }
+  };
+}
+
+const EXPORT_SECTIONS = ["products", "rop", "deadstock", "abc", "locations", "payments"];
+
+// section=products (csv: una sola, default products) o section=products,rop (xlsx: default tutte)
+function parseExportSections(format, sectionParam) {
+  if (format !== "csv" && format !== "xlsx") return null;
+  
+  const sections = String(sectionParam || (format === "csv" ? "products" : EXPORT_SECTIONS.join(",")))
+    .split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+  const unknown = sections.filter(s => !EXPORT_SECTIONS.includes(s));
+  
+  if (unknown.length) {
+    throw badRequest(`Sezione non valida: ${unknown.join(", ")} (valori ammessi: ${EXPORT_SECTIONS.join(", ")})`);
+  }
+  if (format === "csv" && sections.length !== 1) {
+    throw badRequest("Il CSV contiene una sola sezione per richiesta");
+  }
+  return sections;
+}
+
+// Nome file senza estensione; i report per location portano il nome del negozio
+function reportFileName(reportData, { period, start }) {
+  const suffix = reportData.location ? `-${locationSlug(reportData.location)}` : "";
+  return `reporte-ventas-${period}-${start.toISODate()}${suffix}`;
+}
+
+function sendReportExport(res, reportData, { format, sections, period, start }) {
+  const tables = buildExportTables(reportData);
+  const baseName = reportFileName(reportData, { period, start });
+  
+  if (format === "csv") {
+    const [section] = sections;
+    res.setHeader("Content-Type", CSV_CONTENT_TYPE);
+    res.setHeader("Content-Disposition", `attachment; filename="${baseName}-${section}.csv"`);
+    return res.status(200).send(tableToCSV(tables[section]));
+  }
+  
+  res.setHeader("Content-Type", XLSX_CONTENT_TYPE);
+  res.setHeader("Content-Disposition", `attachment; filename="${baseName}.xlsx"`);
+  return res.status(200).send(tablesToXLSX(sections.map(section => tables[section])));
+}
+
+// ========================================
+// PDF (format=pdf)
+// ========================================
+// native (pdfkit, default) | chromium (Puppeteer sul report HTML, con fallback su native)
+const PDF_RENDERER = (process.env.PDF_RENDERER || "native").toLowerCase();
+
+const percentText = (delta) => delta.percent == null ? "" : ` (${delta.percent >= 0 ? "+" : ""}${delta.percent.toFixed(1)}%)`;
+
+/**
+ * Modello per il PDF nativo (lib/report-pdf.js): stesse sezioni e limiti di righe del report web
+ * @param {object} reportData
+ */
+function buildPdfModel(reportData) {
+  const { label, tz, now, rows, orders, comparison, netSales, marginData, deadStockData, locationStats, stats } = reportData;
+  const tables = buildExportTables(reportData);
+  const primaryComparison = comparison?.baselines?.[0];
+  const units = rows.reduce((s, r) => s + r.soldQty, 0);
+  
+  const cards = [
+    { label: "Ingresos", value: money(stats.totalRevenue), note: primaryComparison ? `vs ${primaryComparison.label.toLowerCase()}${percentText(primaryComparison.metrics.revenue)}` : "" },
+    { label: "Órdenes", value: stats.totalOrders.toLocaleString(REPORT_LOCALE), note: `Ticket promedio ${money(stats.totalOrders ? stats.totalRevenue / stats.totalOrders : 0)}` },
+    { label: "Productos", value: rows.length.toLocaleString(REPORT_LOCALE), note: `${units.toLocaleString(REPORT_LOCALE)} unidades` },
+    { label: "Descuentos", value: money(stats.totalDiscounts) },
+    ...(marginData?.costedRows ? [{ label: "Margen bruto", value: marginData.marginPercent != null ? `${marginData.marginPercent.toFixed(1)}%` : "—", note: money(marginData.grossProfit) }] : []),
+    { label: "Dead stock", value: String(deadStockData.dead.count), note: money(deadStockData.dead.retailValue) }
+  ];
+  
+  const blocks = [];
+  
+  if (netSales) {
+    blocks.push({ type: "summary", title: "Ventas Netas", items: [
+      ["Ventas brutas", money(netSales.grossSales)],
+      ["Descuentos", money(-netSales.discounts)],
+      ["Devoluciones", money(-netSales.returns)],
+      ["Ventas netas", money(netSales.netSales)],
+      ["Impuestos", money(netSales.taxes)],
+      ["Envío", money(netSales.shipping)],
+      ["Ventas totales", money(netSales.totalSales)],
+      ["Reembolsos", `${netSales.refundCount} (${money(netSales.refundedAmount)})`]
+    ]});
+  }
+  
+  if (marginData?.costedRows) {
+    blocks.push({ type: "summary", title: "Margen Bruto y COGS", items: [
+      ["COGS", money(marginData.cogs)],
+      ["Utilidad bruta", money(marginData.grossProfit)],
+      ["Margen", marginData.marginPercent != null ? `${marginData.marginPercent.toFixed(1)}%` : "—"],
+      ["Productos con costo", `${marginData.costedRows} de ${marginData.totalRows} (${money(marginData.costedRevenue)})`]
+    ]});
+  }
+  
+  if (comparison?.baselines?.length) {
+    blocks.push({ type: "table", title: "Comparativo", table: {
+      columns: [
+        { header: "Métrica", value: m => m.label },
+        { header: "Actual", value: m => m.format(comparison.baselines[0].metrics[m.key].current) },
+        ...comparison.baselines.map(b => ({ header: b.label, value: m => `${m.format(b.metrics[m.key].baseline)}${percentText(b.metrics[m.key])}` }))
+      ],
+      rows: COMPARISON_METRICS
+    }});
+  }
+  
+  if (Object.keys(locationStats).length) {
+    blocks.push({ type: "table", title: "Breakdown por Location", table: tables.locations });
+  }
+  
+  blocks.push(
+    { type: "table", title: `Dead Stock (${deadStockData.thresholdDays}+ dias sin ventas)${deadStockData.incomplete ? " - historial incompleto" : ""}`, table: tables.deadstock, maxRows: 50, pageBreak: true,
+      emptyText: "No hay productos en stock sin ventas en los últimos 30+ dias" },
+    { type: "table", title: "Productos para reordenar", table: tables.rop, maxRows: 50, pageBreak: true,
+      emptyText: "Todos los productos tienen stock suficiente." },
+    { type: "table", title: "Top productos vendidos", table: tables.products, maxRows: 100, pageBreak: true },
+    { type: "table", title: "Análisis ABC (Regla 80/20)", table: tables.abc, maxRows: 50, pageBreak: true },
+    { type: "charts", title: "Ventas por canal, pago, horario y ticket", pageBreak: true,
+      charts: buildChartSections(orders, locationStats, tz).map(sec => {
+        const hasData = sec.parts.some(p => p.value > 0);
+        const { total, segments } = donutSegments(sec.parts, PDF_DONUT_SIZE);
+        return {
+          title: sec.title,
+          total,
+          segments: hasData ? segments : [],
+          legend: sec.parts.map((p, i) => ({
+            color: PALETTE[i % PALETTE.length],
+            label: p.label,
+            value: sec.title === "Tipo de pago" && p.revenue ? `${p.value} (${money(p.revenue)})` : String(p.value),
+            rawValue: p.value
+          }))
+        };
+      })
+    }
+  );
+  
+  return {
+    title: "Reporte de Ventas",
+    subtitle: `${label}${inventoryScopeNote(reportData)}`,
+    generated: `Generado: ${now.toFormat("dd LLL yyyy, HH:mm")} (${tz})`,
+    footer: `Reporte de Ventas - ${label}`,
+    currency: stats.currency || globalCache.shop?.currency,
+    cards,
+    blocks
+  };
+}
+
+async function renderReportPdf(reportData) {
+  if (PDF_RENDERER === "chromium") {
+    try {
+      const pdf = await renderPdf(buildCompleteHTML(reportData), { title: `Reporte de Ventas - ${reportData.label}` });
+      return { pdf, renderer: "chromium" };
+    } catch (err) {
+      console.warn("⚠️ Chromium PDF failed, falling back to native renderer:", err.message);
+    }
+  }
+  return { pdf: await buildReportPdf(buildPdfModel(reportData)), renderer: "native" };
+}
+
+async function sendReportPdf(res, reportData, { period, start }) {
+  const { pdf, renderer } = await renderReportPdf(reportData);
+  
+  res.setHeader("X-PDF-Renderer", renderer);
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${reportFileName(reportData, { period, start })}.pdf"`);
+  res.setHeader("Content-Length", pdf.length.toString());
+  return res.status(200).send(pdf);
+}
+
 // ========================================
 // MAIN HANDLER - CONTROLLER PRINCIPALE
 // ========================================
@@ -1860,51 +3424,114 @@ export default async function handler(req, res) {
   
   try {
     resetCacheIfNeeded();
-    
-    const period = (req.query.period || "daily").toLowerCase();
+    resetGraphQLCostStats();
+    resetRestLimiterStats();
+    // Tutte le bulk operation del report entro BULK_BUDGET_MS dall'inizio (maxDuration 120s)
+    setBulkDeadline(startTime + BULK_BUDGET_MS);
+    
+    const from = req.query.from;
+    const to = req.query.to;
+    const isCustomRange = Boolean(from || to);
+    const period = isCustomRange ? "custom" : (req.query.period || "daily").toLowerCase();
     const today = req.query.today === "1";
     const email = req.query.email === "1";
     const preview = req.query.preview === "1";
     const debug = req.query.debug === "1";
     const includeAllLocations = req.query.include_all_locations === "1";
+    const format = (req.query.format || "html").toLowerCase();
+    
+    if (!REPORT_FORMATS.includes(format)) {
+      throw badRequest(`Formato non supportato: ${format} (valori ammessi: ${REPORT_FORMATS.join(", ")})`);
+    }
+    const exportSections = parseExportSections(format, req.query.section);
+    if (format === "schema") {
+      res.setHeader("Content-Type", "application/schema+json");
+      return res.status(200).json(getReportSchema());
+    }
 
-    const { tz, now, start, end } = await computeRange(period, today);
-    const cacheKey = getCacheKey(period, today, start, end) + (includeAllLocations ? '-all' : '');
-    const cacheTTL = getCacheTTL(period, today);
+    const { tz, now, start, end } = await computeRange(period, today, { from, to });
+    const comparisonModes = resolveComparisonModes(period, req.query.compare);
+    const locationScope = await resolveLocationScope(req.query.location);
+    const cacheKey = getCacheKey(period, today, start, end) + (includeAllLocations ? '-all' : '') +
+      (locationScope ? `-loc:${locationScope.id}` : '') +
+      (req.query.compare ? `-cmp:${comparisonModes.join('+') || 'none'}` : '');
+    // Un range custom che include oggi ha dati ancora in movimento
+    const cacheTTL = getCacheTTL(period, today || (isCustomRange && end >= now));
+    
+    const viewQuery = (isCustomRange ? `from=${start.toISODate()}&to=${end.toISODate()}` : `period=${period}`) +
+      (locationScope ? `&location=${locationScope.id}` : '');
+    const emailOptions = (email || preview)
+      ? parseEmailOptions(req.query, { period, today, start, end, location: locationScope })
+      : null;
     
     if (!debug) {
-      const cached = getFromCache(cacheKey, cacheTTL);
+      const cached = getFromCache(cacheKey, cacheTTL) || await getStoredReport(cacheKey, cacheTTL);
       if (cached) {
+        res.setHeader("X-Cache", "HIT");
+        res.setHeader("X-Cache-Age", `${cached.cacheAge}s`);
+        
+        if (format === "json") {
+          return sendReportJson(res, { ...cached, includeAllLocations }, { period, start, end }, debug);
+        }
+        if (exportSections) {
+          return sendReportExport(res, cached, { format, sections: exportSections, period, start });
+        }
+        if (format === "pdf") {
+          return await sendReportPdf(res, cached, { period, start });
+        }
+        
         if (email && !preview) {
-          res.setHeader("X-Cache", "HIT");
-          return res.status(200).json(cached);
-        } else {
-          const html = buildCompleteHTML({...cached, includeAllLocations: includeAllLocations}, email || preview);
-          res.setHeader("Content-Type", "text/html");
-          res.setHeader("X-Cache", "HIT");
-          return res.status(200).send(html);
+          return res.status(200).json({
+            success: true,
+            email: buildEmailTemplate(cached, period, viewQuery, emailOptions),
+            stats: cached.stats,
+            performanceStats: cached.performanceStats,
+            cached: true
+          });
         }
+        
+        const html = preview
+          ? buildEmailHTML({ ...cached, label: emailOptions.label }, emailOptions)
+          : buildCompleteHTML({...cached, includeAllLocations: includeAllLocations}, email);
+        res.setHeader("Content-Type", "text/html");
+        return res.status(200).send(html);
       }
     }
 
     // === ELABORAZIONE DATI PRINCIPALI CON OTTIMIZZAZIONI ===
-    const optimizedRateLimiter = new OptimizedRateLimiter(5);
+    // Aggiorna il warehouse ordini (se attivo) prima di tutte le analisi che lo interrogano
+    const t0 = Date.now();
+    const warehouse = await ensureWarehouseFresh({ deadline: startTime + 30 * 1000 });
+    timing.sync = Date.now() - t0;
     
     const t1 = Date.now();
-    const orders = await fetchOrdersPaidInRange(start, end);
+    const { orders: rangeOrders, complete: ordersComplete } = await fetchOrdersPaidInRange(start, end);
+    const orders = filterOrdersByLocation(rangeOrders, locationScope);
     timing.orders = Date.now() - t1;
 
-    const { rows, variantIds } = await processProductsComplete(orders, includeAllLocations);
+    const { rows, variantFailures } = await processProductsComplete(orders, includeAllLocations, locationScope?.id);
+    
+    let netSales = null;
+    try {
+      const refundOrders = filterOrdersByLocation(await fetchRefundActivity(start, end), locationScope);
+      netSales = computeNetSales(orders, refundOrders, start, end);
+    } catch (err) {
+      console.error('Net sales error:', err.message);
+    }
     
     const conversions = calculateConversions(orders);
-    const locationStats = await getLocationBreakdown(orders);
+    const costByVariant = new Map(rows.filter(r => r.variantId && r.unitCost != null).map(r => [String(r.variantId), r.unitCost]));
+    const locationStats = await getLocationBreakdown(orders, costByVariant);
+    // I giorni chiusi del report diventano baseline riutilizzabili per i comparativi futuri
+    // (solo dai report di tutto il negozio: gli aggregati non sono per location)
+    if (!locationScope) await persistDailyAggregates(orders, start, end, ordersComplete);
+    const marginData = computeMarginAnalysis(rows, locationStats);
     
-    const reportDays = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-    const skipDeadStock = shouldSkipDeadStock(reportDays, variantIds.length);
-    const deadStockData = skipDeadStock ? [] : await detectDeadStock(variantIds, now, period);
+    // Dead stock su tutto il catalogo in stock, indipendente dal periodo (cache 1h)
+    const deadStockData = await detectDeadStock(now, includeAllLocations, locationScope?.id);
     
     const start30 = now.minus({days:30}).startOf("day");
-    const orders30 = await fetchOrdersPaidInRange(start30, now.endOf("day"));
+    const orders30 = filterOrdersByStockLocation((await fetchOrdersPaidInRange(start30, now.endOf("day"))).orders, locationScope?.id);
     
     const sales30 = new Map();
     for (const o of orders30) {
@@ -1943,81 +3570,91 @@ export default async function handler(req, res) {
 
     const abcData = computeABCAnalysis(rows);
     
-    let comparison = null;
-    if (period !== 'monthly') {
-      try {
-        const prevStart = period === 'daily' ? start.minus({days: 1}) : start.minus({weeks: 1});
-        const prevEnd = period === 'daily' ? end.minus({days: 1}) : end.minus({weeks: 1});
-        const prevOrders = await fetchOrdersPaidInRange(prevStart, prevEnd);
-        
-        const prevRev = prevOrders.reduce((s,o) => s + getOrderRevenue(o), 0);
-        const totRev = orders.reduce((s,o) => s + getOrderRevenue(o), 0);
-        const revChange = totRev - prevRev;
-        const revPercent = prevRev > 0 ? ((revChange / prevRev) * 100) : 0;
-        
-        comparison = { revChange, revPercent: revPercent.toFixed(1) };
-      } catch (err) {
-        console.error('Comparison error:', err.message);
-      }
-    }
+    const t3 = Date.now();
+    const comparison = comparisonModes.length
+      ? await buildComparison(period, start, end, summarizeOrders(orders, locationStats), comparisonModes, locationScope)
+      : null;
+    timing.comparison = Date.now() - t3;
 
     timing.total = Date.now() - startTime;
 
-    const rateLimiterStats = rateLimiter.getStats();
+    const rateLimiterStats = getRestLimiterStats();
+    const graphqlCost = getGraphQLCostStats();
     const performanceStats = {
       totalTime: timing.total,
       apiCalls: rateLimiterStats.totalCalls,
       rateLimitHits: rateLimiterStats.rateLimitHits,
-      cacheHits: globalCache.productsFetched.size
+      rest: rateLimiterStats,
+      cacheHits: globalCache.productsFetched.size,
+      graphql: graphqlCost.queries ? graphqlCost : null,
+      variantFailures,
+      locations: getRegistryInfo(),
+      warehouse: warehouse ? { lastSyncAt: warehouse.lastSyncAt, coverageStart: warehouse.coverageStart } : null
     };
 
     if (timing.total > 15000) {
       console.warn(`⚠️ SLOW REPORT: ${(timing.total/1000).toFixed(1)}s > 15s threshold`);
     }
 
-    const label = period==="daily" ? `${today ? "Hoy" : "Ayer"} ${start.toFormat("dd LLL yyyy")}` :
-                  period==="weekly" ? `Semana ${start.toFormat("dd LLL")} - ${end.toFormat("dd LLL yyyy")}` :
-        `${start.toFormat("LLLL yyyy")}`;
+    const label = withLocation(buildPeriodLabel(period, today, start, end), locationScope);
     
     const discountAnalysis = analyzeDiscounts(orders);
     
     const reportData = {
       success: true,
-      label, tz, now, rows, orders, conversions, comparison, timing, 
+      label, tz, now, rows, orders, conversions, comparison, netSales, marginData, timing, 
       deadStockData, ropRows, abcData, locationStats, performanceStats,
       includeAllLocations: includeAllLocations,
+      location: locationScope,
       stats: {
         totalProducts: rows.length,
         totalRevenue: orders.reduce((s,o) => s + getOrderRevenue(o), 0),
         totalOrders: orders.length,
-        totalDiscounts: discountAnalysis.totalDiscounts
+        totalDiscounts: discountAnalysis.totalDiscounts,
+        netSales,
+        cogs: marginData.cogs,
+        grossProfit: marginData.grossProfit,
+        grossMarginPercent: marginData.marginPercent,
+        deadStockVariants: deadStockData.dead.count,
+        deadStockValue: deadStockData.dead.retailValue,
+        currency: globalCache.shop?.currency,
+        timezone: tz
       }
     };
 
     if (!debug) {
-      setCache(cacheKey, reportData, cacheTTL);
+      await persistReport(cacheKey, reportData, cacheTTL);
     }
 
     // === GESTIONE OUTPUT ===
+    if (format === "json") {
+      res.setHeader("X-Cache", "MISS");
+      return sendReportJson(res, reportData, { period, start, end }, debug);
+    }
+    
+    if (exportSections) {
+      res.setHeader("X-Cache", "MISS");
+      return sendReportExport(res, reportData, { format, sections: exportSections, period, start });
+    }
+    
+    if (format === "pdf") {
+      res.setHeader("X-Cache", "MISS");
+      return await sendReportPdf(res, reportData, { period, start });
+    }
+    
     if (email && !preview) {
-      const emailTemplate = {
-        subject: `Reporte ventas ${period} - ${label} - ${orders.length} ordenes, ${money(reportData.stats.totalRevenue)}`,
-        html: buildEmailHTML(reportData),
-        text: `Reporte ventas ${period} - ${label}\nVer online: ${process.env.VERCEL_URL}/api/sales-report?period=${period}`
-      };
-      
       res.setHeader("Content-Type", "application/json");
       res.setHeader("X-Cache", "MISS");
       return res.status(200).json({
         success: true,
-        email: emailTemplate,
+        email: buildEmailTemplate(reportData, period, viewQuery, emailOptions),
         stats: reportData.stats,
         performanceStats
       });
     }
 
     if (preview) {
-      const emailHtml = buildEmailHTML(reportData);
+      const emailHtml = buildEmailHTML({ ...reportData, label: emailOptions.label }, emailOptions);
       res.setHeader("Content-Type", "text/html");
       res.setHeader("X-Cache", "MISS");
       res.setHeader("X-Preview", "Email Template");
@@ -2034,10 +3671,10 @@ export default async function handler(req, res) {
     
   } catch (err) {
     console.error("Report error:", err);
-    res.status(500).json({ 
+    res.status(err.status || 500).json({ 
       success: false, 
       error: err.message,
-      stack: debug ? err.stack : undefined
+      stack: req.query.debug === "1" ? err.stack : undefined
     });
   }
 }
\ No newline at end of file
@@ -1,96 +1,149 @@
-// /api/send-sales-email.js - Mailgun email sender FIXED
-import FormData from 'form-data';
-import Mailgun from 'mailgun.js';
+// /api/send-sales-email.js - Email sender (Mailgun, Resend, SMTP o outbox via lib/mailer.js)
+import { sendMail, getTransports, getMailConfig, isSandboxDomain } from '../lib/mailer.js';
+import {
+  DELIVERY_FORMATS,
+  expandEmailSections,
+  getRecipientsForPeriod,
+  groupDeliveries,
+  resolveLocationInput
+} from '../lib/recipient-registry.js';
+import { locationSlug } from '../lib/location-registry.js';
+import {
+  UNSUBSCRIBE_PLACEHOLDER,
+  getUnsubscribeSecret,
+  buildUnsubscribeUrl,
+  getUnsubscribeHeaders,
+  filterSuppressed
+} from '../lib/suppression-list.js';
+import { createSendId, recordMessage, recordSend } from '../lib/delivery-log.js';
+import { getTranslator, REPORT_LANGUAGES, DEFAULT_LANGUAGE } from '../lib/report-i18n.js';
+import { isCronAuthorized } from '../lib/cron-auth.js';
 
-const mg = new Mailgun(FormData);
-const mailgunClient = mg.client({
-  username: 'api',
-  key: process.env.MAILGUN_API_KEY,
-  url: process.env.MAILGUN_BASE_URL || 'https://api.mailgun.net'
-});
+// Allegati disponibili: html (report completo), pdf (stesso report impaginato), xlsx (tutte le tabelle),
+// csv (una per sezione in csvSections)
+const ATTACHMENT_FORMATS = ['html', 'pdf', 'xlsx', 'csv'];
 
-export default async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Solo POST method' });
+// Sezioni email che esistono anche come CSV (EXPORT_SECTIONS in sales-report)
+const CSV_SECTIONS = ['products', 'rop', 'deadstock', 'locations', 'payments'];
+
+const normalizeList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(v => String(v).trim().toLowerCase())
+  .filter(Boolean);
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// REPORT_EMAIL_ATTACHMENTS vale anche per il cron, che non passa allegati nel body
+function getDefaultAttachments() {
+  return process.env.REPORT_EMAIL_ATTACHMENTS || 'html';
+}
+
+// Formato di consegna del destinatario → allegati; senza formato valgono quelli della richiesta
+function resolveAttachments(format, sections, defaults) {
+  if (!format) return defaults;
+  if (format === 'inline') return { formats: [], csvSections: [] };
+  if (format === 'csv') {
+    const csvSections = (sections || []).filter(s => CSV_SECTIONS.includes(s));
+    return { formats: ['csv'], csvSections: csvSections.length ? csvSections : ['products'] };
   }
+  return { formats: [format], csvSections: defaults.csvSections };
+}
 
-  try {
-    const {
-      period = 'daily',
-      recipients = [],
-      today = false,
-      customMessage = '',
-      testMode = false
-    } = req.body;
+async function fetchReportFile(baseUrl, { period, today, location, format, section }) {
+  const params = new URLSearchParams({
+    period,
+    format,
+    ...(section && { section }),
+    ...(location && { location: location.id }),
+    ...(today && { today: '1' })
+  });
 
-    // Validazioni
-    if (!process.env.MAILGUN_API_KEY) throw new Error('MAILGUN_API_KEY non configurata');
-    if (!process.env.MAILGUN_DOMAIN) throw new Error('MAILGUN_DOMAIN non configurato');
-    if (!recipients.length) return res.status(400).json({ error: 'Recipients richiesti nel body' });
-
-    // Costruzione URL base
-    let baseUrl;
-    if (process.env.VERCEL_URL) {
-      baseUrl = process.env.VERCEL_URL.startsWith('http')
-        ? process.env.VERCEL_URL
-        : `https://${process.env.VERCEL_URL}`;
-    } else if (req.headers.host) {
-      const protocol = req.headers['x-forwarded-proto'] || 'https';
-      baseUrl = `${protocol}://${req.headers.host}`;
-    } else {
-      baseUrl = 'https://shopify-reports-vercel.vercel.app';
-    }
+  const response = await fetch(`${baseUrl}/api/sales-report?${params}`, {
+    headers: { 'User-Agent': 'Report-Export/1.0' }
+  });
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Export ${format}${section ? ` (${section})` : ''} failed: ${response.status} ${errorText.substring(0, 200)}`);
+  }
 
-    console.log('📧 Fetching report data from:', `${baseUrl}/api/sales-report`);
+  const filename = /filename="([^"]+)"/.exec(response.headers.get('content-disposition') || '')?.[1]
+    || `reporte-ventas-${period}${section ? `-${section}` : ''}.${format}`;
 
-    // Fetch report dati email
-    const reportUrl = `${baseUrl}/api/sales-report`;
-    const params = new URLSearchParams({
-      period,
-      email: '1',
-      ...(today && { today: '1' })
-    });
+  console.log(`📎 ${filename} ready`);
+  return {
+    data: Buffer.from(await response.arrayBuffer()),
+    filename,
+    contentType: response.headers.get('content-type') || 'application/octet-stream'
+  };
+}
 
-    const reportResponse = await fetch(`${reportUrl}?${params}`, {
-      headers: { 'User-Agent': 'Mailgun-Mailer/1.0' }
-    });
+// Un'email per gruppo di destinatari con le stesse preferenze
+// Con i link di disiscrizione attivi ogni destinatario riceve la sua copia (link e header personali)
+async function sendDelivery(baseUrl, { sendId, period, today, customMessage, testMode, delivery }) {
+  const { recipients, sections, language, location, attachments } = delivery;
+  const t = getTranslator(language);
+  const unsubscribe = Boolean(getUnsubscribeSecret());
 
-    if (!reportResponse.ok) {
-      const errorText = await reportResponse.text();
-      throw new Error(`Report generation failed: ${reportResponse.status} ${errorText}`);
-    }
+  console.log('📧 Fetching report data from:', `${baseUrl}/api/sales-report`);
 
-    const reportData = await reportResponse.json();
-    
-    // 🔥 DEBUG - Verifica struttura
-    console.log('📊 Report data structure:', {
-      success: reportData.success,
-      hasEmail: !!reportData.email,
-      emailKeys: reportData.email ? Object.keys(reportData.email) : 'N/A',
-      hasStats: !!reportData.stats
-    });
-    
-    if (!reportData.success) {
-      throw new Error(reportData.error || 'Report data error');
-    }
+  // Fetch report dati email (sezioni e lingua del destinatario)
+  const reportUrl = `${baseUrl}/api/sales-report`;
+  const params = new URLSearchParams({
+    period,
+    email: '1',
+    lang: language,
+    attachments: attachments.formats.join(','),
+    ...(sections && { sections: sections.join(',') }),
+    ...(location && { location: location.id }),
+    ...(unsubscribe && { unsubscribe: '1' }),
+    ...(today && { today: '1' })
+  });
 
-    // 🔥 FIX: Verifica che email object esista
-    if (!reportData.email || !reportData.email.html) {
-      throw new Error(`Invalid report structure - missing email.html. Got: ${JSON.stringify(reportData).substring(0, 200)}`);
-    }
+  const reportResponse = await fetch(`${reportUrl}?${params}`, {
+    headers: { 'User-Agent': 'Report-Mailer/1.0' }
+  });
+
+  if (!reportResponse.ok) {
+    const errorText = await reportResponse.text();
+    throw new Error(`Report generation failed: ${reportResponse.status} ${errorText}`);
+  }
 
-    // Fetch HTML completo per allegato
-    let completeHtml = reportData.email.html;
+  const reportData = await reportResponse.json();
+
+  // 🔥 DEBUG - Verifica struttura
+  console.log('📊 Report data structure:', {
+    success: reportData.success,
+    hasEmail: !!reportData.email,
+    emailKeys: reportData.email ? Object.keys(reportData.email) : 'N/A',
+    hasStats: !!reportData.stats
+  });
+
+  if (!reportData.success) {
+    throw new Error(reportData.error || 'Report data error');
+  }
+
+  // 🔥 FIX: Verifica che email object esista
+  if (!reportData.email || !reportData.email.html) {
+    throw new Error(`Invalid report structure - missing email.html. Got: ${JSON.stringify(reportData).substring(0, 200)}`);
+  }
+
+  // Fetch HTML completo per allegato
+  let completeHtml = reportData.email.html;
+  if (attachments.formats.includes('html')) {
     try {
       const completeParams = new URLSearchParams({
         period,
+        ...(location && { location: location.id }),
         ...(today && { today: '1' })
       });
-      
+
       const completeHtmlResponse = await fetch(`${baseUrl}/api/sales-report?${completeParams}`, {
         headers: { 'User-Agent': 'Complete-HTML-Generator/1.0' }
       });
-      
+
       if (completeHtmlResponse.ok) {
         completeHtml = await completeHtmlResponse.text();
         console.log('✅ Complete HTML fetched successfully');
@@ -100,82 +153,339 @@ export default async function handler(req, res) {
     } catch (e) {
       console.warn('⚠️ Complete HTML error:', e.message);
     }
+  }
+
+  // 🔥 FIX: Usa email.subject direttamente
+  const subjectLine = reportData.email.subject || `Reporte ventas ${period}`;
 
-    // Prepara subject con stats
-    const money = (n) =>
-      new Intl.NumberFormat('es-MX', { style: 'currency', currency: 'MXN' }).format(Number(n || 0));
-    
-    const { stats } = reportData;
-    
-    // 🔥 FIX: Usa email.subject direttamente
-    const baseSubject = reportData.email.subject || `Reporte ventas ${period}`;
-    const subjectLine = `${baseSubject}`;
-
-    console.log('📝 Email subject:', subjectLine);
-
-    // Aggiungi messaggio custom se presente
-    let emailHtml = reportData.email.html;
-    if (customMessage) {
-      emailHtml = emailHtml.replace(
-        '<div class="container">',
-        `<div class="container">
+  console.log('📝 Email subject:', subjectLine);
+
+  // Aggiungi messaggio custom se presente
+  let emailHtml = reportData.email.html;
+  if (customMessage) {
+    emailHtml = emailHtml.replace(
+      '<div class="container">',
+      `<div class="container">
           <div style="background:#eff6ff;border:1px solid #bfdbfe;padding:12px;margin:0 0 16px;border-radius:6px;">
-            <strong>📋 Mensaje:</strong> ${customMessage}
+            <strong>📋 ${t('Mensaje')}:</strong> ${customMessage}
           </div>`
-      );
-    }
+    );
+  }
+
+  // Invio (provider principale con failover)
+  const finalRecipients = isSandboxDomain() ? [recipients[0]] : (testMode ? [recipients[0]] : recipients);
 
-    // Invio con Mailgun
-    const fromEmail = process.env.MAILGUN_FROM || `postmaster@${process.env.MAILGUN_DOMAIN}`;
-    const isSandbox = /sandbox\.mailgun\.org$/.test(process.env.MAILGUN_DOMAIN);
-    const finalRecipients = isSandbox ? [recipients[0]] : (testMode ? [recipients[0]] : recipients);
-
-    console.log('📮 Sending to:', finalRecipients.join(', '));
-
-    const msg = await mailgunClient.messages.create(process.env.MAILGUN_DOMAIN, {
-      from: fromEmail,
-      to: finalRecipients,
-      subject: subjectLine,
-      html: emailHtml,
-      text: reportData.email.text || `Reporte ventas ${period}`,
-      'h:Reply-To': process.env.REPLY_TO_EMAIL || undefined,
-      'o:tag': ['sales-report', period],
-      attachment: {
-        data: Buffer.from(completeHtml, 'utf-8'),
-        filename: `reporte-ventas-complete-${period}-${new Date().toISOString().split('T')[0]}.html`,
-        contentType: 'text/html'
+  console.log(`📮 Sending to: ${finalRecipients.join(', ')}${location ? ` (location ${location.name})` : ''}`);
+
+  const dateStamp = new Date().toISOString().split('T')[0];
+  const locationSuffix = location ? `-${locationSlug(location)}` : '';
+  const files = [];
+  if (attachments.formats.includes('html')) {
+    files.push({
+      data: Buffer.from(completeHtml, 'utf-8'),
+      filename: `reporte-ventas-complete-${period}-${dateStamp}${locationSuffix}.html`,
+      contentType: 'text/html'
+    });
+  }
+  // PDF, CSV e XLSX dallo stesso report (già in cache dopo la richiesta email=1)
+  const exportRequests = [
+    ...(attachments.formats.includes('pdf') ? [{ format: 'pdf' }] : []),
+    ...(attachments.formats.includes('xlsx') ? [{ format: 'xlsx' }] : []),
+    ...(attachments.formats.includes('csv') ? attachments.csvSections.map(section => ({ format: 'csv', section })) : [])
+  ];
+  for (const request of exportRequests) {
+    files.push(await fetchReportFile(baseUrl, { period, today, location, ...request }));
+  }
+
+  const emailText = reportData.email.text || `Reporte ventas ${period}`;
+  const batches = unsubscribe ? finalRecipients.map(email => [email]) : [finalRecipients];
+  const messages = [];
+
+  for (const to of batches) {
+    const unsubscribeUrl = unsubscribe ? buildUnsubscribeUrl(baseUrl, to[0]) : null;
+    const personalize = (content, url) => (url ? content.replaceAll(UNSUBSCRIBE_PLACEHOLDER, url) : content);
+
+    try {
+      const msg = await sendMail({
+        to,
+        subject: subjectLine,
+        html: personalize(emailHtml, unsubscribeUrl?.replace(/&/g, '&amp;')),
+        text: personalize(emailText, unsubscribeUrl),
+        tags: ['sales-report', period, ...(location ? [`location-${location.id}`] : [])],
+        ...(unsubscribeUrl && { headers: getUnsubscribeHeaders(unsubscribeUrl) }),
+        ...(files.length && { attachment: files })
+      });
+      console.log(`✅ Email sent successfully via ${msg.provider}:`, msg.id);
+      messages.push({ to, id: msg.id, provider: msg.provider, failover: msg.failover });
+
+      // Lo storico consegne non deve bloccare l'invio: gli eventi del webhook lo completano comunque
+      try {
+        await recordMessage({ messageId: msg.id, provider: msg.provider, sendId, to, subject: subjectLine, period, location });
+      } catch (err) {
+        console.warn('⚠️ Delivery log write failed:', err.message);
       }
+    } catch (err) {
+      // Un destinatario fallito non blocca le copie degli altri
+      if (batches.length === 1) throw err;
+      console.error(`❌ Email to ${to.join(', ')} failed:`, err.message);
+      messages.push({ to, error: err.message });
+    }
+  }
+
+  const sent = messages.filter(m => m.id);
+  if (!sent.length) throw new Error(messages.map(m => m.error).join(' | '));
+  const failedRecipients = messages.filter(m => m.error).flatMap(m => m.to);
+
+  return {
+    success: true,
+    messageId: sent[0].id,
+    provider: sent[0].provider,
+    failover: sent.some(m => m.failover),
+    recipients: sent.flatMap(m => m.to),
+    ...(failedRecipients.length && { failedRecipients }),
+    messages: sent.map(({ to, id, provider }) => ({ to, id, provider })),
+    sections: reportData.email.sections,
+    language,
+    location,
+    attachments: files.map(f => f.filename),
+    stats: reportData.stats
+  };
+}
+
+// Margine rispetto a maxDuration (120s): le invocazioni dei gruppi che non rispondono entro
+// questo tempo vengono abbandonate, così resta il tempo per registrare l'invio e rispondere
+const FAN_OUT_BUDGET_MS = 100 * 1000;
+
+// Ogni gruppo di destinatari in un'invocazione propria, con il suo maxDuration:
+// la chiamata interna porta `delivery` nel body ed è autorizzata con il CRON_SECRET
+async function sendDeliveryRemote(baseUrl, options, deadline) {
+  const controller = new AbortController();
+  const timeoutMs = Math.max(deadline - Date.now(), 0);
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  let response;
+  let result;
+  try {
+    response = await fetch(`${baseUrl}/api/send-sales-email`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.CRON_SECRET}`,
+        'User-Agent': 'Report-Mailer/1.0'
+      },
+      body: JSON.stringify(options),
+      signal: controller.signal
     });
+    result = await response.json().catch(() => null);
+  } catch (err) {
+    if (err.name !== 'AbortError') throw err;
+    // L'invocazione può ancora completare l'invio: il gruppo risulta non confermato, non fallito con certezza
+    throw Object.assign(new Error(`Delivery invocation timed out after ${Math.round(timeoutMs / 1000)}s (the email may still be sent)`), { timedOut: true });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (!response.ok || !result?.success) {
+    throw new Error(result?.error || `Delivery invocation failed: ${response.status}`);
+  }
+  return result.delivery;
+}
+
+function getBaseUrl(req) {
+  if (process.env.VERCEL_URL) {
+    return process.env.VERCEL_URL.startsWith('http')
+      ? process.env.VERCEL_URL
+      : `https://${process.env.VERCEL_URL}`;
+  }
+  if (req.headers.host) {
+    const protocol = req.headers['x-forwarded-proto'] || 'https';
+    return `${protocol}://${req.headers.host}`;
+  }
+  return 'https://shopify-reports-vercel.vercel.app';
+}
+
+// Invocazione interna: un solo gruppo, già filtrato dalla lista di soppressione
+async function handleDelivery(req, res) {
+  if (!isCronAuthorized(req)) {
+    console.error('❌ Unauthorized delivery call');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const { sendId, period, today = false, customMessage = '', testMode = false, delivery } = req.body;
+  try {
+    const result = await sendDelivery(getBaseUrl(req), { sendId, period, today, customMessage, testMode, delivery });
+    return res.status(200).json({ success: true, delivery: result });
+  } catch (err) {
+    console.error(`❌ Delivery to ${(delivery.recipients || []).join(', ')} failed:`, err.message);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+}
 
-    if (!msg?.id) throw new Error(`Mailgun response senza ID valido: ${JSON.stringify(msg)}`);
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Solo POST method' });
+  }
+
+  if (req.body?.delivery) return handleDelivery(req, res);
 
-    console.log('✅ Email sent successfully:', msg.id);
+  const startedAt = Date.now();
+  try {
+    const {
+      period = 'daily',
+      recipients,
+      today = false,
+      customMessage = '',
+      testMode = false,
+      attachments = getDefaultAttachments(),
+      csvSections = ['products'],
+      sections,
+      format,
+      language = DEFAULT_LANGUAGE,
+      location
+    } = req.body;
+
+    // Validazioni
+    getTransports(); // lancia se il provider email non è configurato, prima di generare il report
+    if (Array.isArray(recipients) && !recipients.length) {
+      return res.status(400).json({ error: 'Recipients richiesti nel body (o ometti recipients per usare il registro)' });
+    }
+
+    const attachmentFormats = normalizeList(attachments);
+    const unknownFormats = attachmentFormats.filter(f => !ATTACHMENT_FORMATS.includes(f));
+    if (unknownFormats.length) {
+      return res.status(400).json({ error: `Formato allegato non supportato: ${unknownFormats.join(', ')} (valori ammessi: ${ATTACHMENT_FORMATS.join(', ')})` });
+    }
+    const defaults = { formats: attachmentFormats, csvSections: normalizeList(csvSections) };
+
+    // Senza recipients nel body: destinatari del registro iscritti al periodo, con le loro preferenze.
+    // Inviare a tutto il registro è un'operazione del cron: serve il CRON_SECRET
+    const fromRegistry = recipients == null;
+    if (fromRegistry && !isCronAuthorized(req)) {
+      console.error('❌ Unauthorized registry send');
+      return res.status(401).json({ error: 'Unauthorized: recipients richiesti senza CRON_SECRET' });
+    }
+    let deliveries;
+    if (fromRegistry) {
+      const subscribers = await getRecipientsForPeriod(period);
+      if (!subscribers.length) {
+        console.log(`⚠️ Nessun destinatario iscritto al report ${period}`);
+        return res.status(200).json({ success: true, skipped: true, message: `No recipients subscribed to ${period}`, deliveries: [] });
+      }
+      deliveries = groupDeliveries(subscribers);
+    } else {
+      if (format && !DELIVERY_FORMATS.includes(String(format).toLowerCase())) {
+        throw badRequest(`Formato non supportato: ${format} (valori ammessi: ${DELIVERY_FORMATS.join(', ')})`);
+      }
+      if (!REPORT_LANGUAGES.includes(String(language).toLowerCase())) {
+        throw badRequest(`Lingua non supportata: ${language} (valori ammessi: ${REPORT_LANGUAGES.join(', ')})`);
+      }
+      deliveries = [{
+        recipients: normalizeList(recipients),
+        sections: sections ? expandEmailSections(sections) : null,
+        format: format ? String(format).toLowerCase() : null,
+        language: String(language).toLowerCase(),
+        location: (await resolveLocationInput(location)) || null
+      }];
+    }
+
+    // Indirizzi soppressi (disiscritti, bounce, esclusi a mano) fuori da ogni invio
+    const suppressed = [];
+    for (const delivery of deliveries) {
+      const result = await filterSuppressed(delivery.recipients);
+      delivery.recipients = result.allowed;
+      suppressed.push(...result.suppressed);
+    }
+    deliveries = deliveries.filter(d => d.recipients.length);
+    if (!deliveries.length) {
+      console.log(`⚠️ Tutti i destinatari del report ${period} sono soppressi`);
+      return res.status(200).json({ success: true, skipped: true, message: 'All recipients are suppressed', suppressed, deliveries: [] });
+    }
+
+    const baseUrl = getBaseUrl(req);
+
+    // Un gruppo che fallisce non blocca gli altri
+    const sendId = createSendId(period);
+    const runDelivery = async (delivery, fanOut) => {
+      const options = {
+        sendId,
+        period,
+        today,
+        customMessage,
+        testMode,
+        delivery: { ...delivery, attachments: resolveAttachments(delivery.format, delivery.sections, defaults) }
+      };
+      try {
+        return fanOut
+          ? await sendDeliveryRemote(baseUrl, options, startedAt + FAN_OUT_BUDGET_MS)
+          : await sendDelivery(baseUrl, options);
+      } catch (err) {
+        if (!fromRegistry) throw err;
+        console.error(`❌ Delivery to ${delivery.recipients.join(', ')} failed:`, err.message);
+        return {
+          success: false,
+          recipients: delivery.recipients,
+          language: delivery.language,
+          location: delivery.location,
+          ...(err.timedOut && { timedOut: true }),
+          error: err.message
+        };
+      }
+    };
+
+    // Più gruppi: uno per invocazione, in parallelo (senza CRON_SECRET restano in sequenza qui)
+    const fanOut = deliveries.length > 1 && Boolean(process.env.CRON_SECRET);
+    const results = [];
+    if (fanOut) {
+      console.log(`📤 ${deliveries.length} delivery groups, one invocation each`);
+      results.push(...await Promise.all(deliveries.map(delivery => runDelivery(delivery, true))));
+    } else {
+      for (const delivery of deliveries) results.push(await runDelivery(delivery, false));
+    }
+
+    const sent = results.filter(r => r.success);
+    const failed = results.filter(r => !r.success);
+    if (!sent.length) throw new Error(failed.map(f => f.error).join(' | '));
+
+    try {
+      await recordSend({
+        sendId,
+        period,
+        source: fromRegistry ? 'registry' : 'request',
+        messageIds: sent.flatMap(r => r.messages.map(m => m.id)),
+        recipients: sent.flatMap(r => r.recipients),
+        suppressed,
+        failed: [...failed.flatMap(f => f.recipients), ...sent.flatMap(r => r.failedRecipients || [])]
+      });
+    } catch (err) {
+      console.warn('⚠️ Delivery log write failed:', err.message);
+    }
 
     return res.status(200).json({
-      success: true,
-      messageId: msg.id,
-      recipients: finalRecipients.length,
-      stats,
+      success: failed.length === 0,
+      sendId,
+      messageId: sent[0].messageId,
+      recipients: sent.reduce((sum, r) => sum + r.recipients.length, 0),
+      attachments: sent[0].attachments,
+      stats: sent[0].stats,
       sentAt: new Date().toISOString(),
-      provider: 'mailgun',
+      provider: sent[0].provider,
+      failover: sent.some(r => r.failover),
+      source: fromRegistry ? 'registry' : 'request',
+      suppressed,
+      deliveries: results.map(({ stats, ...rest }) => rest),
+      ...(failed.length && { error: `${failed.length} di ${results.length} invii falliti: ${failed.map(f => f.error).join(' | ')}` }),
       testMode,
       webVersion: `${baseUrl}/api/sales-report?period=${period}${today ? '&today=1' : ''}`
     });
 
   } catch (err) {
-    console.error('❌ Mailgun email error:', err);
-    return res.status(500).json({
+    console.error('❌ Email send error:', err);
+    return res.status(err.status || 500).json({
       success: false,
       error: err.message,
       stack: process.env.NODE_ENV === 'development' ? err.stack : undefined,
       timestamp: new Date().toISOString(),
-      provider: 'mailgun',
-      config: {
-        hasApiKey: !!process.env.MAILGUN_API_KEY,
-        hasDomain: !!process.env.MAILGUN_DOMAIN,
-        baseUrl: process.env.MAILGUN_BASE_URL || 'https://api.mailgun.net',
-        fromEmail: process.env.MAILGUN_FROM || (process.env.MAILGUN_DOMAIN ? `postmaster@${process.env.MAILGUN_DOMAIN}` : 'n/a')
-      }
+      config: getMailConfig()
     });
   }
-}
\ No newline at end of file
+}
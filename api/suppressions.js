@@ -0,0 +1,49 @@
+// /api/suppressions.js - Gestione della lista di soppressione (indirizzi esclusi da ogni invio)
+import {
+  loadSuppressions,
+  suppressEmail,
+  removeSuppression,
+  SUPPRESSION_REASONS
+} from '../lib/suppression-list.js';
+import { isCronAuthorized } from '../lib/cron-auth.js';
+
+export default async function handler(req, res) {
+  if (!isCronAuthorized(req)) {
+    console.error('❌ Unauthorized suppressions call');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { updatedAt, entries } = await loadSuppressions();
+      return res.status(200).json({ success: true, updatedAt, suppressions: entries, options: { reasons: SUPPRESSION_REASONS } });
+    }
+
+    if (req.method === 'POST') {
+      // Un indirizzo o { suppressions: [...] }; reason default "manual"
+      const body = req.body || {};
+      const inputs = Array.isArray(body.suppressions) ? body.suppressions : [body];
+      const saved = [];
+      for (const { email, reason = 'manual', note } of inputs) {
+        saved.push(await suppressEmail(email, { reason, note, source: 'api' }));
+      }
+      console.log(`🚫 Soppressi: ${saved.map(s => `${s.email} (${s.reason})`).join(', ')}`);
+      return res.status(200).json({ success: true, saved });
+    }
+
+    if (req.method === 'DELETE') {
+      const email = req.query.email || req.body?.email;
+      if (!email) return res.status(400).json({ error: 'Parametro email richiesto' });
+
+      const removed = await removeSuppression(email);
+      if (!removed) return res.status(404).json({ success: false, error: `Indirizzo non soppresso: ${email}` });
+      console.log(`✅ Riattivato: ${email}`);
+      return res.status(200).json({ success: true, removed: email });
+    }
+
+    return res.status(405).json({ error: 'Metodo non supportato (GET, POST, DELETE)' });
+  } catch (err) {
+    console.error('Suppressions error:', err);
+    return res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+}
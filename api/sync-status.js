@@ -0,0 +1,41 @@
+// /api/sync-status.js - Stato del warehouse ordini e sync manuale
+import { getSyncStatus, syncOrders, backfillOrders } from '../lib/order-warehouse.js';
+import { isCronAuthorized } from '../lib/cron-auth.js';
+
+// Margine rispetto a maxDuration (120s) per salvare il progresso e rispondere
+const RUN_BUDGET_MS = 90 * 1000;
+
+export default async function handler(req, res) {
+  try {
+    const run = req.query.run === "1";
+    const backfill = req.query.backfill;
+
+    // Solo lettura senza parametri; sync e backfill richiedono il CRON_SECRET
+    if (run || backfill) {
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Solo POST method' });
+      }
+      if (!isCronAuthorized(req)) {
+        console.error('❌ Unauthorized sync call');
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+
+      const deadline = Date.now() + RUN_BUDGET_MS;
+      const result = backfill
+        ? await backfillOrders(backfill, { deadline })
+        : await syncOrders({ deadline });
+
+      return res.status(200).json({
+        success: true,
+        action: backfill ? 'backfill' : 'sync',
+        result,
+        status: await getSyncStatus()
+      });
+    }
+
+    res.status(200).json({ success: true, status: await getSyncStatus() });
+  } catch (err) {
+    console.error("Sync status error:", err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
@@ -0,0 +1,75 @@
+// /api/unsubscribe.js - Disiscrizione dai report con link firmato
+// GET mostra la conferma (i filtri antispam aprono i link, non devono disiscrivere nessuno),
+// POST disiscrive: dal bottone della pagina o one-click dal client email (RFC 8058)
+import {
+  verifyUnsubscribeToken,
+  getSuppression,
+  suppressEmail
+} from '../lib/suppression-list.js';
+
+const esc = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+function renderPage(title, message, form = '') {
+  return `<!doctype html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${esc(title)}</title>
+  <style>
+    body{font-family:Arial,sans-serif;color:#333;background:#f5f5f5;margin:0;padding:40px 20px}
+    .card{max-width:480px;margin:0 auto;background:white;border-radius:8px;padding:24px;text-align:center}
+    h1{font-size:20px;margin:0 0 12px;color:#2563eb}
+    button{background:#2563eb;color:white;border:0;border-radius:6px;padding:10px 20px;font-size:14px;cursor:pointer}
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>${esc(title)}</h1>
+    <p>${message}</p>
+    ${form}
+  </div>
+</body>
+</html>`;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Metodo non supportato (GET, POST)' });
+  }
+
+  // One-click: email e token restano nella query dell'URL di List-Unsubscribe
+  const email = String(req.query.email || req.body?.email || '').trim().toLowerCase();
+  const token = req.query.token || req.body?.token;
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+
+  if (!email || !verifyUnsubscribeToken(email, token)) {
+    console.warn(`⚠️ Unsubscribe con token non valido: ${email || '(senza email)'}`);
+    return res.status(400).send(renderPage('Enlace no válido', 'El enlace para cancelar la suscripción no es válido o está incompleto.'));
+  }
+
+  try {
+    if (req.method === 'GET') {
+      if (await getSuppression(email)) {
+        return res.status(200).send(renderPage('Suscripción cancelada', `<strong>${esc(email)}</strong> ya no recibe los reportes.`));
+      }
+
+      const params = new URLSearchParams({ email, token });
+      return res.status(200).send(renderPage(
+        'Cancelar suscripción',
+        `¿Dejar de enviar los reportes de ventas a <strong>${esc(email)}</strong>?`,
+        `<form method="POST" action="/api/unsubscribe?${esc(params.toString())}"><button type="submit">Cancelar suscripción</button></form>`
+      ));
+    }
+
+    const oneClick = req.body?.['List-Unsubscribe'] === 'One-Click';
+    await suppressEmail(email, { reason: 'unsubscribe', source: oneClick ? 'one-click' : 'link' });
+    console.log(`🚫 Disiscritto ${email} (${oneClick ? 'one-click' : 'link'})`);
+
+    return res.status(200).send(renderPage('Suscripción cancelada', `<strong>${esc(email)}</strong> ya no recibirá los reportes.`));
+  } catch (err) {
+    console.error('Unsubscribe error:', err);
+    return res.status(500).send(renderPage('Error', 'No se pudo cancelar la suscripción. Inténtalo de nuevo más tarde.'));
+  }
+}
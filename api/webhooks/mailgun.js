@@ -0,0 +1,148 @@
+// /api/webhooks/mailgun.js - Ricevitore eventi Mailgun (consegnato, bounce, aperto, spam...)
+// Aggiorna lo storico consegne e manda bounce definitivi e segnalazioni spam nella lista di soppressione
+import crypto from 'crypto';
+import { reportStore } from '../../lib/report-store.js';
+import { recordEvent } from '../../lib/delivery-log.js';
+import { suppressEmail } from '../../lib/suppression-list.js';
+
+// Mailgun ritenta fino a 8 ore: basta ricordare gli eventi di un giorno
+const DEDUPE_TTL_MS = 24 * 60 * 60 * 1000;
+const dedupeKey = (eventId) => reportStore.key("webhooks", "mailgun", eventId);
+
+// Una firma vale pochi minuti; i token usati si ricordano oltre la finestra, poi scade il timestamp
+const MAX_SIGNATURE_AGE_MS = 5 * 60 * 1000;
+const TOKEN_TTL_MS = 2 * MAX_SIGNATURE_AGE_MS;
+const tokenKey = (token) => reportStore.key("webhooks", "mailgun-token", token);
+
+// ========================================
+// VERIFICA
+// ========================================
+
+// HMAC-SHA256 di timestamp + token con la "HTTP webhook signing key" del dominio,
+// con timestamp recente: una richiesta catturata non si può ripresentare più tardi
+function verifySignature(signature, signingKey, now = Date.now()) {
+  if (!signature?.timestamp || !signature?.token || !signature?.signature) return false;
+  const signedAt = Number(signature.timestamp) * 1000;
+  if (!Number.isFinite(signedAt) || Math.abs(now - signedAt) > MAX_SIGNATURE_AGE_MS) return false;
+  const expected = crypto.createHmac('sha256', signingKey)
+    .update(`${signature.timestamp}${signature.token}`)
+    .digest();
+  const received = Buffer.from(String(signature.signature), 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// ========================================
+// EVENTI
+// ========================================
+
+const EVENT_STATUS = {
+  accepted: 'accepted',
+  delivered: 'delivered',
+  opened: 'opened',
+  clicked: 'clicked',
+  complained: 'complained',
+  unsubscribed: 'unsubscribed',
+  // Temporaneo = Mailgun ritenta, definitivo = bounce
+  failed: (data) => (data.severity === 'permanent' ? 'bounced' : 'deferred')
+};
+
+// Stati che escludono l'indirizzo dai prossimi invii
+const SUPPRESS_REASONS = {
+  bounced: 'bounce',
+  complained: 'complaint',
+  unsubscribed: 'unsubscribe'
+};
+
+function toDeliveryStatus(data) {
+  const status = EVENT_STATUS[data.event];
+  return typeof status === 'function' ? status(data) : status || null;
+}
+
+function eventDetails(data) {
+  const deliveryStatus = data['delivery-status'] || {};
+  return {
+    eventId: data.id,
+    event: data.event,
+    ...(data.severity && { severity: data.severity }),
+    ...(data.reason && { reason: data.reason }),
+    ...(deliveryStatus.code && { code: deliveryStatus.code }),
+    ...((deliveryStatus.description || deliveryStatus.message) && {
+      description: String(deliveryStatus.description || deliveryStatus.message).slice(0, 500)
+    }),
+    ...(data.url && { url: data.url })
+  };
+}
+
+// ========================================
+// HANDLER
+// ========================================
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Solo POST method' });
+  }
+
+  const signingKey = process.env.MAILGUN_WEBHOOK_SIGNING_KEY;
+  if (!signingKey) {
+    console.error('❌ MAILGUN_WEBHOOK_SIGNING_KEY non configurato');
+    return res.status(500).json({ error: 'MAILGUN_WEBHOOK_SIGNING_KEY non configurato' });
+  }
+
+  const { signature, 'event-data': data } = req.body || {};
+
+  if (!verifySignature(signature, signingKey)) {
+    console.error('❌ Invalid or expired Mailgun webhook signature');
+    return res.status(401).json({ error: 'Firma non valida o scaduta' });
+  }
+
+  // Claim rilasciati se l'elaborazione fallisce: il retry di Mailgun deve poter riprovare
+  const claims = [];
+  const releaseClaims = () => Promise.all(claims.map(key => reportStore.adapter.delete(key).catch(() => {})));
+
+  try {
+    // Stesso token = stessa richiesta ripresentata entro la finestra del timestamp
+    if (!await reportStore.adapter.setIfAbsent(tokenKey(signature.token), { at: new Date().toISOString() }, TOKEN_TTL_MS)) {
+      console.error('❌ Mailgun webhook token already used (replay)');
+      return res.status(401).json({ error: 'Token già usato' });
+    }
+    claims.push(tokenKey(signature.token));
+
+    const status = data ? toDeliveryStatus(data) : null;
+    const messageId = data?.message?.headers?.['message-id'];
+    if (!status || !messageId || !data.recipient) {
+      // 200 comunque: un errore farebbe ritentare Mailgun inutilmente
+      console.log(`⏭️ Mailgun event ${data?.event || '(vuoto)'} not handled`);
+      return res.status(200).json({ success: true, ignored: 'event' });
+    }
+
+    // Claim atomico prima di processare: due consegne simultanee dello stesso evento non passano entrambe
+    if (data.id) {
+      if (!await reportStore.adapter.setIfAbsent(dedupeKey(data.id), { event: data.event, at: new Date().toISOString() }, DEDUPE_TTL_MS)) {
+        console.log(`🔁 Duplicate Mailgun event ${data.id} (${data.event}), skipped`);
+        return res.status(200).json({ success: true, duplicate: true });
+      }
+      claims.push(dedupeKey(data.id));
+    }
+
+    const at = data.timestamp ? new Date(data.timestamp * 1000).toISOString() : new Date().toISOString();
+    const entry = await recordEvent({ messageId, recipient: data.recipient, status, at, ...eventDetails(data) });
+
+    let suppressed = null;
+    if (SUPPRESS_REASONS[status]) {
+      suppressed = await suppressEmail(data.recipient, {
+        reason: SUPPRESS_REASONS[status],
+        source: 'mailgun',
+        note: eventDetails(data).description || null
+      });
+      console.log(`🚫 ${suppressed.email} soppresso da Mailgun (${status})`);
+    }
+
+    console.log(`📬 Mailgun ${data.event} ${data.recipient} (${messageId}): ${entry.status}`);
+    return res.status(200).json({ success: true, status, recipientStatus: entry.status, suppressed: Boolean(suppressed) });
+
+  } catch (err) {
+    await releaseClaims();
+    console.error(`Mailgun webhook ${data?.event} error:`, err);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+}
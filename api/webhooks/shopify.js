@@ -0,0 +1,127 @@
+// /api/webhooks/shopify.js - Ricevitore webhook Shopify (ordini, rimborsi, inventario)
+// Aggiorna warehouse ordini e snapshot inventario senza aspettare il prossimo report
+import crypto from 'crypto';
+import { reportStore } from '../../lib/report-store.js';
+import { applyOrderWebhook } from '../../lib/order-warehouse.js';
+import { applyInventoryWebhook } from '../../lib/inventory-store.js';
+import { checkInventoryItem } from '../../lib/stock-alerts.js';
+import { refreshLocations } from '../../lib/location-registry.js';
+
+// L'HMAC va calcolato sul body originale: niente parsing automatico di Vercel
+export const config = { api: { bodyParser: false } };
+
+// Shopify ritenta per 48 ore: oltre non serve ricordare gli ID già processati
+const DEDUPE_TTL_MS = 48 * 60 * 60 * 1000;
+const dedupeKey = (webhookId) => reportStore.key("webhooks", "shopify", webhookId);
+
+// ========================================
+// VERIFICA
+// ========================================
+
+async function readRawBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function verifyHmac(rawBody, signature, secret) {
+  if (!signature) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(signature, 'base64');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// ========================================
+// TOPIC HANDLERS
+// ========================================
+
+const TOPIC_HANDLERS = {
+  'orders/create': (payload) => applyOrderWebhook(payload),
+  'orders/updated': (payload) => applyOrderWebhook(payload),
+  // Il payload è il rimborso: l'ordine (financial_status, refunds) si rilegge da Shopify
+  'refunds/create': (payload) => applyOrderWebhook({ id: payload.order_id }, { refetch: true }),
+  'inventory_levels/update': async (payload) => {
+    const result = await applyInventoryWebhook(payload);
+    // Un alert fallito non deve far ritentare il webhook: ci pensa il cron
+    try {
+      result.stockAlert = await checkInventoryItem(payload.inventory_item_id);
+    } catch (err) {
+      console.error('Stock alert error:', err.message);
+    }
+    return result;
+  },
+  // Location nuove, rinominate o disattivate: il registro si ricarica da Shopify
+  'locations/create': () => applyLocationWebhook(),
+  'locations/update': () => applyLocationWebhook(),
+  'locations/delete': () => applyLocationWebhook()
+};
+
+async function applyLocationWebhook() {
+  const locations = await refreshLocations();
+  return { applied: true, locations: locations.length };
+}
+
+// ========================================
+// HANDLER
+// ========================================
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Solo POST method' });
+  }
+
+  const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('❌ SHOPIFY_WEBHOOK_SECRET non configurato');
+    return res.status(500).json({ error: 'SHOPIFY_WEBHOOK_SECRET non configurato' });
+  }
+
+  const topic = req.headers['x-shopify-topic'];
+  const webhookId = req.headers['x-shopify-webhook-id'];
+  const shopDomain = req.headers['x-shopify-shop-domain'];
+
+  try {
+    const rawBody = await readRawBody(req);
+
+    if (!verifyHmac(rawBody, req.headers['x-shopify-hmac-sha256'], secret)) {
+      console.error(`❌ Invalid webhook HMAC (${topic})`);
+      return res.status(401).json({ error: 'Firma HMAC non valida' });
+    }
+
+    if (process.env.SHOPIFY_SHOP && shopDomain && shopDomain !== process.env.SHOPIFY_SHOP) {
+      console.warn(`⚠️ Webhook from unexpected shop ${shopDomain}, ignored`);
+      return res.status(200).json({ success: true, ignored: 'shop' });
+    }
+
+    const topicHandler = TOPIC_HANDLERS[topic];
+    if (!topicHandler) {
+      // 200 comunque: un errore farebbe ritentare Shopify inutilmente
+      console.log(`⏭️ Webhook topic ${topic} not handled`);
+      return res.status(200).json({ success: true, ignored: 'topic' });
+    }
+
+    // Claim atomico prima di processare: due consegne simultanee dello stesso webhook non passano entrambe
+    if (webhookId && !await reportStore.adapter.setIfAbsent(dedupeKey(webhookId), { topic, at: new Date().toISOString() }, DEDUPE_TTL_MS)) {
+      console.log(`🔁 Duplicate webhook ${webhookId} (${topic}), skipped`);
+      return res.status(200).json({ success: true, duplicate: true });
+    }
+
+    let result;
+    try {
+      result = await topicHandler(JSON.parse(rawBody.toString('utf8')));
+    } catch (err) {
+      // Claim rilasciato: il retry di Shopify deve poter riprovare
+      if (webhookId) await reportStore.adapter.delete(dedupeKey(webhookId)).catch(() => {});
+      throw err;
+    }
+
+    console.log(`📬 Webhook ${topic} ${webhookId || ''}: ${result.applied ? 'applied' : result.reason}`);
+    res.status(200).json({ success: true, topic, ...result });
+
+  } catch (err) {
+    console.error(`Webhook ${topic} error:`, err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+}
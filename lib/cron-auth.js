@@ -0,0 +1,29 @@
+// /lib/cron-auth.js - Autorizzazione con CRON_SECRET per cron ed endpoint di gestione
+// Senza CRON_SECRET configurato si rifiuta tutto: "Bearer undefined" non deve aprire niente
+
+import crypto from 'crypto';
+
+/**
+ * Verifica l'header Authorization: Bearer <CRON_SECRET>
+ * @param {object} req
+ * @returns {boolean} false anche se CRON_SECRET non è configurato
+ */
+function isCronAuthorized(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    console.error('❌ CRON_SECRET non configurato: richiesta rifiutata');
+    return false;
+  }
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(String(req.headers.authorization || ''));
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  isCronAuthorized
+};
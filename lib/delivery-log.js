@@ -0,0 +1,312 @@
+// /lib/delivery-log.js - Storico consegne dei report: invii, messaggi e eventi del provider
+// send-sales-email registra ogni messaggio, il webhook Mailgun aggiunge gli eventi (consegnato, bounce, aperto...)
+
+import { reportStore } from './report-store.js';
+
+const RETENTION_MS = Number(process.env.DELIVERY_LOG_RETENTION_DAYS || 90) * 24 * 60 * 60 * 1000;
+// Messaggi recenti ricordati per destinatario
+const MAX_RECIPIENT_MESSAGES = 20;
+// Aperture e clic ripetuti non devono far crescere il record all'infinito
+const MAX_EVENTS_PER_RECIPIENT = 50;
+
+// Ogni scrittura è una chiave nuova o un membro aggiunto a un set: invii, eventi e destinatari
+// registrati nello stesso istante (cron con più periodi in parallelo, webhook simultanei) non si sovrascrivono
+const keys = {
+  message: (messageId) => reportStore.key("deliveries", "message", messageId),
+  messageEvents: (messageId) => reportStore.key("deliveries", "message-events", messageId),
+  event: (messageId, eventId) => reportStore.key("deliveries", "event", messageId, eventId),
+  send: (sendId) => reportStore.key("deliveries", "send", sendId),
+  sends: () => reportStore.key("deliveries", "sends"),
+  recipientMessages: (email) => reportStore.key("deliveries", "recipient-messages", email),
+  // Formati precedenti (indice e stato per destinatario riscritti a ogni invio): solo lettura
+  legacyIndex: () => reportStore.key("deliveries", "index"),
+  legacyRecipient: (email) => reportStore.key("deliveries", "recipient", email)
+};
+
+// Stato di un destinatario = evento più "avanzato" ricevuto (un opened non torna a delivered)
+const STATUS_RANK = {
+  sent: 0,
+  accepted: 1,
+  deferred: 2,
+  delivered: 3,
+  opened: 4,
+  clicked: 5,
+  unsubscribed: 6,
+  bounced: 7,
+  complained: 8
+};
+
+const DELIVERY_STATUSES = Object.keys(STATUS_RANK);
+
+const rank = (status) => STATUS_RANK[status] ?? -1;
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+// Mailgun restituisce "<id@dominio>" all'invio ma negli eventi usa l'ID senza parentesi
+function normalizeMessageId(messageId) {
+  return String(messageId || "").trim().replace(/^<|>$/g, "");
+}
+
+function createSendId(period) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+  return `${period}-${stamp}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function applyEvent(recipient, event) {
+  recipient.events = [...recipient.events, event].slice(-MAX_EVENTS_PER_RECIPIENT);
+  if (rank(event.status) >= rank(recipient.status)) {
+    recipient.status = event.status;
+    recipient.updatedAt = event.at;
+  }
+  return recipient;
+}
+
+const newRecipient = (email, at) => ({ email, status: "sent", updatedAt: at, events: [] });
+
+// ========================================
+// REGISTRAZIONE
+// ========================================
+
+/**
+ * Registra un messaggio appena inviato; se il webhook è arrivato prima, gli eventi restano
+ * @param {object} message
+ * @param {string} message.messageId - ID restituito dal provider
+ * @param {string} message.provider
+ * @param {string} message.sendId - Invio di send-sales-email a cui appartiene
+ * @param {string[]} message.to
+ * @param {string} message.subject
+ * @param {string} message.period
+ * @param {object|null} [message.location]
+ * @returns {Promise<object>} Record salvato
+ */
+async function recordMessage({ messageId, provider, sendId, to, subject, period, location = null }) {
+  const id = normalizeMessageId(messageId);
+  const record = {
+    messageId: id,
+    provider,
+    sendId,
+    subject,
+    period,
+    location,
+    sentAt: new Date().toISOString(),
+    to: to.map(normalizeEmail)
+  };
+  await reportStore.adapter.set(keys.message(id), record, RETENTION_MS);
+
+  await Promise.all(record.to.map(email => reportStore.adapter.addToSet(keys.recipientMessages(email), [id])));
+  return record;
+}
+
+/**
+ * Chiude un invio: elenco messaggi e posto nell'indice degli invii recenti
+ * @param {object} send - { sendId, period, source, messageIds, recipients, suppressed, failed }
+ */
+async function recordSend({ sendId, period, source, messageIds, recipients, suppressed = [], failed = [] }) {
+  const record = {
+    sendId,
+    period,
+    source,
+    sentAt: new Date().toISOString(),
+    messageIds: messageIds.map(normalizeMessageId),
+    recipients,
+    suppressed,
+    failed
+  };
+  await reportStore.adapter.set(keys.send(sendId), record, RETENTION_MS);
+  await reportStore.adapter.addToSet(keys.sends(), [sendId]);
+  return record;
+}
+
+/**
+ * Aggiunge un evento del provider al messaggio e allo stato del destinatario
+ * I messaggi non registrati (alert, invii precedenti allo storico) vengono creati al volo
+ * @param {object} event
+ * @param {string} event.messageId
+ * @param {string} event.recipient
+ * @param {string} event.status - Una di DELIVERY_STATUSES
+ * @param {string} event.at - ISO
+ * @returns {Promise<object>} Stato aggiornato del destinatario nel messaggio
+ */
+async function recordEvent({ messageId, recipient, status, at, ...details }) {
+  const id = normalizeMessageId(messageId);
+  const email = normalizeEmail(recipient);
+  // L'ID evento del provider rende innocuo un secondo salvataggio dello stesso evento
+  const eventId = details.eventId || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+  await reportStore.adapter.set(keys.event(id, eventId), { recipient: email, status, at, ...details }, RETENTION_MS);
+  await reportStore.adapter.addToSet(keys.messageEvents(id), [eventId]);
+  await reportStore.adapter.addToSet(keys.recipientMessages(email), [id]);
+
+  const [message] = await loadMessages([id]);
+  return message.recipients[email];
+}
+
+// ========================================
+// LETTURA
+// ========================================
+
+// Membri scaduti tolti dai set (in KV un set vuoto sparisce); un errore non blocca la lettura
+async function pruneSet(setKey, members) {
+  if (!members.length) return;
+  await reportStore.adapter.removeFromSet(setKey, members)
+    .catch(err => console.warn(`⚠️ Delivery log cleanup of ${setKey} failed:`, err.message));
+}
+
+// Messaggio = record dell'invio + eventi in ordine di tempo; null se è tutto scaduto
+function buildMessage(id, stored, events) {
+  if (!stored && !events.length) return null;
+
+  // I record del formato precedente hanno già destinatari ed eventi
+  const { to = [], recipients: storedRecipients = {}, ...fields } = stored || {};
+  const recipients = structuredClone(storedRecipients);
+  for (const email of to) {
+    recipients[email] = recipients[email] || newRecipient(email, fields.sentAt);
+  }
+
+  const ordered = [...events].sort((a, b) => String(a.at).localeCompare(String(b.at)));
+  for (const { recipient, ...event } of ordered) {
+    recipients[recipient] = applyEvent(recipients[recipient] || newRecipient(recipient, event.at), event);
+  }
+
+  return {
+    messageId: id, provider: null, sendId: null, subject: null, period: null, location: null, sentAt: null,
+    ...fields,
+    recipients
+  };
+}
+
+// Stesso ordine degli ID; null per i messaggi scaduti
+async function loadMessages(messageIds) {
+  if (!messageIds.length) return [];
+
+  const [stored, eventIds] = await Promise.all([
+    reportStore.adapter.getMany(messageIds.map(keys.message)),
+    reportStore.adapter.getSets(messageIds.map(keys.messageEvents))
+  ]);
+  const eventKeys = messageIds.flatMap((id, i) => eventIds[i].map(eventId => keys.event(id, eventId)));
+  const events = eventKeys.length ? await reportStore.adapter.getMany(eventKeys) : [];
+
+  let offset = 0;
+  const messages = [];
+  const cleanups = [];
+  messageIds.forEach((id, i) => {
+    const found = events.slice(offset, offset += eventIds[i].length);
+    cleanups.push(pruneSet(keys.messageEvents(id), eventIds[i].filter((_, j) => !found[j])));
+    messages.push(buildMessage(id, stored[i], found.filter(Boolean)));
+  });
+  await Promise.all(cleanups);
+  return messages;
+}
+
+function summarizeMessages(messages) {
+  const statuses = {};
+  for (const message of messages) {
+    for (const r of Object.values(message?.recipients || {})) {
+      statuses[r.status] = (statuses[r.status] || 0) + 1;
+    }
+  }
+  return statuses;
+}
+
+/**
+ * Invii recenti con il conteggio degli stati dei destinatari
+ * @param {number} limit
+ * @returns {Promise<object[]>}
+ */
+async function listSends(limit = 20) {
+  const [indexed, legacyIndex] = await Promise.all([
+    reportStore.adapter.getSet(keys.sends()),
+    reportStore.adapter.get(keys.legacyIndex())
+  ]);
+  // I membri del set vengono per primi: stesso indice in records
+  const sendIds = [...new Set([...indexed, ...(legacyIndex || [])])];
+  const records = await reportStore.adapter.getMany(sendIds.map(keys.send));
+  await pruneSet(keys.sends(), indexed.filter((_, i) => !records[i]));
+
+  const sends = records
+    .filter(Boolean)
+    .sort((a, b) => b.sentAt.localeCompare(a.sentAt))
+    .slice(0, limit);
+
+  const out = [];
+  for (const send of sends) {
+    const messages = await loadMessages(send.messageIds);
+    out.push({ ...send, statuses: summarizeMessages(messages) });
+  }
+  return out;
+}
+
+/**
+ * Storico completo di un invio: messaggi, destinatari ed eventi
+ * @param {string} sendId
+ * @returns {Promise<object|null>}
+ */
+async function getSendHistory(sendId) {
+  const send = await reportStore.adapter.get(keys.send(sendId));
+  if (!send) return null;
+
+  const messages = (await loadMessages(send.messageIds)).filter(Boolean);
+  return { ...send, statuses: summarizeMessages(messages), messages };
+}
+
+async function getMessage(messageId) {
+  const [message] = await loadMessages([normalizeMessageId(messageId)]);
+  return message;
+}
+
+/**
+ * Stato di un destinatario: ultimo evento, contatori e messaggi recenti
+ * Lo stato è quello del messaggio più recente
+ * @param {string} email
+ * @returns {Promise<object|null>}
+ */
+async function getRecipientStatus(email) {
+  const target = normalizeEmail(email);
+  const [indexed, legacy] = await Promise.all([
+    reportStore.adapter.getSet(keys.recipientMessages(target)),
+    reportStore.adapter.get(keys.legacyRecipient(target))
+  ]);
+  const messageIds = [...new Set([...indexed, ...(legacy?.messages || []).map(m => m.messageId)])];
+  const loaded = await loadMessages(messageIds);
+  await pruneSet(keys.recipientMessages(target), indexed.filter((_, i) => !loaded[i]));
+
+  const received = loaded
+    .filter(message => message?.recipients[target])
+    .map(message => ({ message, entry: message.recipients[target] }));
+  if (!received.length) return null;
+
+  const counts = {};
+  for (const { entry } of received) {
+    for (const event of entry.events) counts[event.status] = (counts[event.status] || 0) + 1;
+  }
+
+  const sortKey = ({ message, entry }) => String(message.sentAt || entry.updatedAt || "");
+  const messages = received
+    .sort((a, b) => sortKey(b).localeCompare(sortKey(a)))
+    .slice(0, MAX_RECIPIENT_MESSAGES)
+    .map(({ message, entry }) => ({ messageId: message.messageId, sendId: message.sendId, status: entry.status, updatedAt: entry.updatedAt }));
+
+  return {
+    email: target,
+    status: messages[0].status,
+    updatedAt: received.map(({ entry }) => String(entry.updatedAt || "")).sort().pop() || null,
+    counts,
+    messages
+  };
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  DELIVERY_STATUSES,
+  normalizeMessageId,
+  createSendId,
+  recordMessage,
+  recordSend,
+  recordEvent,
+  listSends,
+  getSendHistory,
+  getMessage,
+  getRecipientStatus
+};
@@ -0,0 +1,123 @@
+// /lib/inventory-store.js - Snapshot persistente dei livelli di inventario per location
+// Scritto dal report dopo un fetch completo, mantenuto aggiornato dai webhook inventory_levels/update
+
+import { reportStore } from './report-store.js';
+
+// Senza webhook lo snapshot vale quanto la vecchia cache dead stock (1 ora)
+const SNAPSHOT_MAX_AGE_MS = 60 * 60 * 1000;
+const SNAPSHOT_MAX_AGE_WEBHOOKS_MS = Number(process.env.INVENTORY_SNAPSHOT_MAX_AGE_HOURS || 24) * 60 * 60 * 1000;
+
+const adapter = reportStore.adapter;
+// Un livello per chiave: i webhook di uno stesso ordine arrivano insieme e non devono
+// riscrivere lo snapshot intero (l'ultimo cancellerebbe gli aggiornamenti degli altri)
+const keys = {
+  webhook: reportStore.key("inventory", "webhook"),
+  snapshot: (locationId) => reportStore.key("inventory", "snapshot", locationId),
+  items: (locationId) => reportStore.key("inventory", "items", locationId),
+  level: (locationId, itemId) => reportStore.key("inventory", "level", locationId, itemId)
+};
+
+const isOlder = (updatedAt, than) => Boolean(than && updatedAt && new Date(updatedAt) < new Date(than));
+
+// ========================================
+// SNAPSHOT PER LOCATION
+// ========================================
+
+/**
+ * Livelli salvati di una location, solo se ancora validi
+ * @param {number|string} locationId
+ * @returns {Promise<Array<{inventory_item_id: number, available: number}>|null>}
+ */
+async function getLocationLevels(locationId) {
+  try {
+    const snapshot = await adapter.get(keys.snapshot(locationId));
+    if (!snapshot) return null;
+
+    const webhook = await adapter.get(keys.webhook);
+    const maxAge = webhook ? SNAPSHOT_MAX_AGE_WEBHOOKS_MS : SNAPSHOT_MAX_AGE_MS;
+    if (Date.now() - new Date(snapshot.fetchedAt).getTime() > maxAge) return null;
+
+    const itemIds = await adapter.getSet(keys.items(locationId));
+    const levels = await adapter.getMany(itemIds.map(itemId => keys.level(locationId, itemId)));
+    return itemIds
+      .map((itemId, i) => levels[i] && { inventory_item_id: Number(itemId), available: levels[i].available })
+      .filter(Boolean);
+  } catch (err) {
+    console.warn(`⚠️ Inventory snapshot read failed for location ${locationId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Salva i livelli appena scaricati da Shopify per una location
+ * Un livello già aggiornato da un webhook più recente del fetch non viene sovrascritto
+ * @param {number|string} locationId
+ * @param {Array} levels - inventory_levels REST
+ */
+async function saveLocationLevels(locationId, levels) {
+  try {
+    const itemIds = levels.map(lvl => String(lvl.inventory_item_id));
+    const current = await adapter.getMany(itemIds.map(itemId => keys.level(locationId, itemId)));
+    const fresh = levels.filter((lvl, i) => !isOlder(lvl.updated_at, current[i]?.updated_at));
+
+    await adapter.setMany(fresh.map(lvl => [
+      keys.level(locationId, lvl.inventory_item_id),
+      { available: Number(lvl.available || 0), updated_at: lvl.updated_at || null }
+    ]));
+    await adapter.addToSet(keys.items(locationId), itemIds);
+
+    // Item non più presenti nella location: fuori dallo snapshot
+    const known = new Set(itemIds);
+    const removed = (await adapter.getSet(keys.items(locationId))).filter(itemId => !known.has(itemId));
+    if (removed.length) {
+      await adapter.removeFromSet(keys.items(locationId), removed);
+      await Promise.all(removed.map(itemId => adapter.delete(keys.level(locationId, itemId))));
+    }
+
+    // Per ultimo: lo snapshot diventa valido solo con tutti i livelli scritti
+    await adapter.set(keys.snapshot(locationId), { fetchedAt: new Date().toISOString(), items: itemIds.length });
+  } catch (err) {
+    console.warn(`⚠️ Inventory snapshot write failed for location ${locationId}:`, err.message);
+  }
+}
+
+// ========================================
+// WEBHOOK
+// ========================================
+
+/**
+ * Applica un inventory_levels/update allo snapshot della location (solo la chiave di quell'item)
+ * Senza snapshot non c'è niente da aggiornare: il prossimo report farà il fetch completo
+ * @param {{inventory_item_id: number, location_id: number, available: number, updated_at: string}} payload
+ * @returns {Promise<{applied: boolean, reason?: string}>}
+ */
+async function applyInventoryWebhook(payload) {
+  // Scade da sola: se i webhook smettono di arrivare si torna alla validità di 1 ora
+  await adapter.set(keys.webhook, { lastAt: new Date().toISOString() }, SNAPSHOT_MAX_AGE_WEBHOOKS_MS);
+
+  const { location_id: locationId, inventory_item_id: itemId } = payload;
+  if (!await adapter.get(keys.snapshot(locationId))) return { applied: false, reason: "no snapshot" };
+
+  const key = keys.level(locationId, itemId);
+  const current = await adapter.get(key);
+  if (isOlder(payload.updated_at, current?.updated_at)) {
+    return { applied: false, reason: "outdated" };
+  }
+
+  await adapter.set(key, {
+    available: Number(payload.available || 0),
+    updated_at: payload.updated_at || new Date().toISOString()
+  });
+  await adapter.addToSet(keys.items(locationId), [itemId]);
+  return { applied: true };
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  getLocationLevels,
+  saveLocationLevels,
+  applyInventoryWebhook
+};
@@ -0,0 +1,198 @@
+// /lib/location-registry.js - Registro delle location del negozio
+// Tutte le location in una sola chiamata (memoria → store → Shopify) invece di /locations/{id}.json nei loop
+
+import { reportStore } from './report-store.js';
+import { shopifyRest } from './shopify-rest.js';
+
+const SHOP = process.env.SHOPIFY_SHOP;
+const LOCATIONS_URL = `https://${SHOP}/admin/api/2024-07/locations.json`;
+
+// In memoria basta per la durata di un'invocazione (e dei riusi a caldo ravvicinati)
+const MEMORY_TTL_MS = 5 * 60 * 1000;
+// Le location cambiano raramente: nello store valgono un giorno o fino al prossimo webhook
+const STORE_TTL_MS = Number(process.env.LOCATION_REGISTRY_MAX_AGE_HOURS || 24) * 60 * 60 * 1000;
+// Un ID sconosciuto forza il refresh al massimo una volta al minuto (niente raffiche su errori)
+const REFRESH_MIN_INTERVAL_MS = 60 * 1000;
+
+const STORE_KEY = reportStore.key("locations");
+
+let registry = null;
+let pending = null;
+let lastFetchAttempt = 0;
+
+// ========================================
+// CARICAMENTO
+// ========================================
+
+function toEntry(location) {
+  return {
+    id: location.id,
+    name: location.name,
+    active: location.active,
+    address1: location.address1 || "",
+    city: location.city || "",
+    country_code: location.country_code || null,
+    created_at: location.created_at,
+    updated_at: location.updated_at
+  };
+}
+
+function setRegistry(locations, fetchedAt, source) {
+  registry = {
+    locations,
+    byId: new Map(locations.map(l => [String(l.id), l])),
+    fetchedAt,
+    loadedAt: Date.now(),
+    source
+  };
+  return registry;
+}
+
+async function fetchFromShopify() {
+  lastFetchAttempt = Date.now();
+  const { json } = await shopifyRest(LOCATIONS_URL);
+  const locations = (json.locations || []).map(toEntry);
+  const fetchedAt = new Date().toISOString();
+
+  try {
+    await reportStore.adapter.set(STORE_KEY, { fetchedAt, locations }, STORE_TTL_MS);
+  } catch (err) {
+    console.warn("⚠️ Location registry write failed:", err.message);
+  }
+
+  console.log(`📍 Loaded ${locations.length} locations from Shopify`);
+  return setRegistry(locations, fetchedAt, "shopify");
+}
+
+async function readFromStore() {
+  try {
+    const stored = await reportStore.adapter.get(STORE_KEY);
+    return stored ? setRegistry(stored.locations, stored.fetchedAt, "store") : null;
+  } catch (err) {
+    console.warn("⚠️ Location registry read failed:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Tutte le location del negozio (attive e non)
+ * Se Shopify non risponde restano valide le ultime caricate, altrimenti lista vuota
+ * @param {object} options
+ * @param {boolean} options.refresh - Ignora memoria e store e rilegge da Shopify
+ * @returns {Promise<Array<{id: number, name: string, active: boolean}>>}
+ */
+async function loadLocations({ refresh = false } = {}) {
+  if (!refresh && registry && Date.now() - registry.loadedAt < MEMORY_TTL_MS) {
+    return registry.locations;
+  }
+
+  // Chiamate concorrenti condividono lo stesso caricamento
+  if (!pending) {
+    pending = (async () => {
+      if (!refresh && await readFromStore()) return;
+      // Dopo un fetch fallito non si riprova a ogni lookup
+      if (!refresh && Date.now() - lastFetchAttempt < REFRESH_MIN_INTERVAL_MS) return;
+      try {
+        await fetchFromShopify();
+      } catch (err) {
+        console.warn(`⚠️ Failed to fetch locations${registry ? ", keeping previous list" : ""}:`, err.message);
+      }
+    })().finally(() => { pending = null; });
+  }
+
+  await pending;
+  return registry?.locations || [];
+}
+
+// ========================================
+// LOOKUP
+// ========================================
+
+/**
+ * Location per ID; un ID sconosciuto (location nuova) ricarica il registro una volta
+ * @param {number|string} locationId
+ * @returns {Promise<object|null>}
+ */
+async function getLocation(locationId) {
+  if (locationId == null) return null;
+  await loadLocations();
+
+  const key = String(locationId);
+  if (registry?.byId.has(key)) return registry.byId.get(key);
+
+  if (Date.now() - lastFetchAttempt > REFRESH_MIN_INTERVAL_MS) {
+    await loadLocations({ refresh: true });
+  }
+  return registry?.byId.get(key) || null;
+}
+
+async function getLocationName(locationId) {
+  const location = await getLocation(locationId);
+  return location?.name || `Location ${locationId}`;
+}
+
+/**
+ * Location per ID o per nome (senza distinzione di maiuscole), come nei parametri degli endpoint
+ * Un nome sconosciuto ricarica il registro una volta, come un ID sconosciuto
+ * @param {number|string} value
+ * @returns {Promise<object|null>}
+ */
+async function findLocation(value) {
+  const query = String(value ?? "").trim();
+  if (!query) return null;
+
+  if (/^\d+$/.test(query)) {
+    const byId = await getLocation(query);
+    if (byId) return byId;
+  }
+
+  const name = query.toLowerCase();
+  const byName = (locations) => locations.find(l => String(l.name || "").trim().toLowerCase() === name) || null;
+
+  const found = byName(await loadLocations());
+  if (found || Date.now() - lastFetchAttempt <= REFRESH_MIN_INTERVAL_MS) return found;
+  return byName(await loadLocations({ refresh: true }));
+}
+
+// Nome della location per i nomi file ("Centro Histórico" → "centro-historico")
+function locationSlug(location) {
+  const slug = String(location.name || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  return slug || String(location.id);
+}
+
+// Una location che non si riesce a identificare non viene conteggiata
+async function isLocationActive(locationId) {
+  const location = await getLocation(locationId);
+  return Boolean(location?.active);
+}
+
+/**
+ * Ricarica subito da Shopify (webhook locations/*); a differenza di loadLocations propaga gli errori
+ * @returns {Promise<Array>}
+ */
+async function refreshLocations() {
+  const { locations } = await fetchFromShopify();
+  return locations;
+}
+
+function getRegistryInfo() {
+  return registry
+    ? { source: registry.source, fetchedAt: registry.fetchedAt, total: registry.locations.length, active: registry.locations.filter(l => l.active).length }
+    : null;
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  loadLocations,
+  getLocation,
+  getLocationName,
+  findLocation,
+  locationSlug,
+  isLocationActive,
+  refreshLocations,
+  getRegistryInfo
+};
@@ -0,0 +1,368 @@
+// /lib/mailer.js - Invio email condiviso (report e alert) con trasporti intercambiabili
+// MAIL_PROVIDER sceglie il trasporto principale, MAIL_FALLBACK_PROVIDER quello di riserva
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import FormData from 'form-data';
+import Mailgun from 'mailgun.js';
+
+const MAIL_PROVIDERS = ['mailgun', 'resend', 'smtp', 'outbox'];
+
+function getFromAddress() {
+  return process.env.MAIL_FROM
+    || process.env.MAILGUN_FROM
+    || (process.env.MAILGUN_DOMAIN ? `postmaster@${process.env.MAILGUN_DOMAIN}` : 'reportes@localhost');
+}
+
+const getReplyTo = () => process.env.REPLY_TO_EMAIL || undefined;
+
+const toList = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean);
+
+// ========================================
+// TRANSPORT INTERFACE
+// ========================================
+
+/**
+ * Ogni trasporto implementa lo stesso contratto:
+ *   name                -> string
+ *   missingConfig()     -> string[]           (variabili d'ambiente mancanti, vuoto = pronto)
+ *   send(message)       -> Promise<{id}>      (message già normalizzato: from, to[], headers{}, attachments[])
+ */
+
+// ========================================
+// MAILGUN TRANSPORT
+// ========================================
+
+class MailgunTransport {
+  constructor() {
+    this.name = 'mailgun';
+    // Client creato al primo invio: mailgun.js lancia senza API key e bloccherebbe
+    // l'import anche negli endpoint che non inviano (webhook, cron alert)
+    this.client = null;
+  }
+
+  missingConfig() {
+    return ['MAILGUN_API_KEY', 'MAILGUN_DOMAIN'].filter(key => !process.env[key]);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new Mailgun(FormData).client({
+        username: 'api',
+        key: process.env.MAILGUN_API_KEY,
+        url: process.env.MAILGUN_BASE_URL || 'https://api.mailgun.net'
+      });
+    }
+    return this.client;
+  }
+
+  async send({ from, to, subject, html, text, replyTo, tags, headers, attachments }) {
+    const msg = await this.getClient().messages.create(process.env.MAILGUN_DOMAIN, {
+      from,
+      to,
+      subject,
+      html,
+      text,
+      'h:Reply-To': replyTo,
+      ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [`h:${name}`, value])),
+      'o:tag': tags,
+      ...(attachments.length && { attachment: attachments })
+    });
+
+    if (!msg?.id) throw new Error(`Mailgun response senza ID valido: ${JSON.stringify(msg)}`);
+    return { id: msg.id };
+  }
+}
+
+// ========================================
+// RESEND TRANSPORT
+// ========================================
+
+class ResendTransport {
+  constructor() {
+    this.name = 'resend';
+    this.client = null;
+  }
+
+  missingConfig() {
+    return process.env.RESEND_API_KEY ? [] : ['RESEND_API_KEY'];
+  }
+
+  async getClient() {
+    if (!this.client) {
+      const { Resend } = await import('resend');
+      this.client = new Resend(process.env.RESEND_API_KEY);
+    }
+    return this.client;
+  }
+
+  async send({ from, to, subject, html, text, replyTo, tags, headers, attachments }) {
+    const client = await this.getClient();
+    const { data, error } = await client.emails.send({
+      from,
+      to,
+      subject,
+      html,
+      text,
+      reply_to: replyTo,
+      headers,
+      // Resend accetta solo [A-Za-z0-9_-] nei tag
+      tags: tags.map(tag => ({ name: String(tag).replace(/[^\w-]/g, '_'), value: 'true' })),
+      // Il body è JSON: i Buffer vanno in base64
+      attachments: attachments.map(a => ({
+        filename: a.filename,
+        content: Buffer.isBuffer(a.data) ? a.data.toString('base64') : a.data,
+        content_type: a.contentType
+      }))
+    });
+
+    if (error) throw new Error(`Resend ${error.name || 'error'}: ${error.message}`);
+    if (!data?.id) throw new Error(`Resend response senza ID valido: ${JSON.stringify(data)}`);
+    return { id: data.id };
+  }
+}
+
+// ========================================
+// SMTP TRANSPORT
+// ========================================
+
+class SmtpTransport {
+  constructor() {
+    this.name = 'smtp';
+    this.transporter = null;
+  }
+
+  missingConfig() {
+    return process.env.SMTP_HOST ? [] : ['SMTP_HOST'];
+  }
+
+  async getTransporter() {
+    if (!this.transporter) {
+      const { default: nodemailer } = await import('nodemailer');
+      const port = parseInt(process.env.SMTP_PORT || '587', 10);
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        // 465 = TLS implicito, gli altri porti negoziano STARTTLS
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        ...(process.env.SMTP_USER && {
+          auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        })
+      });
+    }
+    return this.transporter;
+  }
+
+  async send({ from, to, subject, html, text, replyTo, tags, headers, attachments }) {
+    const transporter = await this.getTransporter();
+    const info = await transporter.sendMail({
+      from,
+      to,
+      subject,
+      html,
+      text,
+      replyTo,
+      headers: { ...headers, ...(tags.length && { 'X-Tags': tags.join(', ') }) },
+      attachments: attachments.map(a => ({
+        filename: a.filename,
+        content: a.data,
+        contentType: a.contentType
+      }))
+    });
+
+    if (!info?.messageId) throw new Error(`SMTP response senza messageId: ${JSON.stringify(info)}`);
+    return { id: info.messageId };
+  }
+}
+
+// ========================================
+// OUTBOX TRANSPORT (sviluppo e test)
+// ========================================
+
+// Non invia nulla: scrive ogni messaggio in una cartella per ispezionarlo in locale
+class OutboxTransport {
+  constructor(dir) {
+    this.name = 'outbox';
+    this.dir = dir;
+  }
+
+  missingConfig() {
+    return [];
+  }
+
+  async send({ from, to, subject, html, text, replyTo, tags, headers, attachments }) {
+    const id = `outbox-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const messageDir = path.join(this.dir, id);
+    await fs.mkdir(messageDir, { recursive: true });
+
+    const files = [];
+    for (const attachment of attachments) {
+      const filename = path.basename(attachment.filename || `attachment-${files.length + 1}`);
+      await fs.writeFile(path.join(messageDir, filename), attachment.data);
+      files.push({ filename, contentType: attachment.contentType, size: attachment.data?.length || 0 });
+    }
+
+    if (html) await fs.writeFile(path.join(messageDir, 'body.html'), html);
+    await fs.writeFile(path.join(messageDir, 'message.json'), JSON.stringify({
+      id,
+      from,
+      to,
+      subject,
+      replyTo: replyTo || null,
+      tags,
+      headers,
+      text,
+      attachments: files,
+      createdAt: new Date().toISOString()
+    }, null, 2));
+
+    console.log(`📭 Email salvata in outbox: ${messageDir}`);
+    return { id };
+  }
+}
+
+// ========================================
+// FACTORY
+// ========================================
+
+// Senza MAIL_PROVIDER si usa il primo provider configurato (Mailgun resta il default storico)
+function detectProvider() {
+  if (process.env.MAILGUN_API_KEY) return 'mailgun';
+  if (process.env.RESEND_API_KEY) return 'resend';
+  if (process.env.SMTP_HOST) return 'smtp';
+  return process.env.VERCEL ? 'mailgun' : 'outbox';
+}
+
+function createTransport(name) {
+  const selected = String(name).trim().toLowerCase();
+
+  if (selected === 'mailgun') return new MailgunTransport();
+  if (selected === 'resend') return new ResendTransport();
+  if (selected === 'smtp') return new SmtpTransport();
+  if (selected === 'outbox') {
+    // Su Vercel solo /tmp è scrivibile
+    const dir = process.env.MAIL_OUTBOX_DIR || (process.env.VERCEL ? '/tmp/mail-outbox' : '.data/mail-outbox');
+    return new OutboxTransport(dir);
+  }
+
+  throw new Error(`Provider email sconosciuto "${selected}" (valori ammessi: ${MAIL_PROVIDERS.join(', ')})`);
+}
+
+let transports = null;
+
+/**
+ * Catena di trasporti: principale + eventuale riserva
+ * Il principale deve essere configurato; una riserva incompleta viene ignorata con un warning
+ * @returns {object[]}
+ */
+function getTransports() {
+  if (transports) return transports;
+
+  const primary = createTransport(process.env.MAIL_PROVIDER || detectProvider());
+  const missing = primary.missingConfig();
+  if (missing.length) {
+    throw new Error(`${missing.join(', ')} non configurat${missing.length > 1 ? 'e' : 'a'} (provider ${primary.name})`);
+  }
+
+  const chain = [primary];
+  const fallbackName = process.env.MAIL_FALLBACK_PROVIDER;
+  if (fallbackName && fallbackName.trim().toLowerCase() !== primary.name) {
+    const fallback = createTransport(fallbackName);
+    const fallbackMissing = fallback.missingConfig();
+    if (fallbackMissing.length) {
+      console.warn(`⚠️ MAIL_FALLBACK_PROVIDER=${fallback.name} ma mancano ${fallbackMissing.join(', ')}, nessun failover`);
+    } else {
+      chain.push(fallback);
+    }
+  }
+
+  transports = chain;
+  return transports;
+}
+
+/**
+ * Configurazione email attiva (per diagnostica negli endpoint)
+ * @returns {{provider: string|null, fallback: string|null, from: string, error?: string}}
+ */
+function getMailConfig() {
+  try {
+    const [primary, fallback] = getTransports();
+    return { provider: primary.name, fallback: fallback?.name || null, from: getFromAddress() };
+  } catch (err) {
+    return { provider: null, fallback: null, from: getFromAddress(), error: err.message };
+  }
+}
+
+// I domini sandbox di Mailgun consegnano solo a destinatari autorizzati:
+// vale se Mailgun è nella catena (anche solo come riserva)
+function isSandboxDomain() {
+  if (!/sandbox\.mailgun\.org$/.test(process.env.MAILGUN_DOMAIN || '')) return false;
+  try {
+    return getTransports().some(t => t.name === 'mailgun');
+  } catch {
+    return false;
+  }
+}
+
+// ========================================
+// INVIO
+// ========================================
+
+/**
+ * Invia un'email con il provider configurato, passando alla riserva se il principale fallisce
+ * @param {object} message
+ * @param {string[]} message.to - Destinatari
+ * @param {string} message.subject
+ * @param {string} message.html
+ * @param {string} message.text
+ * @param {string[]} [message.tags] - Tag (o:tag su Mailgun, tags su Resend, X-Tags su SMTP)
+ * @param {object} [message.headers] - Header aggiuntivi (es. List-Unsubscribe)
+ * @param {object|object[]} [message.attachment] - { data, filename, contentType } o lista di allegati
+ * @returns {Promise<{id: string, provider: string, failover: boolean}>}
+ */
+async function sendMail({ to, subject, html, text, tags = [], headers = {}, attachment }) {
+  const chain = getTransports();
+  const message = {
+    from: getFromAddress(),
+    to: toList(to),
+    subject,
+    html,
+    text,
+    replyTo: getReplyTo(),
+    tags,
+    headers,
+    attachments: toList(attachment)
+  };
+
+  const errors = [];
+  for (const [index, transport] of chain.entries()) {
+    try {
+      const { id } = await transport.send(message);
+      if (index > 0) console.warn(`⚠️ Email inviata via ${transport.name} (failover dopo: ${errors.join(' | ')})`);
+      return { id, provider: transport.name, failover: index > 0 };
+    } catch (err) {
+      console.error(`❌ Invio via ${transport.name} fallito:`, err.message);
+      errors.push(`${transport.name}: ${err.message}`);
+    }
+  }
+
+  throw new Error(`Invio email fallito - ${errors.join(' | ')}`);
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  sendMail,
+  getMailConfig,
+  getTransports,
+  getFromAddress,
+  isSandboxDomain,
+  createTransport,
+  MAIL_PROVIDERS,
+  MailgunTransport,
+  ResendTransport,
+  SmtpTransport,
+  OutboxTransport
+};
@@ -0,0 +1,454 @@
+// /lib/order-warehouse.js - Magazzino locale degli ordini con sync incrementale
+// Gli ordini si scaricano una volta (backfill) e poi si aggiornano via updated_at_min,
+// così i report leggono dallo store invece di riscaricare gli stessi ordini a ogni analisi
+
+import crypto from 'crypto';
+import { reportStore } from './report-store.js';
+import { shopifyRest } from './shopify-rest.js';
+
+const SHOP = process.env.SHOPIFY_SHOP;
+const API_BASE = `https://${SHOP}/admin/api/2024-07`;
+
+// Solo i campi usati dalle analisi (niente dati cliente nello store)
+const SYNC_FIELD_LIST = [
+  "id", "name", "created_at", "updated_at", "cancelled_at", "financial_status",
+  "total_price", "subtotal_price", "total_tax", "total_discounts", "taxes_included",
+  "discount_applications", "payment_gateway_names", "source_name", "location_id",
+  "line_items", "shipping_lines", "refunds", "fulfillments"
+];
+const SYNC_FIELDS = SYNC_FIELD_LIST.join(",");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SYNC_WINDOW_DAYS = 7;
+const BACKFILL_WINDOW_DAYS = 30;
+// Sovrapposizione tra finestre: Shopify può indicizzare un update con qualche secondo di ritardo
+const SYNC_OVERLAP_MS = 2 * 60 * 1000;
+const SYNC_LOCK_TTL_MS = 2 * 60 * 1000;
+const SYNC_MAX_AGE_MS = Number(process.env.ORDER_SYNC_MAX_AGE_MINUTES || 5) * 60 * 1000;
+// Con i webhook attivi il sync a cursore resta solo come rete di sicurezza
+const SYNC_MAX_AGE_WEBHOOKS_MS = Number(process.env.ORDER_SYNC_MAX_AGE_WEBHOOKS_MINUTES || 60) * 60 * 1000;
+const REFUNDED_STATUSES = new Set(["partially_refunded", "refunded"]);
+
+const adapter = reportStore.adapter;
+const keys = {
+  meta: reportStore.key("orders", "sync"),
+  lock: reportStore.key("orders", "sync-lock"),
+  webhook: reportStore.key("orders", "webhook"),
+  // Un ordine per chiave, più set di ID per giorno e per i rimborsati (aggiunte atomiche)
+  order: (orderId) => reportStore.key("orders", "order", orderId),
+  day: (day) => reportStore.key("orders", "day-ids", day),
+  refunded: reportStore.key("orders", "refunded-ids")
+};
+
+// ========================================
+// FETCH DA SHOPIFY
+// ========================================
+
+async function fetchOrdersPage(url) {
+  const { json, link } = await shopifyRest(url);
+  const next = link.match(/<([^>]+)>;\s*rel="next"/)?.[1] || null;
+  return { orders: json.orders || [], next };
+}
+
+// Tutti gli ordini (ogni stato) con dateField nella finestra [from, to]
+async function fetchOrdersWindow(dateField, from, to) {
+  let url = `${API_BASE}/orders.json?status=any&limit=250&fields=${SYNC_FIELDS}` +
+    `&${dateField}_min=${encodeURIComponent(from.toISOString())}` +
+    `&${dateField}_max=${encodeURIComponent(to.toISOString())}`;
+  const out = [];
+
+  while (url) {
+    const page = await fetchOrdersPage(url);
+    out.push(...page.orders);
+    url = page.next;
+  }
+
+  return out;
+}
+
+async function fetchOrder(orderId) {
+  const { orders } = await fetchOrdersPage(`${API_BASE}/orders.json?status=any&ids=${orderId}&fields=${SYNC_FIELDS}`);
+  return orders[0] || null;
+}
+
+// ========================================
+// STORAGE (un ordine per chiave, indice giornaliero UTC per created_at)
+// ========================================
+
+const utcDay = (iso) => new Date(iso).toISOString().slice(0, 10);
+
+// Gli aggregati giornalieri dei report sono per data locale del negozio: a ±14 ore dall'UTC
+// la data locale di un ordine è il giorno UTC o uno dei due vicini
+function localDaysAround(iso) {
+  const t = new Date(utcDay(iso)).getTime();
+  return [t - DAY_MS, t, t + DAY_MS].map(d => new Date(d).toISOString().slice(0, 10));
+}
+
+// Un ordine cambiato (nuovo, modificato, rimborsato) invalida gli aggregati salvati del suo giorno
+async function invalidateDailyAggregates(orders) {
+  const days = [...new Set(orders.filter(o => o?.created_at).flatMap(o => localDaysAround(o.created_at)))];
+  if (days.length) await reportStore.deleteDailyAggregates(days);
+}
+
+function daysBetween(from, to) {
+  const days = [];
+  const first = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate());
+  for (let t = first; t <= to.getTime(); t += DAY_MS) {
+    days.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+async function readMeta() {
+  return (await adapter.get(keys.meta)) || {};
+}
+
+async function writeMeta(meta) {
+  await adapter.set(keys.meta, meta);
+}
+
+// Chiave separata dal meta: il sync riscrive il meta e non deve cancellare l'attività webhook
+async function getMaxSyncAge() {
+  const webhook = await adapter.get(keys.webhook);
+  const active = webhook && Date.now() - new Date(webhook.lastAt).getTime() <= SYNC_MAX_AGE_WEBHOOKS_MS;
+  return active ? SYNC_MAX_AGE_WEBHOOKS_MS : SYNC_MAX_AGE_MS;
+}
+
+// Stessa proiezione del sync REST: il payload webhook contiene anche dati cliente.
+// Dei fulfillments serve solo la location (attribuzione degli ordini online allo stock)
+function projectOrder(order) {
+  const projected = Object.fromEntries(SYNC_FIELD_LIST.filter(f => order[f] !== undefined).map(f => [f, order[f]]));
+  if (projected.fulfillments) {
+    projected.fulfillments = projected.fulfillments.map(f => ({ location_id: f.location_id ?? null }));
+  }
+  return projected;
+}
+
+/**
+ * Inserisce o aggiorna ordini nello store (idempotente, l'ultima versione vince)
+ * Ogni ordine ha la sua chiave e gli indici sono set: webhook e sync concorrenti
+ * su ordini diversi non si sovrascrivono a vicenda
+ * @param {Array} orders - Ordini Shopify REST
+ * @returns {Promise<number>} Ordini scritti
+ */
+async function upsertOrders(orders) {
+  // La stessa pagina può contenere due versioni dello stesso ordine: resta la più recente
+  const latest = new Map();
+  for (const o of orders) {
+    if (!o?.id || !o.created_at) continue;
+    const seen = latest.get(o.id);
+    if (!seen || !isOlder(o, seen)) latest.set(o.id, o);
+  }
+  if (!latest.size) return 0;
+
+  const candidates = [...latest.values()];
+  const current = await adapter.getMany(candidates.map(o => keys.order(o.id)));
+  // Webhook e sync possono arrivare fuori ordine: una versione più vecchia non sovrascrive.
+  // Due versioni dello stesso ordine nello stesso istante restano una corsa: la vince il prossimo sync
+  const written = candidates.filter((o, i) => !current[i] || !isOlder(o, current[i]));
+  if (!written.length) return 0;
+
+  await adapter.setMany(written.map(o => [keys.order(o.id), projectOrder(o)]));
+
+  const idsByDay = new Map();
+  for (const o of written) {
+    const day = utcDay(o.created_at);
+    if (!idsByDay.has(day)) idsByDay.set(day, []);
+    idsByDay.get(day).push(o.id);
+  }
+  await Promise.all([...idsByDay].map(([day, ids]) => adapter.addToSet(keys.day(day), ids)));
+
+  // Indice dei rimborsati: le query per updated_at non possono scorrere tutti i giorni
+  const refunded = written.filter(o => REFUNDED_STATUSES.has(o.financial_status)).map(o => o.id);
+  const notRefunded = written.filter(o => !REFUNDED_STATUSES.has(o.financial_status)).map(o => o.id);
+  if (refunded.length) await adapter.addToSet(keys.refunded, refunded);
+  if (notRefunded.length) await adapter.removeFromSet(keys.refunded, notRefunded);
+
+  await invalidateDailyAggregates(written);
+  return written.length;
+}
+
+function isOlder(order, than) {
+  return Boolean(than.updated_at && order.updated_at && new Date(order.updated_at) < new Date(than.updated_at));
+}
+
+// Lock: evita che report e cron sincronizzino in parallelo sugli stessi bucket
+// Presa atomica con setIfAbsent; il token identifica chi lo tiene, così una run che ha superato
+// il TTL non cancella il lock preso nel frattempo da un'altra
+async function withSyncLock(fn) {
+  const token = crypto.randomUUID();
+  if (!await adapter.setIfAbsent(keys.lock, { token, since: new Date().toISOString() }, SYNC_LOCK_TTL_MS)) {
+    console.log("🔒 Order sync already running, skipping");
+    return { skipped: true, reason: "locked" };
+  }
+
+  try {
+    return await fn();
+  } finally {
+    // Lettura e cancellazione non sono atomiche: resta solo la finestra tra le due chiamate
+    const current = await adapter.get(keys.lock).catch(() => null);
+    if (current?.token === token) await adapter.delete(keys.lock);
+    else console.warn("⚠️ Order sync lock expired during the run, left to its new owner");
+  }
+}
+
+// ========================================
+// SYNC INCREMENTALE E BACKFILL
+// ========================================
+
+/**
+ * Scarica gli ordini aggiornati dopo il cursore, a finestre di SYNC_WINDOW_DAYS
+ * Il cursore avanza dopo ogni finestra completata: un timeout non perde il progresso
+ * @param {object} options
+ * @param {number} options.deadline - Timestamp oltre il quale non iniziare nuove finestre
+ */
+async function syncOrders({ deadline = Date.now() + 60 * 1000 } = {}) {
+  return withSyncLock(async () => {
+    const meta = await readMeta();
+    if (!meta.cursor) {
+      return { skipped: true, reason: "no backfill" };
+    }
+
+    const startedAt = Date.now();
+    let cursor = new Date(meta.cursor);
+    let fetched = 0;
+    let windows = 0;
+
+    while (cursor.getTime() < startedAt && Date.now() < deadline) {
+      const windowStart = new Date(cursor.getTime() - SYNC_OVERLAP_MS);
+      const windowEnd = new Date(Math.min(cursor.getTime() + SYNC_WINDOW_DAYS * DAY_MS, startedAt));
+      const orders = await fetchOrdersWindow("updated_at", windowStart, windowEnd);
+      fetched += await upsertOrders(orders);
+      windows++;
+
+      cursor = windowEnd;
+      meta.cursor = cursor.toISOString();
+      await writeMeta(meta);
+    }
+
+    meta.lastSyncAt = meta.cursor;
+    meta.lastRun = {
+      type: "incremental",
+      fetched,
+      windows,
+      caughtUp: cursor.getTime() >= startedAt,
+      durationMs: Date.now() - startedAt,
+      finishedAt: new Date().toISOString()
+    };
+    await writeMeta(meta);
+
+    console.log(`🔄 Order sync: ${fetched} orders in ${windows} windows (${meta.lastRun.durationMs}ms)`);
+    return meta.lastRun;
+  });
+}
+
+/**
+ * Backfill degli ordini creati da `from` fino all'inizio della copertura esistente
+ * Riprendibile: rilanciandolo con lo stesso `from` continua dall'ultima finestra completata
+ * @param {string} from - Data ISO (yyyy-MM-dd) da cui scaricare lo storico
+ * @param {object} options
+ * @param {number} options.deadline - Timestamp oltre il quale fermarsi (default: nessun limite)
+ */
+async function backfillOrders(from, { deadline = Infinity } = {}) {
+  const target = new Date(from);
+  if (Number.isNaN(target.getTime())) {
+    throw new Error(`Data backfill non valida: ${from}`);
+  }
+
+  return withSyncLock(async () => {
+    const meta = await readMeta();
+
+    if (meta.coverageStart && new Date(meta.coverageStart) <= target) {
+      return { skipped: true, reason: "already covered", coverageStart: meta.coverageStart };
+    }
+
+    // Il cursore incrementale parte da adesso: gli update avvenuti durante il backfill non si perdono
+    if (!meta.cursor) {
+      meta.cursor = new Date().toISOString();
+      meta.lastSyncAt = meta.cursor;
+      meta.syncedSince = meta.cursor;
+    }
+
+    if (meta.backfill?.from !== target.toISOString()) {
+      meta.backfill = {
+        from: target.toISOString(),
+        next: target.toISOString(),
+        until: meta.coverageStart || meta.cursor,
+        fetched: 0
+      };
+    }
+
+    let next = new Date(meta.backfill.next);
+    const until = new Date(meta.backfill.until);
+
+    while (next < until && Date.now() < deadline) {
+      const windowEnd = new Date(Math.min(next.getTime() + BACKFILL_WINDOW_DAYS * DAY_MS, until.getTime()));
+      const orders = await fetchOrdersWindow("created_at", next, windowEnd);
+      meta.backfill.fetched += await upsertOrders(orders);
+      console.log(`📥 Backfill ${utcDay(next)} → ${utcDay(windowEnd)}: ${orders.length} orders`);
+
+      next = windowEnd;
+      meta.backfill.next = next.toISOString();
+      await writeMeta(meta);
+    }
+
+    const complete = next >= until;
+    const result = { ...meta.backfill, complete };
+
+    if (complete) {
+      meta.coverageStart = meta.backfill.from;
+      meta.lastBackfill = { ...meta.backfill, completedAt: new Date().toISOString() };
+      delete meta.backfill;
+    }
+    await writeMeta(meta);
+
+    return result;
+  });
+}
+
+// ========================================
+// WEBHOOK
+// ========================================
+
+/**
+ * Applica un ordine ricevuto via webhook (orders/create, orders/updated)
+ * Con `refetch` l'ordine viene riletto da Shopify (refunds/create contiene solo il rimborso)
+ * @param {object} payload - Ordine del webhook, oppure { id } con refetch
+ * @returns {Promise<{applied: boolean, reason?: string}>}
+ */
+async function applyOrderWebhook(payload, { refetch = false } = {}) {
+  const meta = await readMeta();
+  if (!meta.coverageStart) {
+    // Senza warehouse l'ordine non si salva, ma gli aggregati del suo giorno non valgono più
+    // (refunds/create non porta created_at: lì resta la scadenza degli aggregati)
+    await invalidateDailyAggregates([payload]);
+    return { applied: false, reason: "warehouse disabled" };
+  }
+
+  const order = refetch ? await fetchOrder(payload.id) : projectOrder(payload);
+  if (!order) return { applied: false, reason: "order not found" };
+
+  await adapter.set(keys.webhook, { lastAt: new Date().toISOString(), lastOrderId: order.id });
+  const written = await upsertOrders([order]);
+  return written ? { applied: true } : { applied: false, reason: "outdated" };
+}
+
+/**
+ * Sincronizza se l'ultimo sync è più vecchio di maxAgeMs (solo se il warehouse è attivo)
+ * Errori di sync vengono loggati: il report ripiega su Shopify
+ */
+async function ensureWarehouseFresh({ maxAgeMs, deadline } = {}) {
+  try {
+    const meta = await readMeta();
+    if (!meta.coverageStart) return null;
+
+    const maxAge = maxAgeMs ?? await getMaxSyncAge();
+    if (Date.now() - new Date(meta.lastSyncAt).getTime() > maxAge) {
+      await syncOrders({ deadline });
+    }
+    return getSyncStatus();
+  } catch (err) {
+    console.warn("⚠️ Order warehouse sync failed:", err.message);
+    return null;
+  }
+}
+
+// ========================================
+// QUERY
+// ========================================
+
+// Il warehouse risponde solo se copre il range ed è aggiornato per la parte recente
+function isCovered(meta, from, to, maxAge, coverageField = "coverageStart") {
+  if (!meta[coverageField] || from < new Date(meta[coverageField])) return false;
+
+  const syncedUntil = new Date(meta.lastSyncAt);
+  return to <= syncedUntil || Date.now() - syncedUntil.getTime() <= maxAge;
+}
+
+/**
+ * Ordini creati nel range, filtrati per financial_status
+ * @param {object} query
+ * @param {Date} query.from
+ * @param {Date} query.to
+ * @param {string[]} [query.financialStatuses]
+ * @returns {Promise<Array|null>} null se il range non è coperto (il chiamante va su Shopify)
+ */
+async function queryOrders({ from, to, financialStatuses = null }) {
+  try {
+    const meta = await readMeta();
+    if (!isCovered(meta, from, to, await getMaxSyncAge())) return null;
+
+    const ids = (await adapter.getSets(daysBetween(from, to).map(keys.day))).flat();
+    const orders = await adapter.getMany(ids.map(keys.order));
+    return orders.filter(o => {
+      if (!o) return false;
+      const created = new Date(o.created_at);
+      return created >= from && created <= to &&
+        (!financialStatuses || financialStatuses.includes(o.financial_status));
+    });
+  } catch (err) {
+    console.warn("⚠️ Order warehouse query failed:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Ordini rimborsati (parzialmente o del tutto) aggiornati dopo `since`
+ * Copertura dal primo sync: prima di allora i rimborsi su ordini vecchi non sono nello store
+ */
+async function queryRefundActivity(since) {
+  try {
+    const meta = await readMeta();
+    if (!isCovered(meta, since, new Date(), await getMaxSyncAge(), "syncedSince")) return null;
+
+    const ids = await adapter.getSet(keys.refunded);
+    const orders = await adapter.getMany(ids.map(keys.order));
+    return orders.filter(o => o && REFUNDED_STATUSES.has(o.financial_status) && new Date(o.updated_at) >= since);
+  } catch (err) {
+    console.warn("⚠️ Order warehouse refund query failed:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Stato del warehouse per l'endpoint di sync-status
+ */
+async function getSyncStatus() {
+  const meta = await readMeta();
+  const lastSyncAt = meta.lastSyncAt ? new Date(meta.lastSyncAt) : null;
+  const refundedIndexed = (await adapter.getSet(keys.refunded)).length;
+  const webhook = await adapter.get(keys.webhook);
+  const maxAge = await getMaxSyncAge();
+
+  return {
+    enabled: Boolean(meta.coverageStart),
+    backend: reportStore.backend,
+    coverageStart: meta.coverageStart || null,
+    syncedSince: meta.syncedSince || null,
+    cursor: meta.cursor || null,
+    lastSyncAt: meta.lastSyncAt || null,
+    lagMinutes: lastSyncAt ? Math.round((Date.now() - lastSyncAt.getTime()) / 60000) : null,
+    stale: lastSyncAt ? Date.now() - lastSyncAt.getTime() > maxAge : true,
+    maxAgeMinutes: Math.round(maxAge / 60000),
+    lastWebhookAt: webhook?.lastAt || null,
+    backfillInProgress: meta.backfill || null,
+    lastBackfill: meta.lastBackfill || null,
+    lastRun: meta.lastRun || null,
+    refundedIndexed
+  };
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  syncOrders,
+  backfillOrders,
+  ensureWarehouseFresh,
+  applyOrderWebhook,
+  upsertOrders,
+  queryOrders,
+  queryRefundActivity,
+  getSyncStatus
+};
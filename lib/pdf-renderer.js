@@ -0,0 +1,79 @@
+// /lib/pdf-renderer.js - HTML → PDF con Puppeteer e Chromium serverless
+// Usato da /api/sales-report?format=pdf e da /api/generate-pdf
+
+// Pacchetto Chromium scaricato al primo avvio della function (chromium-min non include il binario)
+const CHROMIUM_PACK_URL = process.env.CHROMIUM_PACK_URL
+  || 'https://github.com/Sparticuz/chromium/releases/download/v131.0.1/chromium-v131.0.1-pack.tar';
+const RENDER_TIMEOUT_MS = 30000;
+
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m]));
+
+// Import dinamici: gli endpoint che non generano PDF non caricano Puppeteer
+async function launchBrowser() {
+  const [{ default: chromium }, { default: puppeteer }] = await Promise.all([
+    import('@sparticuz/chromium-min'),
+    import('puppeteer-core')
+  ]);
+
+  // In locale si può puntare a un Chrome installato invece di scaricare il pacchetto
+  const executablePath = process.env.CHROMIUM_EXECUTABLE_PATH || await chromium.executablePath(CHROMIUM_PACK_URL);
+
+  return puppeteer.launch({
+    executablePath,
+    args: [...chromium.args, '--no-sandbox', '--disable-setuid-sandbox'],
+    headless: chromium.headless
+  });
+}
+
+/**
+ * Renderizza un documento HTML in PDF A4 con numeri di pagina nel piè di pagina
+ * Il layout di stampa viene dal CSS @media print del documento
+ * @param {string} html - Documento completo
+ * @param {object} options
+ * @param {string} options.title - Testo a sinistra nel piè di pagina
+ * @returns {Promise<Buffer>}
+ */
+async function renderPdf(html, { title = '' } = {}) {
+  const startTime = Date.now();
+  let browser = null;
+
+  try {
+    browser = await launchBrowser();
+    const page = await browser.newPage();
+    await page.setViewport({ width: 1200, height: 800 });
+    await page.setContent(html, { waitUntil: 'networkidle0', timeout: RENDER_TIMEOUT_MS });
+
+    const pdf = await page.pdf({
+      format: 'A4',
+      printBackground: true,
+      preferCSSPageSize: true,
+      displayHeaderFooter: true,
+      headerTemplate: '<div></div>',
+      footerTemplate: `
+        <div style="font-size:8px;color:#6b7280;width:100%;padding:0 10mm;display:flex;justify-content:space-between;">
+          <span>${esc(title)}</span>
+          <span>Página <span class="pageNumber"></span> de <span class="totalPages"></span></span>
+        </div>`,
+      margin: { top: '12mm', bottom: '16mm', left: '10mm', right: '10mm' }
+    });
+
+    console.log(`📄 PDF generated: ${pdf.length} bytes in ${Date.now() - startTime}ms`);
+    return Buffer.from(pdf);
+  } finally {
+    if (browser) {
+      try {
+        await browser.close();
+      } catch (closeErr) {
+        console.error('❌ Browser close error:', closeErr);
+      }
+    }
+  }
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  renderPdf
+};
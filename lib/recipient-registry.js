@@ -0,0 +1,272 @@
+// /lib/recipient-registry.js - Registro dei destinatari dei report con preferenze individuali
+// Ognuno sceglie periodi, sezioni, formato, lingua e location; senza registro salvato vale SALES_REPORT_RECIPIENTS
+
+import { reportStore } from './report-store.js';
+import { findLocation } from './location-registry.js';
+import { REPORT_LANGUAGES, DEFAULT_LANGUAGE } from './report-i18n.js';
+
+const STORE_KEY = reportStore.key("recipients");
+
+// Periodi inviati dal cron (smart-report)
+const REPORT_PERIODS = ["daily", "weekly", "monthly", "quarterly", "yearly"];
+
+// inline = solo corpo email, gli altri aggiungono l'allegato corrispondente
+const DELIVERY_FORMATS = ["inline", "html", "pdf", "csv", "xlsx"];
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// ========================================
+// SEZIONI EMAIL
+// ========================================
+
+// Nell'ordine in cui compaiono nell'email; products, rop, deadstock, locations e payments
+// hanno lo stesso nome delle sezioni export (CSV/XLSX) di /api/sales-report
+const EMAIL_SECTIONS = [
+  "summary", "netsales", "margin", "comparison", "discounts", "channels",
+  "payments", "locations", "products", "stock", "rop", "deadstock"
+];
+
+// Contenuto storico dell'email (ROP e dead stock erano solo nell'allegato)
+const DEFAULT_EMAIL_SECTIONS = EMAIL_SECTIONS.filter(s => s !== "rop" && s !== "deadstock");
+
+// Scorciatoie per i profili più comuni
+const EMAIL_SECTION_GROUPS = {
+  all: EMAIL_SECTIONS,
+  default: DEFAULT_EMAIL_SECTIONS,
+  finance: ["summary", "netsales", "margin", "comparison", "discounts", "payments"],
+  purchasing: ["stock", "rop", "deadstock"]
+};
+
+function invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const toList = (value) => (Array.isArray(value) ? value : String(value ?? "").split(","))
+  .map(v => String(v).trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Espande gruppi (finance, purchasing, ...) e valida le sezioni richieste
+ * @param {string|string[]} value - Lista o stringa separata da virgole
+ * @returns {string[]} Sezioni nell'ordine di EMAIL_SECTIONS
+ */
+function expandEmailSections(value) {
+  const requested = toList(value).flatMap(s => EMAIL_SECTION_GROUPS[s] || [s]);
+  const unknown = requested.filter(s => !EMAIL_SECTIONS.includes(s));
+
+  if (unknown.length) {
+    throw invalid(`Sezione email non valida: ${unknown.join(", ")} (valori ammessi: ${[...EMAIL_SECTIONS, ...Object.keys(EMAIL_SECTION_GROUPS)].join(", ")})`);
+  }
+  if (!requested.length) throw invalid("Almeno una sezione email richiesta");
+
+  return EMAIL_SECTIONS.filter(s => requested.includes(s));
+}
+
+// ========================================
+// NORMALIZZAZIONE
+// ========================================
+
+/**
+ * Valida e completa un destinatario; i campi assenti restano quelli di existing o i default
+ * @param {object} input - { email, name?, periods?, sections?, format?, language?, location?, active? }
+ *   location va già risolta in { id, name } (vedi resolveLocationInput); null = tutto il negozio
+ * @param {object} [existing] - Versione già registrata (aggiornamento parziale)
+ * @returns {object}
+ */
+function normalizeRecipient(input, existing = null) {
+  const merged = { ...existing, ...input };
+
+  const email = String(merged.email || "").trim().toLowerCase();
+  if (!EMAIL_RE.test(email)) throw invalid(`Email non valida: ${merged.email ?? ""}`);
+
+  const periods = merged.periods == null ? REPORT_PERIODS : toList(merged.periods);
+  const unknownPeriods = periods.filter(p => !REPORT_PERIODS.includes(p));
+  if (unknownPeriods.length) {
+    throw invalid(`Periodo non valido per ${email}: ${unknownPeriods.join(", ")} (valori ammessi: ${REPORT_PERIODS.join(", ")})`);
+  }
+
+  // null = allegati di default (REPORT_EMAIL_ATTACHMENTS / SMART_REPORT_ATTACHMENTS)
+  const format = merged.format == null || merged.format === "" ? null : String(merged.format).trim().toLowerCase();
+  if (format && !DELIVERY_FORMATS.includes(format)) {
+    throw invalid(`Formato non valido per ${email}: ${format} (valori ammessi: ${DELIVERY_FORMATS.join(", ")})`);
+  }
+
+  const language = String(merged.language || DEFAULT_LANGUAGE).trim().toLowerCase();
+  if (!REPORT_LANGUAGES.includes(language)) {
+    throw invalid(`Lingua non valida per ${email}: ${language} (valori ammessi: ${REPORT_LANGUAGES.join(", ")})`);
+  }
+
+  const location = merged.location || null;
+  if (location && (location.id == null || !location.name)) {
+    throw invalid(`Location non valida per ${email}: usa l'ID o il nome della location`);
+  }
+
+  return {
+    email,
+    name: merged.name ? String(merged.name).trim() : null,
+    periods: REPORT_PERIODS.filter(p => periods.includes(p)),
+    sections: merged.sections == null ? DEFAULT_EMAIL_SECTIONS : expandEmailSections(merged.sections),
+    format,
+    language,
+    location: location && { id: String(location.id), name: location.name },
+    active: merged.active !== false
+  };
+}
+
+/**
+ * Converte la location indicata nell'input (ID o nome) in { id, name } del registro location
+ * "" o null tolgono la location; un oggetto già risolto resta com'è
+ * @param {*} value
+ * @returns {Promise<{id: string, name: string}|null|undefined>} undefined = campo non indicato
+ */
+async function resolveLocationInput(value) {
+  if (value === undefined) return undefined;
+  if (value === null || String(value).trim() === "") return null;
+  if (typeof value === "object") return value;
+
+  const location = await findLocation(value);
+  if (!location) throw invalid(`Location sconosciuta: ${value}`);
+  return { id: String(location.id), name: location.name };
+}
+
+// ========================================
+// STORAGE
+// ========================================
+
+// Prima del registro: tutti ricevono tutto, come con la lista unica
+function legacyRecipients() {
+  return (process.env.SALES_REPORT_RECIPIENTS || "")
+    .split(",")
+    .map(email => email.trim())
+    .filter(Boolean)
+    .map(email => normalizeRecipient({ email }));
+}
+
+/**
+ * Registro completo
+ * @returns {Promise<{source: 'store'|'env', updatedAt: string|null, recipients: object[]}>}
+ */
+async function loadRegistry() {
+  try {
+    const stored = await reportStore.adapter.get(STORE_KEY);
+    if (stored) return { source: "store", updatedAt: stored.updatedAt, recipients: stored.recipients };
+  } catch (err) {
+    console.warn("⚠️ Recipient registry read failed, uso SALES_REPORT_RECIPIENTS:", err.message);
+  }
+  return { source: "env", updatedAt: null, recipients: legacyRecipients() };
+}
+
+// Lettura per le scritture: un errore dello store si propaga, altrimenti si salverebbe
+// la lista di SALES_REPORT_RECIPIENTS al posto del registro e le preferenze andrebbero perse
+async function readRegistryForWrite() {
+  const stored = await reportStore.adapter.get(STORE_KEY);
+  return stored ? stored.recipients : legacyRecipients();
+}
+
+// Le scritture non sono protette: un errore deve arrivare a chi sta modificando il registro
+async function writeRegistry(recipients) {
+  const updatedAt = new Date().toISOString();
+  await reportStore.adapter.set(STORE_KEY, { updatedAt, recipients });
+  return { source: "store", updatedAt, recipients };
+}
+
+async function listRecipients() {
+  const { recipients } = await loadRegistry();
+  return recipients;
+}
+
+/**
+ * Destinatari attivi iscritti a un periodo
+ * @param {string} period
+ * @returns {Promise<object[]>}
+ */
+async function getRecipientsForPeriod(period) {
+  const recipients = await listRecipients();
+  return recipients.filter(r => r.active && r.periods.includes(period));
+}
+
+/**
+ * Inserisce o aggiorna destinatari (per email)
+ * Il primo salvataggio parte dalla lista SALES_REPORT_RECIPIENTS, così nessuno viene perso
+ * @param {object[]} inputs
+ * @returns {Promise<object[]>} Destinatari salvati, normalizzati
+ */
+async function saveRecipients(inputs) {
+  const recipients = await readRegistryForWrite();
+  const byEmail = new Map(recipients.map(r => [r.email, r]));
+
+  const saved = [];
+  for (const input of inputs) {
+    const existing = byEmail.get(String(input?.email || "").trim().toLowerCase()) || null;
+    const location = await resolveLocationInput(input?.location);
+    const recipient = normalizeRecipient({ ...input, ...(location !== undefined && { location }) }, existing);
+    byEmail.set(recipient.email, recipient);
+    saved.push(recipient);
+  }
+
+  await writeRegistry([...byEmail.values()]);
+  return saved;
+}
+
+/**
+ * Rimuove un destinatario
+ * @param {string} email
+ * @returns {Promise<boolean>} false se non era registrato
+ */
+async function removeRecipient(email) {
+  const recipients = await readRegistryForWrite();
+  const target = String(email || "").trim().toLowerCase();
+  const remaining = recipients.filter(r => r.email !== target);
+
+  if (remaining.length === recipients.length) return false;
+  await writeRegistry(remaining);
+  return true;
+}
+
+// ========================================
+// CONSEGNE
+// ========================================
+
+/**
+ * Raggruppa i destinatari con le stesse preferenze: un'email (e un rendering) per gruppo
+ * Chi ha una location riceve il report di quel negozio, separato da quello generale
+ * @param {object[]} recipients
+ * @returns {Array<{sections: string[], format: string|null, language: string, location: object|null, recipients: string[]}>}
+ */
+function groupDeliveries(recipients) {
+  const groups = new Map();
+
+  for (const r of recipients) {
+    const location = r.location || null;
+    const key = [r.sections.join(","), r.format || "", r.language, location?.id || ""].join("|");
+    if (!groups.has(key)) {
+      groups.set(key, { sections: r.sections, format: r.format, language: r.language, location, recipients: [] });
+    }
+    groups.get(key).recipients.push(r.email);
+  }
+
+  return [...groups.values()];
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  REPORT_PERIODS,
+  DELIVERY_FORMATS,
+  EMAIL_SECTIONS,
+  DEFAULT_EMAIL_SECTIONS,
+  EMAIL_SECTION_GROUPS,
+  expandEmailSections,
+  normalizeRecipient,
+  resolveLocationInput,
+  loadRegistry,
+  listRecipients,
+  getRecipientsForPeriod,
+  saveRecipients,
+  removeRecipient,
+  groupDeliveries
+};
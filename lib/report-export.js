@@ -0,0 +1,248 @@
+// /lib/report-export.js - Export tabellare del report (CSV e XLSX)
+// XLSX scritto a mano (OOXML minimo + zip con zlib): niente dipendenze in più per la function
+
+import { deflateRawSync } from "zlib";
+
+const CSV_CONTENT_TYPE = "text/csv; charset=utf-8";
+const XLSX_CONTENT_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+/**
+ * Una tabella esportabile:
+ * {
+ *   title: "Productos",
+ *   columns: [{ header: "Ingresos", type: "money", value: (row) => row.revenue }],
+ *   rows: [...]
+ * }
+ * type: text (default) | integer | number | money | percent (valori 0-100)
+ */
+
+function cellValue(column, row) {
+  const value = column.value(row);
+  if (value == null || value === "") return null;
+  if (column.type && column.type !== "text") {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+  }
+  return String(value);
+}
+
+// ========================================
+// CSV
+// ========================================
+
+// Testo che Excel/Sheets interpreterebbero come formula (SKU o titoli come "=HYPERLINK(...)")
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvField(value) {
+  if (value == null) return "";
+  // Solo le celle di testo: i numeri negativi delle colonne numeriche restano numeri
+  const text = typeof value === "string" && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV RFC 4180 con BOM: Excel riconosce UTF-8 (acenti, ñ) all'apertura diretta
+ * @param {object} table
+ * @returns {string}
+ */
+function tableToCSV(table) {
+  const lines = [table.columns.map(c => csvField(c.header)).join(",")];
+  for (const row of table.rows) {
+    lines.push(table.columns.map(c => csvField(cellValue(c, row))).join(","));
+  }
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+// ========================================
+// XLSX (SpreadsheetML)
+// ========================================
+
+const xmlEsc = (s) => String(s).replace(/[&<>"]/g, m => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[m]))
+  // Caratteri di controllo non ammessi in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+
+// Indici in styles.xml: 0 default, 1 header, 2 intero, 3 decimale, 4 importo, 5 percentuale
+const STYLE_BY_TYPE = { integer: 2, number: 3, money: 4, percent: 5 };
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="0.0&quot;%&quot;"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FFF3F4F6"/></patternFill></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="6">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>
+<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+</styleSheet>`;
+
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function sheetCell(ref, value, style) {
+  const s = style ? ` s="${style}"` : "";
+  if (value == null) return style ? `<c r="${ref}"${s}/>` : "";
+  if (typeof value === "number") return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${xmlEsc(value)}</t></is></c>`;
+}
+
+function sheetXML(table) {
+  const { columns, rows } = table;
+  const lastCol = columnName(Math.max(columns.length - 1, 0));
+
+  // Larghezza colonna stimata sul contenuto (max 60 caratteri)
+  const widths = columns.map(c => Math.min(60, Math.max(
+    String(c.header).length + 2,
+    ...rows.slice(0, 200).map(r => String(cellValue(c, r) ?? "").length + 2)
+  )));
+
+  const header = `<row r="1">${columns.map((c, i) => sheetCell(`${columnName(i)}1`, c.header, 1)).join("")}</row>`;
+  const body = rows.map((row, r) => `<row r="${r + 2}">${columns.map((c, i) =>
+    sheetCell(`${columnName(i)}${r + 2}`, cellValue(c, row), STYLE_BY_TYPE[c.type] || 0)
+  ).join("")}</row>`).join("");
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${widths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join("")}</cols>
+<sheetData>${header}${body}</sheetData>
+${rows.length ? `<autoFilter ref="A1:${lastCol}${rows.length + 1}"/>` : ""}
+</worksheet>`;
+}
+
+// Nomi foglio: max 31 caratteri, senza []:*?/\ e unici nel workbook
+function sheetNames(tables) {
+  const used = new Set();
+  return tables.map((t, i) => {
+    let name = String(t.title || `Hoja ${i + 1}`).replace(/[[\]:*?/\\]/g, " ").slice(0, 31).trim() || `Hoja ${i + 1}`;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${name.slice(0, 27)} (${n})`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+/**
+ * Workbook XLSX con un foglio per tabella (header in grassetto, riga bloccata, filtri)
+ * @param {object[]} tables
+ * @returns {Buffer}
+ */
+function tablesToXLSX(tables) {
+  const names = sheetNames(tables);
+
+  const files = [
+    ["[Content_Types].xml", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${tables.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("\n")}
+</Types>`],
+    ["_rels/.rels", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`],
+    ["xl/workbook.xml", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${names.map((name, i) => `<sheet name="${xmlEsc(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("")}</sheets>
+</workbook>`],
+    ["xl/_rels/workbook.xml.rels", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${tables.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("\n")}
+<Relationship Id="rId${tables.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`],
+    ["xl/styles.xml", STYLES_XML],
+    ...tables.map((t, i) => [`xl/worksheets/sheet${i + 1}.xml`, sheetXML(t)])
+  ];
+
+  return zip(files);
+}
+
+// ========================================
+// ZIP (deflate, senza cifratura né zip64)
+// ========================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of files) {
+    const nameBuf = Buffer.from(name, "utf8");
+    const data = Buffer.from(content, "utf8");
+    const compressed = deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);          // versione minima
+    local.writeUInt16LE(0x0800, 6);      // nomi in UTF-8
+    local.writeUInt16LE(8, 8);           // deflate
+    local.writeUInt32LE(0, 10);          // ora/data DOS (non rilevanti)
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(0, 12);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuf, compressed);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + compressed.length;
+  }
+
+  const centralSize = centrals.reduce((s, b) => s + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  CSV_CONTENT_TYPE,
+  XLSX_CONTENT_TYPE,
+  tableToCSV,
+  tablesToXLSX
+};
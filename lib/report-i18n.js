@@ -0,0 +1,192 @@
+// /lib/report-i18n.js - Traduzioni dell'email del report
+// Lo spagnolo è la lingua sorgente: le chiavi sono i testi originali, così l'output "es" resta identico
+
+const REPORT_LANGUAGES = ["es", "en"];
+const DEFAULT_LANGUAGE = "es";
+
+// ========================================
+// CATALOGHI
+// ========================================
+
+const EN = {
+  // Periodi ed etichette
+  "diario": "daily",
+  "semanal": "weekly",
+  "mensual": "monthly",
+  "trimestral": "quarterly",
+  "anual": "yearly",
+  "año a la fecha": "year to date",
+  "personalizado": "custom",
+  "Hoy": "Today",
+  "Ayer": "Yesterday",
+  "Semana": "Week",
+  "Trimestre": "Quarter",
+  "Año": "Year",
+  "Año a la fecha": "Year to date",
+  "Del {from} al {to}": "From {from} to {to}",
+  "Periodo anterior": "Previous period",
+  "Año anterior": "Previous year",
+  "Mismo día semana pasada": "Same day last week",
+
+  // Oggetto e testo
+  "Reporte ventas {period} - {label} - {orders} ordenes, {revenue}": "Sales report {period} - {label} - {orders} orders, {revenue}",
+  "Reporte ventas {period} - {label}": "Sales report {period} - {label}",
+  "Ver online": "View online",
+
+  // Intestazione e riepilogo
+  "Reporte de Ventas": "Sales Report",
+  "Resumen General": "Overview",
+  "Productos únicos vendidos": "Unique products sold",
+  "Total órdenes procesadas": "Total orders processed",
+  "Ingresos totales": "Total revenue",
+  "Ticket promedio": "Average order value",
+  "Variación vs {baseline}": "Change vs {baseline}",
+  "nuevo": "new",
+
+  // Vendite nette
+  "Ventas Netas": "Net Sales",
+  "Ventas brutas": "Gross sales",
+  "Descuentos": "Discounts",
+  "Devoluciones": "Returns",
+  "Ventas netas": "Net sales",
+  "Impuestos": "Taxes",
+  "Envío": "Shipping",
+  "Ventas totales": "Total sales",
+  "{count} reembolsos ({amount})": "{count} refunds ({amount})",
+  "{amount} sobre órdenes de periodos anteriores": "{amount} on orders from previous periods",
+  "{count} cancelaciones ({amount})": "{count} cancellations ({amount})",
+
+  // Margine
+  "Margen Bruto y COGS": "Gross Margin and COGS",
+  "UTILIDAD BRUTA": "GROSS PROFIT",
+  "MARGEN": "MARGIN",
+  "Calculado sobre {costed} de {total} productos con costo registrado ({amount} en ventas)": "Based on {costed} of {total} products with a recorded cost ({amount} in sales)",
+  "Ventas": "Sales",
+  "Margen": "Margin",
+  "Productos con menor margen": "Lowest-margin products",
+  "Producto": "Product",
+  "Vendidas": "Sold",
+  "Costo unit.": "Unit cost",
+  "Ingresos": "Revenue",
+
+  // Comparativo
+  "Comparativo": "Comparison",
+  "Métrica": "Metric",
+  "Actual": "Current",
+  "Órdenes": "Orders",
+  "Unidades": "Units",
+
+  // Sconti, canali, pagamenti, location
+  "Descuentos Aplicados": "Discounts Applied",
+  "Total descuentos": "Total discounts",
+  "Órdenes con descuento": "Orders with discount",
+  "{count} de {total}": "{count} of {total}",
+  "Descuento promedio": "Average discount",
+  "Top Canales de Venta": "Top Sales Channels",
+  "Métodos de Pago": "Payment Methods",
+  "Uso Interno": "Internal use",
+  "Efectivo": "Cash",
+  "Tarjeta (Web)": "Card (Web)",
+  "Transferencia": "Bank transfer",
+  "Mixto (Cash + Tarjeta)": "Mixed (Cash + Card)",
+  "Ventas por Location": "Sales by Location",
+  "órdenes": "orders",
+
+  // Prodotti e stock
+  "Top 5 Productos Vendidos": "Top 5 Products Sold",
+  "{count} vendidas": "{count} sold",
+  "Productos Uso Interno": "Internal Use Products",
+  "{count} unidades utilizadas": "{count} units used",
+  "Productos Sin Stock": "Out of Stock Products",
+  "... y {count} productos más sin stock": "... and {count} more products out of stock",
+  "Productos con 1 Unidad Restante": "Products with 1 Unit Left",
+  "... y {count} productos más con 1 unidad": "... and {count} more products with 1 unit",
+  "Stock Bajo": "Low Stock",
+  "{count} productos con 2-4 unidades": "{count} products with 2-4 units",
+  "Stock OK": "Stock OK",
+  "Todos los productos tienen inventario suficiente": "All products have enough inventory",
+
+  // ROP
+  "Excelente!": "Excellent!",
+  "Todos los productos tienen stock suficiente.": "All products have enough stock.",
+  "Productos para reordenar": "Products to reorder",
+  "Ventana: 30d - Lead time: 7d - Safety: 3d": "Window: 30d - Lead time: 7d - Safety: 3d",
+  "Urgencia": "Urgency",
+  "Variante": "Variant",
+  "Vel/dia": "Units/day",
+  "Dias restantes": "Days left",
+  "Cantidad": "Quantity",
+  "CRITICO": "CRITICAL",
+  "ALTO": "HIGH",
+  "MEDIO": "MEDIUM",
+  "... y {count} productos mas para reordenar": "... and {count} more products to reorder",
+
+  // Dead stock
+  "No hay productos en stock sin ventas en los últimos 30+ dias": "No stocked products without sales in the last 30+ days",
+  "Dead Stock Alert ({days}+ dias sin ventas)": "Dead Stock Alert ({days}+ days without sales)",
+  "PRODUCTOS ESTANCADOS de {count} con stock": "STAGNANT PRODUCTS out of {count} in stock",
+  "Valor venta": "Retail value",
+  "Valor costo": "Cost value",
+  "30-59 días": "30-59 days",
+  "60-89 días": "60-89 days",
+  "90-179 días": "90-179 days",
+  "180+ días": "180+ days",
+  "uds": "units",
+  "Costo": "Cost",
+  "Última venta": "Last sale",
+  "Antigüedad": "Age",
+  "Sin ventas": "No sales",
+  "Historial de ventas incompleto: algunos productos pueden tener ventas recientes no incluidas": "Incomplete sales history: some products may have recent sales that are not included",
+  "... y {count} variantes más sin ventas en 30+ días": "... and {count} more variants without sales in 30+ days",
+
+  // Nota allegati e footer
+  "Análisis Completo": "Full Analysis",
+  "Descarga y abre el archivo adjunto HTML con tu navegador para ver:": "Download the attached HTML file and open it in your browser to see:",
+  "Abre el PDF adjunto para ver:": "Open the attached PDF to see:",
+  "Gráficos interactivos": "Interactive charts",
+  "Gráficos": "Charts",
+  "Análisis ABC": "ABC analysis",
+  "Tablas completas": "Full tables",
+  "Reporte automático": "Automatic report",
+  "Versión": "Version",
+  "Cancelar suscripción": "Unsubscribe",
+
+  // Messaggio personalizzato (send-sales-email)
+  "Mensaje": "Message"
+};
+
+const CATALOGS = { en: EN };
+
+// ========================================
+// TRADUTTORE
+// ========================================
+
+/**
+ * Traduttore per una lingua: t(testo, variabili) con segnaposto {nome}
+ * I testi senza traduzione restano in spagnolo
+ * @param {string} lang - Una di REPORT_LANGUAGES
+ * @returns {Function} t, con t.lang
+ */
+function getTranslator(lang = DEFAULT_LANGUAGE) {
+  const catalog = CATALOGS[lang] || {};
+
+  const t = (text, vars) => {
+    const translated = catalog[text] ?? text;
+    if (!vars) return translated;
+    // Un solo passaggio: i valori che contengono {x} non vengono ri-sostituiti
+    return translated.replace(/\{(\w+)\}/g, (match, key) => (key in vars ? String(vars[key]) : match));
+  };
+  t.lang = REPORT_LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE;
+
+  return t;
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  REPORT_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  getTranslator
+};
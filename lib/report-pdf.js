@@ -0,0 +1,347 @@
+// /lib/report-pdf.js - PDF nativo del report (pdfkit), senza browser né rete
+// Impagina un modello già calcolato da sales-report.js: header, card, riepiloghi, tabelle e ciambelle
+
+import PDFDocument from 'pdfkit';
+import { formatMoney, REPORT_LOCALE } from './shop-settings.js';
+
+// A4 orizzontale: le tabelle prodotti hanno fino a 12 colonne
+const PAGE_OPTIONS = { size: 'A4', layout: 'landscape', margins: { top: 36, bottom: 44, left: 36, right: 36 } };
+const COLORS = { text: '#111827', muted: '#6b7280', border: '#e5e7eb', headerBg: '#f3f4f6', zebra: '#f9fafb', card: '#f8fafc', accent: '#2563eb' };
+const ROW_HEIGHT = 15;
+// Lato del grafico: i path di donutSegments vanno calcolati con questa dimensione
+const PDF_DONUT_SIZE = 110;
+
+// Con un TTF (REPORT_PDF_FONT) si stampa tutto Unicode; con Helvetica solo Latin-1
+const CUSTOM_FONT = process.env.REPORT_PDF_FONT || null;
+
+/**
+ * Modello del documento:
+ * {
+ *   title, subtitle, generated, footer, currency,
+ *   cards: [{ label, value, note }],
+ *   blocks: [
+ *     { type: "summary", title, items: [[etichetta, valore]] },
+ *     { type: "table", title, table: { columns, rows }, maxRows, pageBreak, emptyText },
+ *     { type: "charts", title, pageBreak, charts: [{ title, total, segments: [{ path, color }], legend: [{ color, label, value, rawValue }] }] }
+ *   ]
+ * }
+ * Le tabelle usano lo stesso formato di lib/report-export.js
+ */
+
+// ========================================
+// TESTO E FORMATI
+// ========================================
+
+function setFont(doc, bold = false) {
+  if (CUSTOM_FONT) return doc.font('report');
+  return doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+}
+
+// Helvetica standard (WinAnsi): emoji e alfabeti non latini diventerebbero glifi sbagliati
+const clean = (value) => {
+  const text = String(value ?? '');
+  return CUSTOM_FONT ? text : text.replace(/[^\x20-\x7E\xA0-\xFF€–—‘’“”•…]/g, '').trim();
+};
+
+function formatCell(column, row, currency) {
+  const value = column.value(row);
+  if (value == null || value === '') return '';
+  const n = Number(value);
+
+  switch (column.type) {
+    case 'money': return Number.isFinite(n) ? formatMoney(n, currency) : '';
+    case 'integer': return Number.isFinite(n) ? Math.round(n).toLocaleString(REPORT_LOCALE) : '';
+    case 'number': return Number.isFinite(n) ? n.toLocaleString(REPORT_LOCALE, { maximumFractionDigits: 2 }) : '';
+    case 'percent': return Number.isFinite(n) ? `${n.toFixed(1)}%` : '';
+    default: return clean(value);
+  }
+}
+
+const contentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+const bottomLimit = (doc) => doc.page.height - doc.page.margins.bottom;
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > bottomLimit(doc)) doc.addPage();
+}
+
+function sectionTitle(doc, title) {
+  ensureSpace(doc, 40);
+  setFont(doc, true).fontSize(12).fillColor(COLORS.text)
+    .text(clean(title), doc.page.margins.left, doc.y, { width: contentWidth(doc) });
+  doc.moveDown(0.4);
+}
+
+// ========================================
+// BLOCCHI
+// ========================================
+
+function drawHeader(doc, model) {
+  const x = doc.page.margins.left;
+  const width = contentWidth(doc);
+
+  setFont(doc, true).fontSize(18).fillColor(COLORS.text).text(clean(model.title), x, doc.y, { width, align: 'center' });
+  setFont(doc).fontSize(11).fillColor('#4b5563').text(clean(model.subtitle), { width, align: 'center' });
+  if (model.generated) {
+    setFont(doc).fontSize(8).fillColor(COLORS.muted).text(clean(model.generated), { width, align: 'center' });
+  }
+  doc.moveDown(0.8);
+}
+
+function drawCards(doc, cards) {
+  if (!cards?.length) return;
+
+  const perRow = Math.min(cards.length, 6);
+  const gap = 8;
+  const width = (contentWidth(doc) - gap * (perRow - 1)) / perRow;
+  const height = 50;
+
+  for (let i = 0; i < cards.length; i += perRow) {
+    ensureSpace(doc, height + gap);
+    const y = doc.y;
+
+    cards.slice(i, i + perRow).forEach((card, j) => {
+      const x = doc.page.margins.left + j * (width + gap);
+      doc.roundedRect(x, y, width, height, 4).fillAndStroke(COLORS.card, COLORS.border);
+      setFont(doc).fontSize(7).fillColor(COLORS.muted)
+        .text(clean(card.label).toUpperCase(), x + 6, y + 7, { width: width - 12, align: 'center', lineBreak: false, ellipsis: true });
+      setFont(doc, true).fontSize(13).fillColor(COLORS.text)
+        .text(clean(card.value), x + 6, y + 18, { width: width - 12, align: 'center', lineBreak: false, ellipsis: true });
+      if (card.note) {
+        setFont(doc).fontSize(7).fillColor(COLORS.muted)
+          .text(clean(card.note), x + 6, y + 36, { width: width - 12, align: 'center', lineBreak: false, ellipsis: true });
+      }
+    });
+
+    doc.y = y + height + gap;
+  }
+  doc.moveDown(0.5);
+}
+
+function drawSummary(doc, block) {
+  if (!block.items?.length) return;
+  sectionTitle(doc, block.title);
+
+  // Due colonne etichetta/valore
+  const x = doc.page.margins.left;
+  const columnWidth = Math.min(360, contentWidth(doc) / 2 - 12);
+  const half = Math.ceil(block.items.length / 2);
+  const startY = doc.y;
+
+  block.items.forEach(([label, value], i) => {
+    const col = i < half ? 0 : 1;
+    const y = startY + (i % half) * 13;
+    const left = x + col * (columnWidth + 24);
+    setFont(doc).fontSize(9).fillColor(COLORS.muted).text(clean(label), left, y, { width: columnWidth * 0.6, lineBreak: false, ellipsis: true });
+    setFont(doc, true).fontSize(9).fillColor(COLORS.text).text(clean(value), left + columnWidth * 0.6, y, { width: columnWidth * 0.4, align: 'right', lineBreak: false });
+  });
+
+  doc.x = x;
+  doc.y = startY + half * 13 + 10;
+}
+
+// Larghezze proporzionali al contenuto (come nell'XLSX), scalate sulla pagina
+function columnWidths(doc, columns, rows, currency) {
+  const sample = rows.slice(0, 100);
+  const weights = columns.map(c => Math.min(40, Math.max(
+    c.header.length + 1,
+    c.type && c.type !== 'text' ? 8 : 6,
+    ...sample.map(r => formatCell(c, r, currency).length)
+  )));
+  const total = weights.reduce((s, w) => s + w, 0);
+  return weights.map(w => (w / total) * contentWidth(doc));
+}
+
+function drawTableHeader(doc, columns, widths) {
+  const y = doc.y;
+  let x = doc.page.margins.left;
+
+  doc.rect(x, y, contentWidth(doc), ROW_HEIGHT + 2).fill(COLORS.headerBg);
+  setFont(doc, true).fontSize(7.5).fillColor('#374151');
+  columns.forEach((c, i) => {
+    doc.text(clean(c.header), x + 3, y + 4, {
+      width: widths[i] - 6, align: c.type && c.type !== 'text' ? 'right' : 'left', lineBreak: false, ellipsis: true
+    });
+    x += widths[i];
+  });
+  doc.y = y + ROW_HEIGHT + 2;
+}
+
+function drawTable(doc, block, currency) {
+  const { columns, rows } = block.table;
+  if (block.pageBreak && doc.y > doc.page.margins.top + 1) doc.addPage();
+  sectionTitle(doc, block.title);
+
+  if (!rows.length) {
+    setFont(doc).fontSize(9).fillColor(COLORS.muted).text(clean(block.emptyText || 'Sin datos'));
+    doc.moveDown(1);
+    return;
+  }
+
+  const visible = block.maxRows ? rows.slice(0, block.maxRows) : rows;
+  const widths = columnWidths(doc, columns, visible, currency);
+  drawTableHeader(doc, columns, widths);
+
+  visible.forEach((row, r) => {
+    // Header ripetuto su ogni pagina
+    if (doc.y + ROW_HEIGHT > bottomLimit(doc)) {
+      doc.addPage();
+      setFont(doc).fontSize(8).fillColor(COLORS.muted).text(`${clean(block.title)} (cont.)`, doc.page.margins.left, doc.y);
+      doc.moveDown(0.3);
+      drawTableHeader(doc, columns, widths);
+    }
+
+    const y = doc.y;
+    let x = doc.page.margins.left;
+    if (r % 2) doc.rect(x, y, contentWidth(doc), ROW_HEIGHT).fill(COLORS.zebra);
+
+    setFont(doc).fontSize(7.5).fillColor(COLORS.text);
+    columns.forEach((c, i) => {
+      doc.text(formatCell(c, row, currency), x + 3, y + 4, {
+        width: widths[i] - 6, align: c.type && c.type !== 'text' ? 'right' : 'left', lineBreak: false, ellipsis: true
+      });
+      x += widths[i];
+    });
+    doc.moveTo(doc.page.margins.left, y + ROW_HEIGHT).lineTo(doc.page.margins.left + contentWidth(doc), y + ROW_HEIGHT)
+      .lineWidth(0.5).stroke(COLORS.border);
+    doc.y = y + ROW_HEIGHT;
+  });
+
+  if (rows.length > visible.length) {
+    doc.moveDown(0.3);
+    setFont(doc).fontSize(8).fillColor(COLORS.muted)
+      .text(`... y ${rows.length - visible.length} filas más (tabla completa en format=xlsx)`, doc.page.margins.left, doc.y);
+  }
+  doc.x = doc.page.margins.left;
+  doc.moveDown(1);
+}
+
+function drawDonut(doc, chart, x, y) {
+  const center = PDF_DONUT_SIZE / 2;
+  const values = chart.legend.map(l => l.rawValue ?? 0);
+
+  if (!chart.segments.length || values.every(v => v === 0)) {
+    doc.circle(x + center, y + center, center - 10).fill(COLORS.headerBg);
+    setFont(doc).fontSize(8).fillColor(COLORS.muted).text('Sin datos', x, y + center - 4, { width: PDF_DONUT_SIZE, align: 'center' });
+    return;
+  }
+
+  doc.save();
+  doc.translate(x, y);
+  if (chart.segments.length === 1) {
+    doc.circle(center, center, center - 10).fill(chart.segments[0].color);
+  } else {
+    for (const seg of chart.segments) doc.path(seg.path).fillColor(seg.color).fill();
+  }
+  doc.restore();
+
+  const totalText = Number(chart.total).toLocaleString(REPORT_LOCALE);
+  setFont(doc, true).fontSize(11).fillColor(chart.segments.length === 1 ? '#ffffff' : '#374151')
+    .text(totalText, x, y + center - 6, { width: PDF_DONUT_SIZE, align: 'center', lineBreak: false });
+}
+
+function drawCharts(doc, block) {
+  if (!block.charts?.length) return;
+  const perRow = Math.min(block.charts.length, 4);
+  const gap = 12;
+  const width = (contentWidth(doc) - gap * (perRow - 1)) / perRow;
+  const legendLines = Math.max(...block.charts.map(c => Math.min(c.legend.length, 8)));
+  const height = 18 + PDF_DONUT_SIZE + 8 + legendLines * 11 + 8;
+
+  if (block.pageBreak && doc.y > doc.page.margins.top + 1) doc.addPage();
+  sectionTitle(doc, block.title);
+
+  for (let i = 0; i < block.charts.length; i += perRow) {
+    ensureSpace(doc, height);
+    const y = doc.y;
+
+    block.charts.slice(i, i + perRow).forEach((chart, j) => {
+      const x = doc.page.margins.left + j * (width + gap);
+      doc.roundedRect(x, y, width, height, 4).fillAndStroke('#fafafa', COLORS.border);
+      setFont(doc, true).fontSize(9).fillColor('#374151').text(clean(chart.title), x + 8, y + 6, { width: width - 16, lineBreak: false });
+      drawDonut(doc, chart, x + (width - PDF_DONUT_SIZE) / 2, y + 18);
+
+      let ly = y + 18 + PDF_DONUT_SIZE + 8;
+      for (const item of chart.legend.slice(0, 8)) {
+        doc.rect(x + 8, ly + 1, 7, 7).fill(item.color);
+        setFont(doc).fontSize(7).fillColor(COLORS.text)
+          .text(clean(item.label), x + 19, ly, { width: width * 0.55, lineBreak: false, ellipsis: true });
+        setFont(doc, true).fontSize(7)
+          .text(clean(item.value), x + 19 + width * 0.55, ly, { width: width - 27 - width * 0.55, align: 'right', lineBreak: false });
+        ly += 11;
+      }
+    });
+
+    doc.x = doc.page.margins.left;
+    doc.y = y + height + gap;
+  }
+}
+
+// Piè di pagina su tutte le pagine a documento finito (serve il totale)
+function drawFooters(doc, footer) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    const y = doc.page.height - 28;
+    const width = contentWidth(doc);
+    setFont(doc).fontSize(7).fillColor(COLORS.muted);
+    doc.text(clean(footer || ''), doc.page.margins.left, y, { width: width / 2, lineBreak: false });
+    doc.text(`Página ${i + 1} de ${count}`, doc.page.margins.left + width / 2, y, { width: width / 2, align: 'right', lineBreak: false });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+// ========================================
+// DOCUMENTO
+// ========================================
+
+/**
+ * Costruisce il PDF del report dal modello
+ * @param {object} model - Vedi descrizione in testa al file
+ * @returns {Promise<Buffer>}
+ */
+function buildReportPdf(model) {
+  const startTime = Date.now();
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      ...PAGE_OPTIONS,
+      bufferPages: true,
+      info: { Title: clean(`${model.title} - ${model.subtitle}`), Creator: 'shopify-reports-vercel' }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('error', reject);
+    doc.on('end', () => {
+      const pdf = Buffer.concat(chunks);
+      console.log(`📄 Native PDF generated: ${pdf.length} bytes in ${Date.now() - startTime}ms`);
+      resolve(pdf);
+    });
+
+    try {
+      if (CUSTOM_FONT) doc.registerFont('report', CUSTOM_FONT);
+
+      drawHeader(doc, model);
+      drawCards(doc, model.cards);
+      for (const block of model.blocks) {
+        if (block.type === 'summary') drawSummary(doc, block);
+        else if (block.type === 'table') drawTable(doc, block, model.currency);
+        else if (block.type === 'charts') drawCharts(doc, block);
+      }
+      drawFooters(doc, model.footer);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  buildReportPdf,
+  PDF_DONUT_SIZE
+};
@@ -0,0 +1,101 @@
+// /lib/report-schema.js - Schema versionato del report JSON (format=json)
+// Validatore minimo per il sottoinsieme di JSON Schema usato in schemas/ (niente dipendenze esterne)
+
+import { readFileSync } from "fs";
+
+const REPORT_SCHEMA_VERSION = "1.0";
+const REPORT_SCHEMA_ID = "sales-report/v1";
+const SCHEMA_URL = new URL("../schemas/sales-report.v1.schema.json", import.meta.url);
+
+let schema = null;
+
+/**
+ * JSON Schema del report (caricato alla prima richiesta)
+ * @returns {object}
+ */
+function getReportSchema() {
+  if (!schema) schema = JSON.parse(readFileSync(SCHEMA_URL, "utf8"));
+  return schema;
+}
+
+// ========================================
+// VALIDAZIONE
+// ========================================
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return type === actual || (type === "number" && actual === "integer");
+}
+
+function resolveRef(ref, root) {
+  if (!ref.startsWith("#/")) throw new Error(`$ref non supportato: ${ref}`);
+  return ref.slice(2).split("/").reduce((node, part) => node?.[part], root);
+}
+
+// Supporta: type, const, enum, required, properties, additionalProperties, items, $ref
+function validateNode(value, node, root, path, errors) {
+  if (node.$ref) return validateNode(value, resolveRef(node.$ref, root), root, path, errors);
+
+  if (node.type) {
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push(`${path}: atteso ${types.join("|")}, trovato ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if ("const" in node && value !== node.const) {
+    errors.push(`${path}: atteso ${JSON.stringify(node.const)}`);
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    errors.push(`${path}: valore ${JSON.stringify(value)} non ammesso`);
+  }
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    errors.push(`${path}: numero non finito`);
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of node.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: mancante`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = node.properties?.[key]
+        ?? (typeof node.additionalProperties === "object" ? node.additionalProperties : null);
+      if (childSchema) validateNode(child, childSchema, root, `${path}.${key}`, errors);
+    }
+  }
+
+  if (Array.isArray(value) && node.items) {
+    value.forEach((item, i) => validateNode(item, node.items, root, `${path}[${i}]`, errors));
+  }
+}
+
+/**
+ * Valida un report JSON contro lo schema v1
+ * @param {object} report
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateReportJson(report) {
+  const root = getReportSchema();
+  const errors = [];
+  validateNode(report, root, root, "$", errors);
+  return { valid: errors.length === 0, errors: errors.slice(0, 50) };
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  REPORT_SCHEMA_VERSION,
+  REPORT_SCHEMA_ID,
+  getReportSchema,
+  validateReportJson
+};
@@ -0,0 +1,422 @@
+// /lib/report-store.js - Storage persistente per report e aggregati giornalieri
+// Le Map in-memory spariscono a ogni cold start: qui i dati sopravvivono tra le invocazioni
+
+import { promises as fs } from "fs";
+import path from "path";
+
+// Versione dello schema: cambiarla invalida tutti gli snapshot salvati
+const STORE_SCHEMA_VERSION = 1;
+const KEY_PREFIX = process.env.REPORT_STORE_PREFIX || "shopify-reports";
+// Rete di sicurezza per gli aggregati giornalieri: modifiche che nessun webhook segnala
+// (rimborsi tardivi senza warehouse) si correggono al più tardi dopo questa scadenza
+const DAILY_AGGREGATE_TTL_MS = Number(process.env.DAILY_AGGREGATE_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+// Chiave per data: basta che sopravviva al giorno (con margine per il fuso dello shop)
+const DEAD_STOCK_TTL_MS = 36 * 60 * 60 * 1000;
+
+// ========================================
+// ADAPTER INTERFACE
+// ========================================
+
+/**
+ * Ogni adapter implementa lo stesso contratto (valori JSON-serializzabili):
+ *   get(key)                -> Promise<any|null>
+ *   getMany(keys)           -> Promise<Array<any|null>>  (stesso ordine delle chiavi)
+ *   set(key, value, ttlMs)  -> Promise<void>             (ttlMs opzionale, assente = nessuna scadenza)
+ *   setMany(entries, ttlMs) -> Promise<void>             (entries: [key, value][], ttlMs opzionale)
+ *   setIfAbsent(key, value, ttlMs) -> Promise<boolean>   (atomico: false se la chiave esiste già)
+ *   delete(key)             -> Promise<void>
+ *
+ * Set di stringhe (aggiunte e rimozioni atomiche, niente read-modify-write tra invocazioni):
+ *   addToSet(key, members)      -> Promise<void>
+ *   removeFromSet(key, members) -> Promise<void>
+ *   getSet(key)                 -> Promise<string[]>
+ *   getSets(keys)               -> Promise<string[][]>   (stesso ordine delle chiavi)
+ */
+
+// ========================================
+// MEMORY ADAPTER
+// ========================================
+
+class MemoryAdapter {
+  constructor() {
+    this.name = "memory";
+    this.entries = new Map();
+  }
+
+  // Sincrono: le operazioni che leggono e scrivono non devono lasciare spazio ad altre chiamate
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt < Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async get(key) {
+    return this.read(key);
+  }
+
+  async getMany(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+  }
+
+  async setMany(entries, ttlMs) {
+    for (const [key, value] of entries) await this.set(key, value, ttlMs);
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    if (this.read(key) !== null) return false;
+    this.entries.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    return true;
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async addToSet(key, members) {
+    const set = this.read(key) || new Set();
+    for (const m of members) set.add(String(m));
+    this.entries.set(key, { value: set, expiresAt: null });
+  }
+
+  async removeFromSet(key, members) {
+    const set = this.read(key);
+    if (!set) return;
+    for (const m of members) set.delete(String(m));
+  }
+
+  async getSet(key) {
+    return [...(this.read(key) || [])];
+  }
+
+  async getSets(keys) {
+    return Promise.all(keys.map(key => this.getSet(key)));
+  }
+}
+
+// ========================================
+// FILE ADAPTER
+// ========================================
+
+class FileAdapter {
+  constructor(dir) {
+    this.name = "file";
+    this.dir = dir;
+    this.ready = null;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${encodeURIComponent(key)}.json`);
+  }
+
+  async ensureDir() {
+    if (!this.ready) this.ready = fs.mkdir(this.dir, { recursive: true });
+    return this.ready;
+  }
+
+  async get(key) {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath(key), "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+
+    const entry = JSON.parse(raw);
+    if (entry.expiresAt && entry.expiresAt < Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async getMany(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  async set(key, value, ttlMs) {
+    await this.ensureDir();
+    const target = this.filePath(key);
+    // Nome unico anche per scritture concorrenti della stessa chiave nello stesso processo
+    const tmp = `${target}.${process.pid}.${Math.random().toString(36).slice(2, 8)}.tmp`;
+    // Scrittura atomica: un reader concorrente non vede mai un file a metà
+    await fs.writeFile(tmp, JSON.stringify({ value, expiresAt: ttlMs ? Date.now() + ttlMs : null }));
+    await fs.rename(tmp, target);
+  }
+
+  async setMany(entries, ttlMs) {
+    await Promise.all(entries.map(([key, value]) => this.set(key, value, ttlMs)));
+  }
+
+  // "wx" fallisce se il file esiste: la creazione è atomica anche tra processi
+  async setIfAbsent(key, value, ttlMs) {
+    await this.ensureDir();
+    const payload = JSON.stringify({ value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        await fs.writeFile(this.filePath(key), payload, { flag: "wx" });
+        return true;
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+        // Una chiave scaduta viene cancellata da get(): si riprova una volta
+        if (await this.get(key) !== null) return false;
+      }
+    }
+    return false;
+  }
+
+  async delete(key) {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  // Un set è una cartella con un file vuoto per membro: aggiungere e togliere non riscrive nulla
+  setDir(key) {
+    return path.join(this.dir, `${encodeURIComponent(key)}.set`);
+  }
+
+  async addToSet(key, members) {
+    const dir = this.setDir(key);
+    await fs.mkdir(dir, { recursive: true });
+    await Promise.all(members.map(m => fs.writeFile(path.join(dir, encodeURIComponent(String(m))), "")));
+  }
+
+  async removeFromSet(key, members) {
+    const dir = this.setDir(key);
+    await Promise.all(members.map(m => fs.rm(path.join(dir, encodeURIComponent(String(m))), { force: true })));
+  }
+
+  async getSet(key) {
+    try {
+      return (await fs.readdir(this.setDir(key))).map(decodeURIComponent);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  }
+
+  async getSets(keys) {
+    return Promise.all(keys.map(key => this.getSet(key)));
+  }
+}
+
+// ========================================
+// KV ADAPTER (REST, compatibile Upstash / Vercel KV)
+// ========================================
+
+const KV_MGET_CHUNK = 500;
+
+class KVAdapter {
+  constructor({ url, token }) {
+    this.name = "kv";
+    this.url = url.replace(/\/$/, "");
+    this.token = token;
+  }
+
+  async command(args) {
+    const response = await fetch(this.url, {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${this.token}`,
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify(args)
+    });
+
+    if (!response.ok) {
+      throw new Error(`KV ${args[0]} -> ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (data.error) throw new Error(`KV ${args[0]} -> ${data.error}`);
+    return data.result;
+  }
+
+  // Più comandi in una sola richiesta (endpoint /pipeline di Upstash)
+  async pipeline(commands) {
+    const response = await fetch(`${this.url}/pipeline`, {
+      method: "POST",
+      headers: {
+        "Authorization": `Bearer ${this.token}`,
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify(commands)
+    });
+
+    if (!response.ok) {
+      throw new Error(`KV pipeline -> ${response.status} ${response.statusText}`);
+    }
+
+    const results = await response.json();
+    const failed = results.find(r => r.error);
+    if (failed) throw new Error(`KV pipeline -> ${failed.error}`);
+    return results.map(r => r.result);
+  }
+
+  async get(key) {
+    const result = await this.command(["GET", key]);
+    return result == null ? null : JSON.parse(result);
+  }
+
+  async getMany(keys) {
+    if (!keys.length) return [];
+    // A blocchi: un MGET di migliaia di ordini supera la dimensione massima della richiesta
+    const out = [];
+    for (let i = 0; i < keys.length; i += KV_MGET_CHUNK) {
+      const results = await this.command(["MGET", ...keys.slice(i, i + KV_MGET_CHUNK)]);
+      out.push(...results.map(r => (r == null ? null : JSON.parse(r))));
+    }
+    return out;
+  }
+
+  async set(key, value, ttlMs) {
+    const args = ["SET", key, JSON.stringify(value)];
+    if (ttlMs) args.push("PX", String(Math.round(ttlMs)));
+    await this.command(args);
+  }
+
+  async setMany(entries, ttlMs) {
+    if (!entries.length) return;
+    if (!ttlMs) {
+      await this.command(["MSET", ...entries.flatMap(([key, value]) => [key, JSON.stringify(value)])]);
+      return;
+    }
+    // MSET non accetta scadenze: un SET PX per chiave, in una sola richiesta
+    await this.pipeline(entries.map(([key, value]) => ["SET", key, JSON.stringify(value), "PX", String(Math.round(ttlMs))]));
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    const args = ["SET", key, JSON.stringify(value), "NX"];
+    if (ttlMs) args.push("PX", String(Math.round(ttlMs)));
+    return (await this.command(args)) === "OK";
+  }
+
+  async delete(key) {
+    await this.command(["DEL", key]);
+  }
+
+  async addToSet(key, members) {
+    if (!members.length) return;
+    await this.command(["SADD", key, ...members.map(String)]);
+  }
+
+  async removeFromSet(key, members) {
+    if (!members.length) return;
+    await this.command(["SREM", key, ...members.map(String)]);
+  }
+
+  async getSet(key) {
+    return (await this.command(["SMEMBERS", key])) || [];
+  }
+
+  async getSets(keys) {
+    if (!keys.length) return [];
+    const results = await this.pipeline(keys.map(key => ["SMEMBERS", key]));
+    return results.map(r => r || []);
+  }
+}
+
+// ========================================
+// FACTORY
+// ========================================
+
+function createAdapter(backend = process.env.REPORT_STORE) {
+  const kvUrl = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+  const kvToken = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+  const selected = (backend || (kvUrl && kvToken ? "kv" : "file")).toLowerCase();
+
+  if (selected === "memory") return new MemoryAdapter();
+
+  if (selected === "kv") {
+    if (!kvUrl || !kvToken) {
+      console.warn("⚠️ REPORT_STORE=kv ma KV_REST_API_URL/KV_REST_API_TOKEN mancanti, uso memory");
+      return new MemoryAdapter();
+    }
+    return new KVAdapter({ url: kvUrl, token: kvToken });
+  }
+
+  if (selected === "file") {
+    // Su Vercel solo /tmp è scrivibile (persiste finché l'istanza resta calda)
+    const dir = process.env.REPORT_STORE_DIR || (process.env.VERCEL ? "/tmp/report-store" : ".data/report-store");
+    if (process.env.VERCEL && !process.env.REPORT_STORE_DIR) {
+      console.warn("⚠️ Report store su /tmp: configura KV_REST_API_URL per persistenza reale tra cold start");
+    }
+    return new FileAdapter(dir);
+  }
+
+  console.warn(`⚠️ REPORT_STORE sconosciuto "${selected}", uso memory`);
+  return new MemoryAdapter();
+}
+
+/**
+ * Crea lo store dei report sopra un adapter
+ * Gli errori di storage non devono mai bloccare un report: vengono loggati e trattati come miss
+ * @param {object} adapter - Adapter con get/getMany/set/setMany/delete
+ */
+function createReportStore(adapter = createAdapter()) {
+  const key = (...parts) => [KEY_PREFIX, `v${STORE_SCHEMA_VERSION}`, ...parts].join(":");
+
+  async function safe(operation, fallback, fn) {
+    try {
+      return await fn();
+    } catch (err) {
+      console.warn(`⚠️ Report store (${adapter.name}) ${operation} failed:`, err.message);
+      return fallback;
+    }
+  }
+
+  return {
+    backend: adapter.name,
+    adapter,
+    key,
+
+    // Snapshot completi dei report generati
+    getReport: (cacheKey) => safe("getReport", null, () => adapter.get(key("report", cacheKey))),
+    saveReport: (cacheKey, payload, ttlMs) => safe("saveReport", false, async () => {
+      await adapter.set(key("report", cacheKey), { ...payload, storedAt: Date.now() }, ttlMs);
+      return true;
+    }),
+
+    // Aggregati giornalieri per data ISO (giorni chiusi); il warehouse li cancella quando un ordine del giorno cambia
+    getDailyAggregates: (dates) => safe("getDailyAggregates", dates.map(() => null),
+      () => adapter.getMany(dates.map(date => key("daily", date)))),
+    saveDailyAggregates: (summaries) => safe("saveDailyAggregates", false, async () => {
+      await adapter.setMany([...summaries].map(([date, summary]) => [key("daily", date), summary]), DAILY_AGGREGATE_TTL_MS);
+      return true;
+    }),
+    deleteDailyAggregates: (dates) => safe("deleteDailyAggregates", false, async () => {
+      await Promise.all(dates.map(date => adapter.delete(key("daily", date))));
+      return true;
+    }),
+
+    // Analisi dead stock per giorno e ambito (active, all, location:<id>): si calcola una volta al giorno
+    getDeadStock: (date, scope) => safe("getDeadStock", null, () => adapter.get(key("deadstock", date, scope))),
+    saveDeadStock: (date, scope, analysis) => safe("saveDeadStock", false, async () => {
+      await adapter.set(key("deadstock", date, scope), analysis, DEAD_STOCK_TTL_MS);
+      return true;
+    })
+  };
+}
+
+const reportStore = createReportStore();
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  reportStore,
+  createReportStore,
+  createAdapter,
+  MemoryAdapter,
+  FileAdapter,
+  KVAdapter,
+  STORE_SCHEMA_VERSION
+};
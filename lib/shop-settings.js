@@ -0,0 +1,70 @@
+// /lib/shop-settings.js - Timezone e valuta del negozio
+// Legge iana_timezone e currency dalla risorsa shop invece di valori hard-coded
+
+import { shopifyRest } from "./shopify-rest.js";
+
+const SHOP = process.env.SHOPIFY_SHOP;
+const SHOP_URL = `https://${SHOP}/admin/api/2024-07/shop.json?fields=name,iana_timezone,currency`;
+
+// Fallback usati solo se Shopify non risponde
+const DEFAULT_TIMEZONE = process.env.SHOP_TIMEZONE || "America/Monterrey";
+const DEFAULT_CURRENCY = process.env.SHOP_CURRENCY || "MXN";
+const REPORT_LOCALE = process.env.REPORT_LOCALE || "es-MX";
+
+// ========================================
+// FETCH SETTINGS
+// ========================================
+
+/**
+ * Recupera timezone e valuta dal negozio Shopify
+ * In caso di errore ritorna i valori di fallback (mai null)
+ * @returns {Promise<{name: string|null, timezone: string, currency: string, fromShopify: boolean}>}
+ */
+async function fetchShopSettings() {
+  try {
+    const { json: { shop } } = await shopifyRest(SHOP_URL);
+    const settings = {
+      name: shop?.name || null,
+      timezone: shop?.iana_timezone || DEFAULT_TIMEZONE,
+      currency: shop?.currency || DEFAULT_CURRENCY,
+      fromShopify: true
+    };
+
+    console.log(`🏪 Shop settings: ${settings.timezone}, ${settings.currency}`);
+    return settings;
+  } catch (err) {
+    console.warn(`⚠️ Failed to fetch shop settings, using defaults (${DEFAULT_TIMEZONE}, ${DEFAULT_CURRENCY}):`, err.message);
+    return {
+      name: null,
+      timezone: DEFAULT_TIMEZONE,
+      currency: DEFAULT_CURRENCY,
+      fromShopify: false
+    };
+  }
+}
+
+// ========================================
+// FORMATTERS
+// ========================================
+
+/**
+ * Formatta un importo nella valuta del negozio
+ * @param {number|string} n - Importo
+ * @param {string} currency - Codice ISO valuta (default: fallback)
+ * @returns {string}
+ */
+function formatMoney(n, currency = DEFAULT_CURRENCY) {
+  return new Intl.NumberFormat(REPORT_LOCALE, { style: "currency", currency }).format(Number(n || 0));
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  fetchShopSettings,
+  formatMoney,
+  DEFAULT_TIMEZONE,
+  DEFAULT_CURRENCY,
+  REPORT_LOCALE
+};
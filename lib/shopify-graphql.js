@@ -5,38 +5,165 @@ const SHOP = process.env.SHOPIFY_SHOP;
 const TOKEN = process.env.SHOPIFY_ADMIN_TOKEN;
 const GRAPHQL_URL = `https://${SHOP}/admin/api/2024-10/graphql.json`;
 
+// ========================================
+// COST THROTTLING (leaky bucket di Shopify)
+// ========================================
+
+const MAX_THROTTLE_RETRIES = 5;
+
+/**
+ * Stato del bucket GraphQL letto da extensions.cost.throttleStatus
+ * Shopify restituisce punti disponibili e restore rate: tra una query e l'altra
+ * si stima il bucket e si aspetta solo il tempo necessario a coprire il costo previsto
+ */
+class GraphQLCostThrottle {
+  constructor() {
+    // Valori del piano standard finché Shopify non risponde con quelli reali
+    this.maximumAvailable = 1000;
+    this.currentlyAvailable = 1000;
+    this.restoreRate = 50;
+    this.updatedAt = Date.now();
+    // Costo richiesto dall'ultima esecuzione di ogni query (stima per la prossima)
+    this.lastCostByQuery = new Map();
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {
+      queries: 0,
+      requestedCost: 0,
+      actualCost: 0,
+      throttled: 0,
+      waits: 0,
+      waitedMs: 0
+    };
+  }
+
+  estimateAvailable() {
+    const restored = ((Date.now() - this.updatedAt) / 1000) * this.restoreRate;
+    return Math.min(this.maximumAvailable, this.currentlyAvailable + restored);
+  }
+
+  expectedCost(query) {
+    return this.lastCostByQuery.get(query) ?? 0;
+  }
+
+  // Attesa in ms perché il bucket copra il costo (0 se già disponibile)
+  waitTimeFor(cost) {
+    const missing = Math.min(cost, this.maximumAvailable) - this.estimateAvailable();
+    return missing > 0 ? Math.ceil((missing / this.restoreRate) * 1000) : 0;
+  }
+
+  async waitFor(cost) {
+    const waitMs = this.waitTimeFor(cost);
+    if (!waitMs) return;
+    this.stats.waits++;
+    this.stats.waitedMs += waitMs;
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+  }
+
+  record(query, cost) {
+    if (!cost) return;
+    const status = cost.throttleStatus;
+    if (status) {
+      this.maximumAvailable = status.maximumAvailable;
+      this.currentlyAvailable = status.currentlyAvailable;
+      this.restoreRate = status.restoreRate;
+      this.updatedAt = Date.now();
+    }
+    this.lastCostByQuery.set(query, cost.requestedQueryCost);
+    // Una query THROTTLED non viene eseguita: conta solo nei retry
+    if (cost.actualQueryCost == null) return;
+    this.stats.queries++;
+    this.stats.requestedCost += cost.requestedQueryCost || 0;
+    this.stats.actualCost += cost.actualQueryCost;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      available: Math.floor(this.estimateAvailable()),
+      maximumAvailable: this.maximumAvailable,
+      restoreRate: this.restoreRate
+    };
+  }
+}
+
+const costThrottle = new GraphQLCostThrottle();
+
+/**
+ * Statistiche di costo GraphQL dall'ultimo reset (per performanceStats)
+ */
+function getGraphQLCostStats() {
+  return costThrottle.getStats();
+}
+
+function resetGraphQLCostStats() {
+  costThrottle.resetStats();
+}
+
 // ========================================
 // CORE GRAPHQL REQUEST
 // ========================================
 
 /**
  * Esegue una query GraphQL verso Shopify
+ * Aspetta che il bucket abbia abbastanza punti e ritenta gli errori THROTTLED
  * @param {string} query - GraphQL query string
  * @param {object} variables - Variabili per la query
  * @returns {Promise<object>} - Data dalla risposta
  */
 async function graphqlRequest(query, variables = {}) {
-  const response = await fetch(GRAPHQL_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Shopify-Access-Token': TOKEN
-    },
-    body: JSON.stringify({ query, variables })
-  });
+  for (let attempt = 0; ; attempt++) {
+    await costThrottle.waitFor(costThrottle.expectedCost(query));
+
+    const response = await fetch(GRAPHQL_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Access-Token': TOKEN
+      },
+      body: JSON.stringify({ query, variables })
+    });
 
-  const json = await response.json();
+    if (response.status === 429 && attempt < MAX_THROTTLE_RETRIES) {
+      const retryAfter = Number(response.headers.get('Retry-After')) || 2 ** attempt;
+      costThrottle.stats.throttled++;
+      console.warn(`⏳ GraphQL HTTP 429, retry in ${retryAfter}s`);
+      await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+      continue;
+    }
 
-  if (json.errors) {
-    console.error('GraphQL Errors:', JSON.stringify(json.errors, null, 2));
-    throw new Error(`GraphQL Error: ${json.errors.map(e => e.message).join(', ')}`);
-  }
+    const json = await response.json();
+    costThrottle.record(query, json.extensions?.cost);
+
+    const throttled = json.errors?.some(e => e.extensions?.code === 'THROTTLED');
+    if (throttled && attempt < MAX_THROTTLE_RETRIES) {
+      costThrottle.stats.throttled++;
+      // Il tempo per ricaricare il costo richiesto, raddoppiato a ogni tentativo
+      const requested = json.extensions?.cost?.requestedQueryCost || costThrottle.restoreRate;
+      const waitMs = Math.max(costThrottle.waitTimeFor(requested), 1000) * 2 ** attempt;
+      console.warn(`⏳ GraphQL THROTTLED (cost ${requested}), retry ${attempt + 1}/${MAX_THROTTLE_RETRIES} in ${waitMs}ms`);
+      costThrottle.stats.waitedMs += waitMs;
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+      continue;
+    }
 
-  if (!response.ok) {
-    throw new Error(`GraphQL HTTP Error: ${response.status} ${response.statusText}`);
-  }
+    if (json.errors) {
+      console.error('GraphQL Errors:', JSON.stringify(json.errors, null, 2));
+      const error = new Error(`GraphQL Error: ${json.errors.map(e => e.message).join(', ')}`);
+      // Codice Shopify (es. MAX_COST_EXCEEDED) e costo richiesto, per chi può ridurre la query
+      error.code = json.errors.find(e => e.extensions?.code)?.extensions.code || null;
+      error.cost = json.extensions?.cost || null;
+      throw error;
+    }
+
+    if (!response.ok) {
+      throw new Error(`GraphQL HTTP Error: ${response.status} ${response.statusText}`);
+    }
 
-  return json.data;
+    return json.data;
+  }
 }
 
 // ========================================
@@ -73,14 +200,15 @@ async function testConnection() {
 // ========================================
 
 /**
- * Recupera info variants + inventory in 1 sola query GraphQL
- * Equivalente a: fetchVariantsByIds() + fetchInventoryLevelsForItems()
+ * Recupera info variants + inventory + costo unitario in 1 sola query GraphQL
+ * Equivalente a: fetchVariantsByIds() + fetchInventoryLevelsForItems() + fetchInventoryItemCosts()
  * 
  * @param {Array<number>} variantIds - Array di variant IDs (numeri REST)
  * @param {boolean} includeInactive - Include anche location inattive
+ * @param {number|string|null} locationId - Solo lo stock di questa location (report per location)
  * @returns {Promise<Map>} - Map con variant_id => dati completi
  */
-async function fetchVariantsInventoryGraphQL(variantIds, includeInactive = false) {
+async function fetchVariantsInventoryGraphQL(variantIds, includeInactive = false, locationId = null) {
   if (!variantIds.length) return new Map();
 
   // Converti REST IDs (numeri) a GraphQL GIDs (stringhe)
@@ -99,10 +227,16 @@ async function fetchVariantsInventoryGraphQL(variantIds, includeInactive = false
           inventoryQuantity
           inventoryItem {
             id
+            unitCost {
+              amount
+            }
             inventoryLevels(first: 50) {
               edges {
                 node {
-                  available
+                  quantities(names: ["available"]) {
+                    quantity
+                    name
+                  }
                   location {
                     id
                     legacyResourceId
@@ -133,13 +267,20 @@ async function fetchVariantsInventoryGraphQL(variantIds, includeInactive = false
     if (node.inventoryItem?.inventoryLevels) {
       for (const edge of node.inventoryItem.inventoryLevels.edges) {
         const location = edge.node.location;
-        const available = Number(edge.node.available || 0);
-
-        // Filtra per location attive se richiesto
-        if (!includeInactive && !location.isActive) {
+        
+        // Report per location: conta solo quella richiesta (anche se inattiva)
+        if (locationId != null) {
+          if (String(location.legacyResourceId) !== String(locationId)) continue;
+        } else if (!includeInactive && !location.isActive) {
+          // Filtra per location attive se richiesto
           continue;
         }
 
+        // Estrai quantità disponibile dal nuovo formato
+        const quantities = edge.node.quantities || [];
+        const availableQty = quantities.find(q => q.name === "available");
+        const available = Number(availableQty?.quantity || 0);
+        
         totalInventory += available;
       }
     }
@@ -155,6 +296,7 @@ async function fetchVariantsInventoryGraphQL(variantIds, includeInactive = false
       sku: node.sku || "",
       price: node.price || "0",
       compare_at_price: node.compareAtPrice,
+      unit_cost: node.inventoryItem?.unitCost?.amount != null ? Number(node.inventoryItem.unitCost.amount) : null,
       inventoryAvailable: totalInventory,
       _fromGraphQL: true,
       _variantFallbackQty: node.inventoryQuantity || 0,
@@ -221,18 +363,385 @@ async function fetchVariantsInventoryBatch(variantIds, includeInactive = false)
 
     const batchResult = await fetchVariantsInventoryGraphQL(batch, includeInactive);
 
-    // Merge results
+    // Merge results (il pacing tra i batch lo fa graphqlRequest in base al costo)
     for (const [key, value] of batchResult.entries()) {
       results.set(key, value);
     }
+  }
+
+  return results;
+}
+
+// ========================================
+// ORDERS (paginazione o bulk operation)
+// ========================================
+
+// Sopra questa soglia (ordersCount) conviene la bulk operation: nessun limite di pagine né di costo
+const BULK_ORDERS_THRESHOLD = Number(process.env.GRAPHQL_BULK_THRESHOLD || 250);
+const BULK_TIMEOUT_MS = Number(process.env.GRAPHQL_BULK_TIMEOUT_MS || 60 * 1000);
+const BULK_POLL_MS = 2000;
+
+// Scadenza della richiesta in corso, condivisa dalle bulk operation: un report ne può avviare
+// più d'una in sequenza (periodo, ROP, dead stock) e insieme non devono superare maxDuration
+let bulkDeadline = null;
+
+/**
+ * Imposta la scadenza comune delle bulk operation della richiesta (null = solo BULK_TIMEOUT_MS)
+ * @param {number|null} deadline - Timestamp in ms
+ */
+function setBulkDeadline(deadline) {
+  bulkDeadline = deadline;
+}
+
+function nextBulkDeadline() {
+  const own = Date.now() + BULK_TIMEOUT_MS;
+  return bulkDeadline != null ? Math.min(own, bulkDeadline) : own;
+}
+
+const MONEY = `shopMoney { amount }`;
+
+const ORDER_FIELDS = `
+  id
+  legacyResourceId
+  name
+  createdAt
+  updatedAt
+  cancelledAt
+  displayFinancialStatus
+  taxesIncluded
+  paymentGatewayNames
+  sourceName
+  retailLocation { id }
+  fulfillments(first: 5) { location { id } }
+  totalPriceSet { ${MONEY} }
+  subtotalPriceSet { ${MONEY} }
+  totalTaxSet { ${MONEY} }
+  totalDiscountsSet { ${MONEY} }
+`;
+
+const LINE_ITEM_FIELDS = `
+  name
+  title
+  variantTitle
+  sku
+  quantity
+  originalUnitPriceSet { ${MONEY} }
+  variant { legacyResourceId inventoryItem { legacyResourceId } }
+  product { legacyResourceId }
+`;
+
+const DISCOUNT_FIELDS = `
+  value {
+    ... on MoneyV2 { amount }
+    ... on PricingPercentageValue { percentage }
+  }
+`;
+
+const SHIPPING_FIELDS = `originalPriceSet { ${MONEY} }`;
+
+/**
+ * Query di ricerca ordini per created_at e financial_status
+ * @param {string} startISO
+ * @param {string} endISO
+ * @param {string[]} financialStatuses - Stati REST (paid, partially_refunded, ...)
+ */
+function buildOrdersSearch(startISO, endISO, financialStatuses) {
+  const statuses = financialStatuses.map(s => `financial_status:${s}`).join(" OR ");
+  return `created_at:>='${startISO}' AND created_at:<='${endISO}' AND (${statuses})`;
+}
+
+const amountOf = (set) => set?.shopMoney?.amount ?? "0.00";
+
+/**
+ * Converte un ordine GraphQL nel formato REST usato da sales-report.js
+ * I rimborsi non sono inclusi: le vendite nette li leggono da fetchRefundActivity
+ */
+function toRestOrder(node, { lineItems = [], discountApplications = [], shippingLines = [] } = {}) {
+  return {
+    id: Number(node.legacyResourceId),
+    name: node.name,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    cancelled_at: node.cancelledAt,
+    financial_status: node.displayFinancialStatus?.toLowerCase() || null,
+    taxes_included: node.taxesIncluded,
+    payment_gateway_names: node.paymentGatewayNames || [],
+    source_name: node.sourceName,
+    location_id: node.retailLocation?.id ? Number(extractRestId(node.retailLocation.id)) : null,
+    fulfillments: (node.fulfillments || []).map(f => ({
+      location_id: f.location?.id ? Number(extractRestId(f.location.id)) : null
+    })),
+    total_price: amountOf(node.totalPriceSet),
+    subtotal_price: amountOf(node.subtotalPriceSet),
+    total_tax: amountOf(node.totalTaxSet),
+    total_discounts: amountOf(node.totalDiscountsSet),
+    discount_applications: discountApplications.map(d => ({
+      value: String(d.value?.amount ?? d.value?.percentage ?? 0),
+      value_type: d.value?.percentage != null ? "percentage" : "fixed_amount"
+    })),
+    line_items: lineItems.map(li => ({
+      variant_id: li.variant?.legacyResourceId ? Number(li.variant.legacyResourceId) : null,
+      product_id: li.product?.legacyResourceId ? Number(li.product.legacyResourceId) : null,
+      inventory_item_id: li.variant?.inventoryItem?.legacyResourceId ? Number(li.variant.inventoryItem.legacyResourceId) : null,
+      name: li.name,
+      title: li.title,
+      variant_title: li.variantTitle,
+      sku: li.sku || "",
+      quantity: li.quantity,
+      price: amountOf(li.originalUnitPriceSet)
+    })),
+    shipping_lines: shippingLines.map(sl => ({ price: amountOf(sl.originalPriceSet) }))
+  };
+}
+
+async function countOrders(search) {
+  const data = await graphqlRequest(`
+    query countOrders($query: String!) {
+      ordersCount(query: $query, limit: null) { count }
+    }
+  `, { query: search });
+  return data.ordersCount.count;
+}
 
-    // Rate limiting: aspetta un po' tra i batch
-    if (i < batches.length - 1) {
-      await new Promise(resolve => setTimeout(resolve, 500));
+// --- Paginazione (range piccoli) ---
+
+// Shopify rifiuta le query con costo richiesto oltre 1000 punti (MAX_COST_EXCEEDED).
+// Ogni oggetto costa 1, gli scalari 0, una connessione 2 + first × costo del nodo:
+//   line item: LineItem + originalUnitPriceSet + shopMoney + variant + inventoryItem + product = 6
+//   ordine:    Order + retailLocation + 4 × (MoneyBag + shopMoney) = 10
+//              + fulfillments 2 + 5 × (Fulfillment + location) = 12
+//              + lineItems 2 + 30 × 6 + discountApplications 2 + 5 × 2 + shippingLines 2 + 3 × 3 = 227
+//   pagina:    2 + 4 × 227 = 910
+//   seguito:   Order + lineItems 2 + 100 × 6 = 603
+const MAX_QUERY_COST = 1000;
+const ORDERS_PAGE_SIZE = 4;
+const LINE_ITEMS_PAGE_SIZE = 30;
+const REMAINING_LINE_ITEMS_PAGE_SIZE = 100;
+
+const ORDERS_PAGE_QUERY = `
+  query ordersPage($query: String!, $first: Int!, $after: String) {
+    orders(first: $first, after: $after, query: $query, sortKey: CREATED_AT) {
+      nodes {
+        ${ORDER_FIELDS}
+        lineItems(first: ${LINE_ITEMS_PAGE_SIZE}) {
+          nodes { ${LINE_ITEM_FIELDS} }
+          pageInfo { hasNextPage endCursor }
+        }
+        discountApplications(first: 5) { nodes { ${DISCOUNT_FIELDS} } }
+        shippingLines(first: 3) { nodes { ${SHIPPING_FIELDS} } }
+      }
+      pageInfo { hasNextPage endCursor }
     }
   }
+`;
 
-  return results;
+/**
+ * Quanti ordini stanno in una pagina, dato il costo richiesto da Shopify per una pagina di pageSize
+ * Se Shopify conta diversamente dalla stima, la pagina si adatta al requestedQueryCost reale
+ */
+function fitOrdersPageSize(requestedQueryCost, pageSize) {
+  const perOrder = (requestedQueryCost - 2) / pageSize;
+  if (!(perOrder > 0)) return pageSize;
+  return Math.max(1, Math.min(ORDERS_PAGE_SIZE, Math.floor((MAX_QUERY_COST - 2) / perOrder)));
+}
+
+async function fetchRemainingLineItems(orderGid, after) {
+  const out = [];
+  let cursor = after;
+
+  for (;;) {
+    const data = await graphqlRequest(`
+      query orderLineItems($id: ID!, $after: String) {
+        order(id: $id) {
+          lineItems(first: ${REMAINING_LINE_ITEMS_PAGE_SIZE}, after: $after) {
+            nodes { ${LINE_ITEM_FIELDS} }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      }
+    `, { id: orderGid, after: cursor });
+
+    const connection = data.order.lineItems;
+    out.push(...connection.nodes);
+    if (!connection.pageInfo.hasNextPage) return out;
+    cursor = connection.pageInfo.endCursor;
+  }
+}
+
+async function fetchOrdersPaginated(search) {
+  const orders = [];
+  let cursor = null;
+  let pageSize = ORDERS_PAGE_SIZE;
+
+  for (;;) {
+    let data;
+    try {
+      data = await graphqlRequest(ORDERS_PAGE_QUERY, { query: search, first: pageSize, after: cursor });
+    } catch (err) {
+      const requested = err.cost?.requestedQueryCost;
+      const smaller = requested ? fitOrdersPageSize(requested, pageSize) : pageSize;
+      // Pagina troppo costosa: si riprova la stessa pagina più piccola invece di cadere su REST
+      if (err.code !== "MAX_COST_EXCEEDED" || smaller >= pageSize) throw err;
+      console.warn(`⚠️ GraphQL orders page cost ${requested} > ${MAX_QUERY_COST}: page size ${pageSize} → ${smaller}`);
+      pageSize = smaller;
+      continue;
+    }
+
+    const requested = costThrottle.expectedCost(ORDERS_PAGE_QUERY);
+    if (requested) pageSize = fitOrdersPageSize(requested, pageSize);
+
+    for (const node of data.orders.nodes) {
+      const lineItems = [...node.lineItems.nodes];
+      if (node.lineItems.pageInfo.hasNextPage) {
+        lineItems.push(...await fetchRemainingLineItems(node.id, node.lineItems.pageInfo.endCursor));
+      }
+      orders.push(toRestOrder(node, {
+        lineItems,
+        discountApplications: node.discountApplications.nodes,
+        shippingLines: node.shippingLines.nodes
+      }));
+    }
+
+    if (!data.orders.pageInfo.hasNextPage) return orders;
+    cursor = data.orders.pageInfo.endCursor;
+  }
+}
+
+// --- Bulk operation (range grandi) ---
+
+async function runBulkQuery(bulkQuery) {
+  const data = await graphqlRequest(`
+    mutation runBulk($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation { id status }
+        userErrors { field message }
+      }
+    }
+  `, { query: bulkQuery });
+
+  const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+  if (userErrors?.length) {
+    throw new Error(`Bulk operation rifiutata: ${userErrors.map(e => e.message).join(", ")}`);
+  }
+  return bulkOperation.id;
+}
+
+async function pollBulkOperation(operationId, deadline) {
+  const startedAt = Date.now();
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, BULK_POLL_MS));
+
+    const data = await graphqlRequest(`
+      query bulkStatus($id: ID!) {
+        node(id: $id) {
+          ... on BulkOperation { status errorCode objectCount url }
+        }
+      }
+    `, { id: operationId });
+
+    const op = data.node;
+    if (op.status === "COMPLETED") return op;
+    if (["FAILED", "CANCELED", "EXPIRED"].includes(op.status)) {
+      throw new Error(`Bulk operation ${op.status}${op.errorCode ? ` (${op.errorCode})` : ""}`);
+    }
+  }
+
+  // Oltre il budget: annulla per liberare lo slot (una sola bulk query per volta per app)
+  await graphqlRequest(`
+    mutation cancelBulk($id: ID!) {
+      bulkOperationCancel(id: $id) { userErrors { message } }
+    }
+  `, { id: operationId }).catch(() => {});
+  throw new Error(`Bulk operation timeout dopo ${Date.now() - startedAt}ms`);
+}
+
+/**
+ * Ricostruisce gli ordini dal JSONL: i nodi figli arrivano su righe separate con __parentId
+ */
+function parseBulkOrders(jsonl) {
+  const parents = new Map();
+  const children = new Map();
+
+  for (const line of jsonl.split("\n")) {
+    if (!line.trim()) continue;
+    const row = JSON.parse(line);
+
+    if (!row.__parentId) {
+      parents.set(row.id, row);
+      continue;
+    }
+
+    if (!children.has(row.__parentId)) {
+      children.set(row.__parentId, { lineItems: [], discountApplications: [], shippingLines: [] });
+    }
+    const group = children.get(row.__parentId);
+    if (row.__typename === "LineItem") group.lineItems.push(row);
+    else if (row.__typename === "ShippingLine") group.shippingLines.push(row);
+    else group.discountApplications.push(row);
+  }
+
+  return [...parents.values()].map(node => toRestOrder(node, children.get(node.id)));
+}
+
+async function fetchOrdersBulk(search) {
+  // Budget della richiesta già esaurito: inutile avviare una bulk operation che verrebbe annullata
+  const deadline = nextBulkDeadline();
+  if (deadline - Date.now() < BULK_POLL_MS) {
+    throw new Error("Bulk operation saltata: tempo della richiesta esaurito");
+  }
+
+  const bulkQuery = `
+    {
+      orders(query: ${JSON.stringify(search)}) {
+        edges {
+          node {
+            ${ORDER_FIELDS}
+            lineItems { edges { node { __typename ${LINE_ITEM_FIELDS} } } }
+            discountApplications { edges { node { __typename ${DISCOUNT_FIELDS} } } }
+            shippingLines { edges { node { __typename ${SHIPPING_FIELDS} } } }
+          }
+        }
+      }
+    }
+  `;
+
+  const operationId = await runBulkQuery(bulkQuery);
+  console.log(`⏳ Bulk operation ${operationId} submitted`);
+
+  const op = await pollBulkOperation(operationId, deadline);
+  // Nessun risultato: Shopify non genera il file
+  if (!op.url) return [];
+
+  const response = await fetch(op.url);
+  if (!response.ok) {
+    throw new Error(`Bulk download -> ${response.status} ${response.statusText}`);
+  }
+
+  const orders = parseBulkOrders(await response.text());
+  console.log(`✅ Bulk operation completed: ${op.objectCount} objects, ${orders.length} orders`);
+  return orders;
+}
+
+/**
+ * Ordini creati nel range con gli stati finanziari indicati, nel formato REST
+ * Sceglie bulk operation o paginazione in base al numero di ordini
+ * @param {string} startISO - Inizio range (ISO)
+ * @param {string} endISO - Fine range (ISO)
+ * @param {object} options
+ * @param {string[]} options.financialStatuses - Default: paid e partially_refunded
+ * @returns {Promise<Array>}
+ */
+async function fetchOrdersGraphQL(startISO, endISO, { financialStatuses = ["paid", "partially_refunded"] } = {}) {
+  const search = buildOrdersSearch(startISO, endISO, financialStatuses);
+  const count = await countOrders(search);
+
+  if (count > BULK_ORDERS_THRESHOLD) {
+    console.log(`📦 ${count} orders > ${BULK_ORDERS_THRESHOLD}: using GraphQL bulk operation`);
+    return fetchOrdersBulk(search);
+  }
+
+  console.log(`📄 ${count} orders: using paginated GraphQL query`);
+  return fetchOrdersPaginated(search);
 }
 
 // ========================================
@@ -241,9 +750,13 @@ async function fetchVariantsInventoryBatch(variantIds, includeInactive = false)
 
 export {
   graphqlRequest,
+  getGraphQLCostStats,
+  resetGraphQLCostStats,
   testConnection,
   fetchVariantsInventoryGraphQL,
   fetchVariantsInventoryBatch,
+  fetchOrdersGraphQL,
+  setBulkDeadline,
   extractRestId,
   toGraphQLId
 };
\ No newline at end of file
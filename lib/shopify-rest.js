@@ -0,0 +1,205 @@
+// /lib/shopify-rest.js - Client REST Shopify con rate limiter condiviso
+// Un solo leaky bucket per istanza, regolato dall'header X-Shopify-Shop-Api-Call-Limit
+
+const TOKEN = process.env.SHOPIFY_ADMIN_TOKEN;
+
+// Piano standard: bucket da 40 richieste che si svuota a 2/s (Plus: 400 e 20/s, letti dall'header)
+const DEFAULT_BUCKET_SIZE = 40;
+const LEAK_RATE = Number(process.env.SHOPIFY_REST_LEAK_RATE || 2);
+// Margine lasciato libero per le altre app installate sullo stesso negozio
+const BUCKET_HEADROOM = 4;
+const MAX_RETRIES = 4;
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// ========================================
+// LEAKY BUCKET
+// ========================================
+
+class ShopifyRestLimiter {
+  constructor({ leakRate = LEAK_RATE, bucketSize = DEFAULT_BUCKET_SIZE } = {}) {
+    this.leakRate = leakRate;
+    this.bucketSize = bucketSize;
+    this.used = 0;
+    this.updatedAt = Date.now();
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {
+      totalCalls: 0,
+      retries: 0,
+      rateLimitHits: 0,
+      serverErrors: 0,
+      timeouts: 0,
+      waits: 0,
+      waitedMs: 0,
+      maxUsed: 0,
+      lastCallLimit: null,
+      startTime: Date.now()
+    };
+  }
+
+  // Richieste ancora nel bucket, stimate dal tempo trascorso dall'ultimo header
+  estimateUsed() {
+    const leaked = ((Date.now() - this.updatedAt) / 1000) * this.leakRate;
+    return Math.max(0, this.used - leaked);
+  }
+
+  /**
+   * Aspetta finché c'è posto nel bucket e prenota lo slot
+   * La prenotazione è sincrona: chiamate concorrenti non si sovrappongono
+   */
+  async acquire() {
+    const used = this.estimateUsed();
+    const capacity = Math.max(1, this.bucketSize - BUCKET_HEADROOM);
+    const waitMs = used + 1 > capacity ? Math.ceil(((used + 1 - capacity) / this.leakRate) * 1000) : 0;
+
+    this.used = used + 1;
+    this.updatedAt = Date.now();
+    this.stats.totalCalls++;
+
+    if (waitMs) {
+      this.stats.waits++;
+      this.stats.waitedMs += waitMs;
+      await sleep(waitMs);
+    }
+  }
+
+  // Allinea la stima con il valore reale restituito da Shopify ("32/40")
+  record(callLimitHeader) {
+    const match = /^(\d+)\/(\d+)$/.exec(callLimitHeader || "");
+    if (!match) return;
+    this.used = Number(match[1]);
+    this.bucketSize = Number(match[2]);
+    this.updatedAt = Date.now();
+    this.stats.lastCallLimit = callLimitHeader;
+    this.stats.maxUsed = Math.max(this.stats.maxUsed, this.used);
+  }
+
+  // Dopo un 429 il bucket è pieno per definizione
+  recordRateLimit() {
+    this.used = this.bucketSize;
+    this.updatedAt = Date.now();
+    this.stats.rateLimitHits++;
+  }
+
+  getStats() {
+    const { startTime, ...stats } = this.stats;
+    const elapsed = Date.now() - startTime;
+    return {
+      ...stats,
+      avgCallsPerSec: elapsed > 0 ? (this.stats.totalCalls / (elapsed / 1000)).toFixed(1) : "0.0",
+      bucketSize: this.bucketSize,
+      leakRate: this.leakRate
+    };
+  }
+}
+
+const restLimiter = new ShopifyRestLimiter();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Backoff esponenziale con jitter: evita che i retry concorrenti ripartano insieme
+function backoffMs(attempt, baseMs = 500) {
+  const cap = baseMs * 2 ** attempt;
+  return Math.round(cap / 2 + Math.random() * (cap / 2));
+}
+
+// ========================================
+// REQUEST
+// ========================================
+
+/**
+ * Chiamata REST a Shopify passando dal limiter condiviso
+ * Ritenta 429 (rispettando Retry-After), 5xx e timeout con backoff e jitter
+ * @param {string} url - URL completo Admin API
+ * @param {object} options
+ * @param {number} options.timeoutMs - Timeout per tentativo
+ * @param {number} options.retries - Retry massimi
+ * @returns {Promise<{json: object, link: string, response: Response}>}
+ */
+async function shopifyRest(url, { timeoutMs = DEFAULT_TIMEOUT_MS, retries = MAX_RETRIES } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    await restLimiter.acquire();
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    let response;
+
+    try {
+      response = await fetch(url, {
+        headers: { "X-Shopify-Access-Token": TOKEN },
+        signal: controller.signal
+      });
+    } catch (err) {
+      clearTimeout(timeoutId);
+      const isTimeout = err.name === "AbortError";
+      if (isTimeout) restLimiter.stats.timeouts++;
+      if (attempt < retries) {
+        const wait = backoffMs(attempt);
+        restLimiter.stats.retries++;
+        console.warn(`⏳ Shopify REST ${isTimeout ? "timeout" : err.message}, retry ${attempt + 1}/${retries} in ${wait}ms`);
+        await sleep(wait);
+        continue;
+      }
+      throw isTimeout ? new Error(`${url} -> timeout after ${timeoutMs}ms`) : err;
+    }
+
+    try {
+      restLimiter.record(response.headers.get("x-shopify-shop-api-call-limit"));
+
+      if (response.status === 429 || response.status >= 500) {
+        const text = await response.text();
+        if (attempt >= retries) {
+          throw Object.assign(new Error(`${url} -> ${response.status} ${text}`.slice(0, 500)), { status: response.status });
+        }
+
+        let wait;
+        if (response.status === 429) {
+          restLimiter.recordRateLimit();
+          const retryAfter = Number(response.headers.get("retry-after"));
+          wait = retryAfter ? Math.round(retryAfter * 1000 + Math.random() * 250) : backoffMs(attempt, 1000);
+        } else {
+          restLimiter.stats.serverErrors++;
+          wait = backoffMs(attempt);
+        }
+
+        restLimiter.stats.retries++;
+        console.warn(`⏳ Shopify REST ${response.status}, retry ${attempt + 1}/${retries} in ${wait}ms`);
+        await sleep(wait);
+        continue;
+      }
+
+      const text = await response.text();
+      if (!response.ok) {
+        throw Object.assign(new Error(`${url} -> ${response.status} ${text}`.slice(0, 500)), { status: response.status });
+      }
+
+      return { json: text ? JSON.parse(text) : {}, link: response.headers.get("link") || "", response };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+}
+
+/**
+ * Statistiche del limiter dall'ultimo reset (per performanceStats)
+ */
+function getRestLimiterStats() {
+  return restLimiter.getStats();
+}
+
+function resetRestLimiterStats() {
+  restLimiter.resetStats();
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  shopifyRest,
+  getRestLimiterStats,
+  resetRestLimiterStats,
+  ShopifyRestLimiter
+};
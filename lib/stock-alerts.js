@@ -0,0 +1,316 @@
+// /lib/stock-alerts.js - Alert di stock basso in tempo reale
+// Valuta le soglie quando cambia l'inventario (webhook) o a intervalli (cron) e avvisa via email
+
+import { reportStore } from './report-store.js';
+import { graphqlRequest, extractRestId, toGraphQLId } from './shopify-graphql.js';
+import { sendMail, isSandboxDomain } from './mailer.js';
+import { filterSuppressed } from './suppression-list.js';
+
+const SEVERITY = { none: 0, low: 1, out: 2 };
+const MAX_SCAN_PAGES = 20;
+// Il claim evita che webhook e cron simultanei inviino lo stesso alert due volte
+const ALERT_CLAIM_TTL_MS = 10 * 60 * 1000;
+
+const adapter = reportStore.adapter;
+const keys = {
+  // Uno stato per variant + un set degli id in allerta: webhook e cron non si sovrascrivono
+  state: (variantId) => reportStore.key("alerts", "stock", variantId),
+  active: reportStore.key("alerts", "stock-ids"),
+  claim: (variantId, level) => reportStore.key("alerts", "stock-claim", variantId, level)
+};
+
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m]));
+
+// ========================================
+// CONFIGURAZIONE SOGLIE
+// ========================================
+
+/**
+ * Soglie da STOCK_ALERT_THRESHOLDS (JSON), priorità: SKU > tipo prodotto > globale
+ * Esempio: {"global":1,"skus":{"CAM-001":5},"productTypes":{"Servicio":null}}
+ * null disattiva gli alert per quello SKU o tipo; "global": null li lascia solo a SKU e tipi con soglia
+ */
+function loadThresholds() {
+  let config = {};
+  try {
+    config = JSON.parse(process.env.STOCK_ALERT_THRESHOLDS || "{}");
+  } catch (err) {
+    console.warn("⚠️ STOCK_ALERT_THRESHOLDS non è JSON valido, uso solo la soglia globale:", err.message);
+  }
+
+  return {
+    // Come per skus e productTypes, null disattiva (senza valore vale 1)
+    global: config.global === null ? null : Number(config.global ?? 1),
+    skus: config.skus || {},
+    productTypes: Object.fromEntries(
+      Object.entries(config.productTypes || {}).map(([type, value]) => [type.toLowerCase(), value])
+    )
+  };
+}
+
+// null = nessun alert per il variant (anche quando il globale è null)
+function thresholdFor(variant, thresholds) {
+  if (variant.sku && variant.sku in thresholds.skus) return thresholds.skus[variant.sku];
+  const type = (variant.productType || "").toLowerCase();
+  if (type && type in thresholds.productTypes) return thresholds.productTypes[type];
+  return thresholds.global;
+}
+
+function getAlertRecipients() {
+  const list = process.env.STOCK_ALERT_RECIPIENTS || process.env.SALES_REPORT_RECIPIENTS || "";
+  return list.split(",").map(email => email.trim()).filter(Boolean);
+}
+
+// ========================================
+// SHOPIFY (GraphQL)
+// ========================================
+
+const VARIANT_FIELDS = `
+  id
+  sku
+  displayName
+  inventoryQuantity
+  inventoryItem { tracked }
+  product { productType status }
+`;
+
+function normalizeVariant(node) {
+  return {
+    id: extractRestId(node.id),
+    sku: node.sku || null,
+    title: node.displayName,
+    quantity: Number(node.inventoryQuantity || 0),
+    productType: node.product?.productType || null,
+    // Solo prodotti attivi con inventario tracciato possono "finire"
+    eligible: node.product?.status === "ACTIVE" && node.inventoryItem?.tracked !== false
+  };
+}
+
+async function fetchVariantByInventoryItem(inventoryItemId) {
+  const data = await graphqlRequest(`
+    query($id: ID!) {
+      inventoryItem(id: $id) {
+        variant { ${VARIANT_FIELDS} }
+      }
+    }
+  `, { id: toGraphQLId(inventoryItemId, "InventoryItem") });
+
+  const node = data.inventoryItem?.variant;
+  return node ? normalizeVariant(node) : null;
+}
+
+async function fetchVariantsAtOrBelow(maxQuantity) {
+  const variants = [];
+  let cursor = null;
+
+  for (let page = 0; page < MAX_SCAN_PAGES; page++) {
+    const data = await graphqlRequest(`
+      query($query: String!, $after: String) {
+        productVariants(first: 250, after: $after, query: $query) {
+          edges { node { ${VARIANT_FIELDS} } }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `, { query: `inventory_quantity:<=${maxQuantity}`, after: cursor });
+
+    variants.push(...data.productVariants.edges.map(e => normalizeVariant(e.node)));
+    if (!data.productVariants.pageInfo.hasNextPage) return { variants, complete: true };
+    cursor = data.productVariants.pageInfo.endCursor;
+  }
+
+  console.warn(`⚠️ Stock alert scan stopped after ${MAX_SCAN_PAGES} pages`);
+  return { variants, complete: false };
+}
+
+// ========================================
+// VALUTAZIONE E DEDUPLICA
+// ========================================
+
+/**
+ * Confronta lo stock con le soglie e invia un alert solo quando un variant peggiora
+ * (ok → bajo → agotado). Tornando sopra soglia lo stato si azzera e potrà riavvisare
+ * @param {Array} variants - Variant normalizzati
+ * @param {object} options
+ * @param {boolean} options.fullScan - Se true, i variant in stato ma non presenti sono rientrati
+ */
+async function evaluateVariants(variants, { fullScan = false } = {}) {
+  const thresholds = loadThresholds();
+  const ids = variants.map(v => String(v.id));
+  const states = await adapter.getMany(ids.map(keys.state));
+  const seen = new Set(ids);
+  const candidates = [];
+  const recoveredIds = [];
+
+  variants.forEach((variant, i) => {
+    const threshold = variant.eligible ? thresholdFor(variant, thresholds) : null;
+    const level = threshold == null ? "none"
+      : variant.quantity <= 0 ? "out"
+      : variant.quantity <= threshold ? "low"
+      : "none";
+
+    const previous = states[i]?.level || "none";
+    if (level === "none") {
+      if (states[i]) recoveredIds.push(ids[i]);
+    } else if (SEVERITY[level] > SEVERITY[previous]) {
+      candidates.push({ ...variant, level, threshold });
+    }
+  });
+
+  if (fullScan) {
+    for (const id of await adapter.getSet(keys.active)) {
+      if (!seen.has(id)) recoveredIds.push(id);
+    }
+  }
+
+  if (recoveredIds.length) await clearState(recoveredIds);
+
+  // Solo chi ottiene il claim invia: un alert in corso altrove non si ripete
+  const claimed = await Promise.all(candidates.map(alert =>
+    adapter.setIfAbsent(keys.claim(alert.id, alert.level), { at: Date.now() }, ALERT_CLAIM_TTL_MS)));
+  const alerts = candidates.filter((_, i) => claimed[i]);
+
+  let messageId = null;
+  if (alerts.length) {
+    // Lo stato si salva solo dopo l'invio: se l'invio fallisce il prossimo giro riprova
+    try {
+      messageId = await sendStockAlert(alerts);
+    } catch (err) {
+      await Promise.all(alerts.map(alert => adapter.delete(keys.claim(alert.id, alert.level))));
+      throw err;
+    }
+    const alertedAt = new Date().toISOString();
+    await adapter.setMany(alerts.map(alert => [keys.state(alert.id), {
+      level: alert.level,
+      quantity: alert.quantity,
+      threshold: alert.threshold,
+      sku: alert.sku,
+      alertedAt
+    }]));
+    await adapter.addToSet(keys.active, alerts.map(alert => String(alert.id)));
+  }
+
+  return {
+    evaluated: variants.length,
+    alerts: alerts.length,
+    recovered: recoveredIds.length,
+    active: (await adapter.getSet(keys.active)).length,
+    messageId
+  };
+}
+
+/**
+ * Azzera lo stato dei variant rientrati sopra soglia (e i claim, così potranno riavvisare)
+ */
+async function clearState(variantIds) {
+  await adapter.removeFromSet(keys.active, variantIds);
+  await Promise.all(variantIds.flatMap(id => [
+    adapter.delete(keys.state(id)),
+    ...Object.keys(SEVERITY).filter(level => level !== "none").map(level => adapter.delete(keys.claim(id, level)))
+  ]));
+}
+
+// ========================================
+// NOTIFICA
+// ========================================
+
+function buildAlertEmail(alerts) {
+  const out = alerts.filter(a => a.level === "out");
+  const low = alerts.filter(a => a.level === "low");
+
+  const subject = alerts.length === 1
+    ? `⚠️ ${out.length ? "Agotado" : `Stock bajo (${alerts[0].quantity})`}: ${alerts[0].title}`
+    : `⚠️ Stock crítico: ${out.length} agotados, ${low.length} con stock bajo`;
+
+  const rows = [...out, ...low].map(a => `
+    <tr>
+      <td style="padding:6px 8px;border-bottom:1px solid #e5e7eb;">${esc(a.sku || "—")}</td>
+      <td style="padding:6px 8px;border-bottom:1px solid #e5e7eb;">${esc(a.title)}</td>
+      <td style="padding:6px 8px;border-bottom:1px solid #e5e7eb;text-align:right;font-weight:700;color:${a.level === "out" ? "#dc2626" : "#d97706"};">${a.quantity}</td>
+      <td style="padding:6px 8px;border-bottom:1px solid #e5e7eb;text-align:right;color:#6b7280;">${a.threshold}</td>
+    </tr>`).join("");
+
+  const html = `<!doctype html>
+<html lang="es">
+<body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#111827;margin:0;padding:16px;">
+  <h2 style="font-size:16px;margin:0 0 12px;">⚠️ Alerta de inventario</h2>
+  <table style="border-collapse:collapse;font-size:13px;width:100%;max-width:560px;">
+    <thead>
+      <tr style="background:#f3f4f6;text-align:left;">
+        <th style="padding:6px 8px;">SKU</th>
+        <th style="padding:6px 8px;">Producto</th>
+        <th style="padding:6px 8px;text-align:right;">Stock</th>
+        <th style="padding:6px 8px;text-align:right;">Umbral</th>
+      </tr>
+    </thead>
+    <tbody>${rows}</tbody>
+  </table>
+  <p style="font-size:11px;color:#6b7280;margin-top:12px;">No se repetirá el aviso hasta que el stock vuelva a superar el umbral.</p>
+</body>
+</html>`;
+
+  const text = [...out, ...low]
+    .map(a => `${a.level === "out" ? "AGOTADO" : "BAJO"} ${a.sku || "-"} ${a.title}: ${a.quantity} (umbral ${a.threshold})`)
+    .join("\n");
+
+  return { subject, html, text };
+}
+
+async function sendStockAlert(alerts) {
+  const { allowed: recipients } = await filterSuppressed(getAlertRecipients());
+  if (!recipients.length) {
+    console.log('⚠️ Stock alert non inviato: tutti i destinatari sono soppressi');
+    return null;
+  }
+  const to = isSandboxDomain() ? recipients.slice(0, 1) : recipients;
+  const { subject, html, text } = buildAlertEmail(alerts);
+
+  const msg = await sendMail({ to, subject, html, text, tags: ["stock-alert"] });
+  console.log(`🚨 Stock alert sent via ${msg.provider} (${alerts.length} variants): ${msg.id}`);
+  return msg.id;
+}
+
+// ========================================
+// ENTRY POINTS
+// ========================================
+
+/**
+ * Valuta un singolo inventory item (dopo un webhook inventory_levels/update)
+ */
+async function checkInventoryItem(inventoryItemId) {
+  if (!getAlertRecipients().length) return { skipped: true, reason: "no recipients" };
+
+  const variant = await fetchVariantByInventoryItem(inventoryItemId);
+  if (!variant) return { skipped: true, reason: "variant not found" };
+
+  return evaluateVariants([variant]);
+}
+
+/**
+ * Scansione completa dei variant sotto la soglia più alta configurata (cron)
+ */
+async function runStockAlertScan() {
+  if (!getAlertRecipients().length) return { skipped: true, reason: "no recipients" };
+
+  const thresholds = loadThresholds();
+  const active = [thresholds.global, ...Object.values(thresholds.skus), ...Object.values(thresholds.productTypes)]
+    .filter(v => v != null)
+    .map(Number);
+  if (!active.length) return { skipped: true, reason: "alerts disabled" };
+  const maxThreshold = Math.max(...active);
+
+  const { variants, complete } = await fetchVariantsAtOrBelow(maxThreshold);
+  console.log(`🔎 Stock alert scan: ${variants.length} variants at or below ${maxThreshold}`);
+  // Con una scansione troncata non si può dedurre chi è rientrato sopra soglia
+  return evaluateVariants(variants, { fullScan: complete });
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  checkInventoryItem,
+  runStockAlertScan,
+  evaluateVariants,
+  loadThresholds
+};
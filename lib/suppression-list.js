@@ -0,0 +1,220 @@
+// /lib/suppression-list.js - Indirizzi a cui non si invia più nulla (disiscrizioni, bounce, esclusioni manuali)
+// Consultata prima di ogni invio; i link di disiscrizione sono firmati, così nessuno può disiscrivere altri
+
+import crypto from 'crypto';
+import { reportStore } from './report-store.js';
+
+const adapter = reportStore.adapter;
+const keys = {
+  // Una chiave per indirizzo + set degli indirizzi: due soppressioni simultanee non si sovrascrivono
+  entry: (email) => reportStore.key("suppressions", "email", email),
+  index: reportStore.key("suppressions", "emails"),
+  // Lista unica delle versioni precedenti, migrata alla prima lettura
+  legacy: reportStore.key("suppressions")
+};
+
+const SUPPRESSION_REASONS = ["unsubscribe", "bounce", "complaint", "manual"];
+
+// Segnaposto nell'email (HTML e testo), sostituito con il link personale di ogni destinatario
+const UNSUBSCRIBE_PLACEHOLDER = "%UNSUBSCRIBE_URL%";
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+function invalid(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// ========================================
+// LINK FIRMATI
+// ========================================
+
+function getUnsubscribeSecret() {
+  return process.env.UNSUBSCRIBE_SECRET || process.env.CRON_SECRET || null;
+}
+
+// Il token non scade: anche il link di un'email vecchia deve funzionare
+function createUnsubscribeToken(email) {
+  return crypto.createHmac('sha256', getUnsubscribeSecret())
+    .update(normalizeEmail(email))
+    .digest('base64url');
+}
+
+function verifyUnsubscribeToken(email, token) {
+  if (!getUnsubscribeSecret() || !token) return false;
+  const expected = Buffer.from(createUnsubscribeToken(email));
+  const received = Buffer.from(String(token));
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Link di disiscrizione personale (GET = pagina di conferma, POST = one-click RFC 8058)
+ * @param {string} baseUrl
+ * @param {string} email
+ * @returns {string|null} null senza UNSUBSCRIBE_SECRET / CRON_SECRET
+ */
+function buildUnsubscribeUrl(baseUrl, email) {
+  if (!getUnsubscribeSecret()) return null;
+  const params = new URLSearchParams({ email: normalizeEmail(email), token: createUnsubscribeToken(email) });
+  return `${baseUrl}/api/unsubscribe?${params}`;
+}
+
+// Gmail e Yahoo mostrano "Annulla iscrizione" e fanno il POST direttamente
+function getUnsubscribeHeaders(url) {
+  return {
+    'List-Unsubscribe': `<${url}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+// ========================================
+// STORAGE
+// ========================================
+
+let legacyMigration = null;
+
+/**
+ * Sposta la lista unica delle versioni precedenti sulle chiavi per indirizzo
+ * setIfAbsent: una soppressione già scritta per indirizzo è più recente e resta
+ */
+async function migrateLegacyEntries() {
+  const legacy = await adapter.get(keys.legacy);
+  if (legacy?.entries?.length) {
+    await Promise.all(legacy.entries.map(entry => adapter.setIfAbsent(keys.entry(entry.email), entry)));
+    await adapter.addToSet(keys.index, legacy.entries.map(entry => entry.email));
+    console.log(`📦 Migrated ${legacy.entries.length} suppressions to per-address keys`);
+  }
+  if (legacy) await adapter.delete(keys.legacy);
+}
+
+// Una sola migrazione per istanza, condivisa dalle chiamate concorrenti; se fallisce si riprova
+function migrateLegacyList() {
+  legacyMigration ||= migrateLegacyEntries().catch(err => {
+    legacyMigration = null;
+    throw err;
+  });
+  return legacyMigration;
+}
+
+/**
+ * Lista completa
+ * Se lo store non risponde la lista risulta vuota: meglio un'email di troppo che nessun report
+ * @returns {Promise<{updatedAt: string|null, entries: object[]}>}
+ */
+async function loadSuppressions() {
+  try {
+    await migrateLegacyList();
+    const emails = await adapter.getSet(keys.index);
+    const entries = (await adapter.getMany(emails.map(keys.entry)))
+      .filter(Boolean)
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    const updatedAt = entries.reduce((latest, e) => (!latest || e.updatedAt > latest ? e.updatedAt : latest), null);
+    return { updatedAt, entries };
+  } catch (err) {
+    console.warn("⚠️ Suppression list read failed:", err.message);
+  }
+  return { updatedAt: null, entries: [] };
+}
+
+async function getSuppression(email) {
+  await migrateLegacyList();
+  return (await adapter.get(keys.entry(normalizeEmail(email)))) || null;
+}
+
+/**
+ * Separa gli indirizzi inviabili da quelli soppressi
+ * @param {string[]} emails
+ * @returns {Promise<{allowed: string[], suppressed: Array<{email: string, reason: string}>}>}
+ */
+async function filterSuppressed(emails) {
+  let entries = [];
+  try {
+    await migrateLegacyList();
+    entries = await adapter.getMany(emails.map(email => keys.entry(normalizeEmail(email))));
+  } catch (err) {
+    console.warn("⚠️ Suppression list read failed:", err.message);
+  }
+
+  const allowed = [];
+  const suppressed = [];
+  for (const [i, email] of emails.entries()) {
+    const entry = entries[i];
+    if (entry) suppressed.push({ email: entry.email, reason: entry.reason });
+    else allowed.push(email);
+  }
+
+  if (suppressed.length) {
+    console.log(`🚫 Esclusi ${suppressed.length} destinatari soppressi: ${suppressed.map(s => `${s.email} (${s.reason})`).join(', ')}`);
+  }
+  return { allowed, suppressed };
+}
+
+/**
+ * Aggiunge o aggiorna un indirizzo (createdAt resta quello della prima soppressione)
+ * @param {string} email
+ * @param {object} options
+ * @param {string} options.reason - Una di SUPPRESSION_REASONS
+ * @param {string} [options.source] - Chi l'ha soppresso (link, one-click, api, webhook...)
+ * @param {string} [options.note]
+ * @returns {Promise<object>} Voce salvata
+ */
+async function suppressEmail(email, { reason = "manual", source = "api", note = null } = {}) {
+  const target = normalizeEmail(email);
+  if (!EMAIL_RE.test(target)) throw invalid(`Email non valida: ${email ?? ""}`);
+  if (!SUPPRESSION_REASONS.includes(reason)) {
+    throw invalid(`Motivo non valido: ${reason} (valori ammessi: ${SUPPRESSION_REASONS.join(", ")})`);
+  }
+
+  await migrateLegacyList();
+  const existing = await adapter.get(keys.entry(target));
+  const now = new Date().toISOString();
+  const entry = {
+    email: target,
+    reason,
+    source,
+    note: note ? String(note) : existing?.note || null,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+
+  await adapter.set(keys.entry(target), entry);
+  await adapter.addToSet(keys.index, [target]);
+  return entry;
+}
+
+/**
+ * Riattiva un indirizzo
+ * @param {string} email
+ * @returns {Promise<boolean>} false se non era soppresso
+ */
+async function removeSuppression(email) {
+  await migrateLegacyList();
+  const target = normalizeEmail(email);
+  if (!await adapter.get(keys.entry(target))) return false;
+
+  await adapter.delete(keys.entry(target));
+  await adapter.removeFromSet(keys.index, [target]);
+  return true;
+}
+
+// ========================================
+// EXPORTS
+// ========================================
+
+export {
+  SUPPRESSION_REASONS,
+  UNSUBSCRIBE_PLACEHOLDER,
+  getUnsubscribeSecret,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  buildUnsubscribeUrl,
+  getUnsubscribeHeaders,
+  loadSuppressions,
+  getSuppression,
+  filterSuppressed,
+  suppressEmail,
+  removeSuppression
+};
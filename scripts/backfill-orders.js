@@ -0,0 +1,30 @@
+// /scripts/backfill-orders.js - Backfill del warehouse ordini da riga di comando
+// Uso: node scripts/backfill-orders.js 2025-01-01
+// Le variabili (SHOPIFY_*, REPORT_STORE, KV_*) devono puntare allo stesso store usato in produzione
+
+import { backfillOrders, syncOrders, getSyncStatus } from '../lib/order-warehouse.js';
+
+const from = process.argv[2];
+
+if (!/^\d{4}-\d{2}-\d{2}$/.test(from || "")) {
+  console.error("Uso: node scripts/backfill-orders.js yyyy-MM-dd");
+  process.exit(1);
+}
+
+try {
+  console.log(`📥 Backfill ordini dal ${from}...`);
+  const result = await backfillOrders(from);
+
+  if (result.skipped) {
+    console.log(`⏭️  Backfill saltato: ${result.reason}`);
+  } else {
+    console.log(`✅ Backfill completato: ${result.fetched} ordini`);
+  }
+
+  // Allinea subito gli ordini aggiornati durante il backfill
+  await syncOrders({ deadline: Infinity });
+  console.log(JSON.stringify(await getSyncStatus(), null, 2));
+} catch (err) {
+  console.error("❌ Backfill error:", err.message);
+  process.exit(1);
+}
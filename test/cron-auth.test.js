@@ -0,0 +1,26 @@
+// /test/cron-auth.test.js - CRON_SECRET mancante o sbagliato non autorizza
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { isCronAuthorized } from '../lib/cron-auth.js';
+
+const request = (authorization) => ({ headers: authorization ? { authorization } : {} });
+
+afterEach(() => {
+  delete process.env.CRON_SECRET;
+});
+
+test('senza CRON_SECRET si rifiuta anche "Bearer undefined"', () => {
+  delete process.env.CRON_SECRET;
+  assert.equal(isCronAuthorized(request('Bearer undefined')), false);
+  assert.equal(isCronAuthorized(request('Bearer ')), false);
+  assert.equal(isCronAuthorized(request()), false);
+});
+
+test('con CRON_SECRET passa solo il bearer esatto', () => {
+  process.env.CRON_SECRET = 's3cret';
+  assert.equal(isCronAuthorized(request('Bearer s3cret')), true);
+  assert.equal(isCronAuthorized(request('Bearer s3cre')), false);
+  assert.equal(isCronAuthorized(request('Bearer undefined')), false);
+  assert.equal(isCronAuthorized(request()), false);
+});
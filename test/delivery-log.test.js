@@ -0,0 +1,52 @@
+// /test/delivery-log.test.js - Invii ed eventi registrati nello stesso istante non si perdono
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.REPORT_STORE = 'memory';
+
+const { recordMessage, recordSend, recordEvent, listSends, getMessage, getRecipientStatus } = await import('../lib/delivery-log.js');
+
+test('invii paralleli restano tutti nell\'indice', async () => {
+  const sendIds = Array.from({ length: 10 }, (_, i) => `daily-${i}`);
+  await Promise.all(sendIds.map((sendId, i) => recordSend({
+    sendId,
+    period: 'daily',
+    source: 'registry',
+    messageIds: [`<msg-${i}@mg.example.com>`],
+    recipients: [`r${i}@example.com`]
+  })));
+
+  const sends = await listSends(200);
+  assert.deepEqual(sends.map(s => s.sendId).sort(), [...sendIds].sort());
+});
+
+test('eventi simultanei dello stesso messaggio: nessuno perso, vince lo stato più avanzato', async () => {
+  await recordMessage({ messageId: '<shared@mg.example.com>', provider: 'mailgun', sendId: 'weekly-1', to: ['Compras@Example.com'], subject: 'Reporte', period: 'weekly' });
+
+  const at = (s) => `2026-10-19T10:00:0${s}.000Z`;
+  await Promise.all([
+    recordEvent({ messageId: 'shared@mg.example.com', recipient: 'compras@example.com', status: 'delivered', at: at(1), eventId: 'e1' }),
+    recordEvent({ messageId: 'shared@mg.example.com', recipient: 'compras@example.com', status: 'opened', at: at(2), eventId: 'e2' }),
+    recordEvent({ messageId: 'shared@mg.example.com', recipient: 'compras@example.com', status: 'opened', at: at(3), eventId: 'e3' })
+  ]);
+
+  const message = await getMessage('<shared@mg.example.com>');
+  const entry = message.recipients['compras@example.com'];
+  assert.equal(message.sendId, 'weekly-1');
+  assert.equal(entry.status, 'opened');
+  assert.deepEqual(entry.events.map(e => e.eventId), ['e1', 'e2', 'e3']);
+
+  const status = await getRecipientStatus('compras@example.com');
+  assert.deepEqual(status.counts, { delivered: 1, opened: 2 });
+  assert.equal(status.messages[0].messageId, 'shared@mg.example.com');
+});
+
+test('evento prima dell\'invio registrato: il messaggio lo conserva', async () => {
+  await recordEvent({ messageId: 'early@mg.example.com', recipient: 'a@example.com', status: 'delivered', at: '2026-10-19T09:00:00.000Z', eventId: 'x1' });
+  await recordMessage({ messageId: '<early@mg.example.com>', provider: 'mailgun', sendId: 'daily-x', to: ['a@example.com'], subject: 'Reporte', period: 'daily' });
+
+  const message = await getMessage('early@mg.example.com');
+  assert.equal(message.recipients['a@example.com'].status, 'delivered');
+  assert.equal(message.sendId, 'daily-x');
+});
@@ -0,0 +1,61 @@
+// /test/mailgun-webhook.test.js - Firme scadute, token riusati ed eventi duplicati
+// Store in memoria: ogni test usa token ed ID evento propri
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+process.env.REPORT_STORE = 'memory';
+process.env.MAILGUN_WEBHOOK_SIGNING_KEY = 'signing-key';
+
+const { default: handler } = await import('../api/webhooks/mailgun.js');
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+function sign(timestamp = nowSeconds(), token = crypto.randomBytes(16).toString('hex')) {
+  const signature = crypto.createHmac('sha256', process.env.MAILGUN_WEBHOOK_SIGNING_KEY)
+    .update(`${timestamp}${token}`)
+    .digest('hex');
+  return { timestamp: String(timestamp), token, signature };
+}
+
+const event = (id) => ({
+  id,
+  event: 'delivered',
+  recipient: 'cliente@example.com',
+  timestamp: nowSeconds(),
+  message: { headers: { 'message-id': `msg-${id}` } }
+});
+
+async function post(signature, data) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await handler({ method: 'POST', headers: {}, body: { signature, 'event-data': data } }, res);
+  return res;
+}
+
+test('firma con timestamp fuori finestra rifiutata', async () => {
+  assert.equal((await post(sign(nowSeconds() - 10 * 60), event('stale'))).statusCode, 401);
+  assert.equal((await post(sign(nowSeconds() + 10 * 60), event('future'))).statusCode, 401);
+});
+
+test('la stessa firma non si può ripresentare', async () => {
+  const signature = sign();
+  const first = await post(signature, event('replay'));
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.body.status, 'delivered');
+
+  const replay = await post(signature, event('replay-2'));
+  assert.equal(replay.statusCode, 401);
+});
+
+test('consegne simultanee dello stesso evento: una sola elaborata', async () => {
+  const results = await Promise.all(Array.from({ length: 5 }, () => post(sign(), event('concurrent'))));
+
+  assert.ok(results.every(r => r.statusCode === 200));
+  assert.equal(results.filter(r => !r.body.duplicate).length, 1);
+});
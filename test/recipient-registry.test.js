@@ -0,0 +1,27 @@
+// /test/recipient-registry.test.js - Un errore di lettura dello store non sovrascrive il registro
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.REPORT_STORE = 'memory';
+process.env.SALES_REPORT_RECIPIENTS = 'legacy@example.com';
+
+const { reportStore } = await import('../lib/report-store.js');
+const { saveRecipients, removeRecipient, listRecipients } = await import('../lib/recipient-registry.js');
+
+test('POST e DELETE falliscono se lo store non risponde, senza tornare alla lista env', async () => {
+  await saveRecipients([{ email: 'compras@example.com', sections: 'purchasing', periods: ['weekly'] }]);
+  const before = await listRecipients();
+
+  const get = reportStore.adapter.get;
+  reportStore.adapter.get = async () => { throw new Error('store down'); };
+  try {
+    await assert.rejects(saveRecipients([{ email: 'nuovo@example.com' }]), /store down/);
+    await assert.rejects(removeRecipient('compras@example.com'), /store down/);
+  } finally {
+    reportStore.adapter.get = get;
+  }
+
+  assert.deepEqual(await listRecipients(), before);
+  assert.deepEqual(before.map(r => r.email), ['legacy@example.com', 'compras@example.com']);
+});
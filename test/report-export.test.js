@@ -0,0 +1,33 @@
+// /test/report-export.test.js - Export CSV: celle di testo che sembrano formule
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tableToCSV } from '../lib/report-export.js';
+
+const table = {
+  columns: [
+    { header: 'SKU', value: r => r.sku },
+    { header: 'Utilidad', type: 'money', value: r => r.profit }
+  ],
+  rows: [
+    { sku: '=HYPERLINK("http://x")', profit: -5 },
+    { sku: '+1', profit: '-3.5' },
+    { sku: '-A1', profit: 0 },
+    { sku: '@SUM(A1)', profit: 2 },
+    { sku: 'CAM-001', profit: 1 }
+  ]
+};
+
+test('il CSV neutralizza le formule solo nelle colonne di testo', () => {
+  const lines = tableToCSV(table).replace(/^\uFEFF/, '').split('\r\n');
+
+  assert.deepEqual(lines, [
+    'SKU,Utilidad',
+    `"'=HYPERLINK(""http://x"")",-5`,
+    "'+1,-3.5",
+    "'-A1,0",
+    "'@SUM(A1),2",
+    'CAM-001,1',
+    ''
+  ]);
+});
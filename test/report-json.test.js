@@ -0,0 +1,67 @@
+// /test/report-json.test.js - Il report format=json rispetta schemas/sales-report.v1.schema.json
+// La fixture ha la forma di uno snapshot salvato nello store (date come stringhe ISO)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { DateTime } from 'luxon';
+
+process.env.SHOPIFY_SHOP = 'test.myshopify.com';
+process.env.SHOPIFY_ADMIN_TOKEN = 'test';
+process.env.REPORT_STORE = 'memory';
+
+const { buildReportJson } = await import('../api/sales-report.js');
+const { validateReportJson, REPORT_SCHEMA_VERSION } = await import('../lib/report-schema.js');
+
+const fixture = JSON.parse(readFileSync(new URL('./fixtures/report-data.json', import.meta.url), 'utf8'));
+const tz = fixture.tz;
+const range = {
+  period: 'monthly',
+  start: DateTime.fromISO('2026-09-01T00:00:00', { zone: tz }),
+  end: DateTime.fromISO('2026-09-30T23:59:59.999', { zone: tz })
+};
+
+// Copia indipendente per ogni test: i casi negativi modificano il report
+const buildReport = () => JSON.parse(JSON.stringify(buildReportJson(structuredClone(fixture), range)));
+
+test('il report costruito dalla fixture è valido', () => {
+  const report = buildReport();
+  const validation = validateReportJson(report);
+
+  assert.deepEqual(validation, { valid: true, errors: [] });
+  assert.equal(report.schemaVersion, REPORT_SCHEMA_VERSION);
+  assert.equal(report.report.location.name, 'Centro');
+  assert.equal(report.products.length, 2);
+  assert.equal(report.reorder[1].coverageDays, null);
+  assert.equal(report.deadStock.items[0].bucket, '90');
+});
+
+test('il report senza sezioni opzionali è valido', () => {
+  const report = JSON.parse(JSON.stringify(buildReportJson({
+    ...structuredClone(fixture),
+    location: null,
+    netSales: null,
+    comparison: null
+  }, range)));
+
+  assert.deepEqual(validateReportJson(report), { valid: true, errors: [] });
+});
+
+test('lo schema rifiuta report non conformi', () => {
+  const cases = [
+    [(r) => { delete r.summary; }, '$.summary: mancante'],
+    [(r) => { r.schemaVersion = '2.0'; }, '$.schemaVersion: atteso "1.0"'],
+    [(r) => { r.products[0].soldQty = '3'; }, '$.products[0].soldQty: atteso number, trovato string'],
+    [(r) => { r.reorder[0].urgency = 'low'; }, '$.reorder[0].urgency: valore "low" non ammesso'],
+    [(r) => { r.summary.totalOrders = 2.5; }, '$.summary.totalOrders: atteso integer, trovato number'],
+    [(r) => { r.deadStock.incomplete = 'no'; }, '$.deadStock.incomplete: atteso boolean, trovato string']
+  ];
+
+  for (const [mutate, expected] of cases) {
+    const report = buildReport();
+    mutate(report);
+    const validation = validateReportJson(report);
+    assert.equal(validation.valid, false, expected);
+    assert.ok(validation.errors.includes(expected), `${expected} non in ${JSON.stringify(validation.errors)}`);
+  }
+});
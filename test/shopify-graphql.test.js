@@ -0,0 +1,224 @@
+// /test/shopify-graphql.test.js - Costo delle query paginate degli ordini
+// Shopify finto: calcola il requestedQueryCost con le regole documentate e risponde
+// MAX_COST_EXCEEDED oltre 1000 punti, come l'API reale
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SHOPIFY_SHOP = 'test.myshopify.com';
+process.env.SHOPIFY_ADMIN_TOKEN = 'test';
+
+const { fetchOrdersGraphQL, setBulkDeadline } = await import('../lib/shopify-graphql.js');
+
+const MAX_QUERY_COST = 1000;
+
+// ========================================
+// CALCOLO COSTO (regole Shopify)
+// ========================================
+
+/**
+ * Albero dei campi di una query: { name, first, children }
+ * Basta per le query di lib/shopify-graphql.js (niente alias né frammenti con nome);
+ * nel costo contano solo le variabili numeriche (first)
+ */
+function parseSelection(source, variables) {
+  const tokens = source
+    .replace(/\$(\w+)/g, (_, name) => typeof variables[name] === 'number' ? variables[name] : 'null')
+    .match(/\.\.\.|\w+|\([^)]*\)|[{}]/g);
+  let pos;
+
+  function selectionSet() {
+    const fields = [];
+    pos++; // {
+    while (tokens[pos] !== '}') {
+      if (tokens[pos] === '...') {
+        pos += 3; // ... on Tipo
+        fields.push({ name: 'fragment', fragment: true, children: selectionSet() });
+        continue;
+      }
+      const field = { name: tokens[pos++], first: null, children: [] };
+      if (tokens[pos]?.startsWith('(')) {
+        const match = tokens[pos++].match(/first:\s*(\d+)/);
+        if (match) field.first = Number(match[1]);
+      }
+      if (tokens[pos] === '{') field.children = selectionSet();
+      fields.push(field);
+    }
+    pos++; // }
+    return fields;
+  }
+
+  pos = tokens.indexOf('{');
+  return selectionSet();
+}
+
+// Oggetto = 1, scalare = 0, connessione (o lista con first) = 2 + first × costo del nodo
+function fieldCost(field) {
+  if (!field.children.length) return 0;
+  const childrenCost = field.children.reduce((sum, child) => sum + fieldCost(child), 0);
+  if (field.fragment) return childrenCost;
+  if (field.first != null) {
+    // Connessione (nodes/edges) o lista di oggetti con first
+    const nodes = field.children.find(c => c.name === 'nodes' || c.name === 'edges');
+    return 2 + field.first * (nodes ? fieldCost(nodes) : 1 + childrenCost);
+  }
+  if (field.name === 'pageInfo') return 0;
+  if (field.name === 'edges') return childrenCost;
+  return 1 + childrenCost;
+}
+
+function requestedQueryCost(query, variables) {
+  return parseSelection(query, variables).reduce((sum, field) => sum + fieldCost(field), 0);
+}
+
+// ========================================
+// SHOPIFY FINTO
+// ========================================
+
+const money = (amount) => ({ shopMoney: { amount: String(amount) } });
+
+function makeOrder(id, lineItemCount) {
+  return {
+    id: `gid://shopify/Order/${id}`,
+    legacyResourceId: String(id),
+    name: `#${id}`,
+    createdAt: '2025-01-10T10:00:00Z',
+    updatedAt: '2025-01-10T10:00:00Z',
+    cancelledAt: null,
+    displayFinancialStatus: 'PAID',
+    taxesIncluded: true,
+    paymentGatewayNames: ['manual'],
+    sourceName: 'pos',
+    retailLocation: { id: 'gid://shopify/Location/1' },
+    totalPriceSet: money(10 * lineItemCount),
+    subtotalPriceSet: money(10 * lineItemCount),
+    totalTaxSet: money(0),
+    totalDiscountsSet: money(0),
+    lineItems: Array.from({ length: lineItemCount }, (_, i) => ({
+      name: `Item ${i}`,
+      title: `Item ${i}`,
+      variantTitle: null,
+      sku: `SKU-${i}`,
+      quantity: 1,
+      originalUnitPriceSet: money(10),
+      variant: { legacyResourceId: String(1000 + i), inventoryItem: { legacyResourceId: String(2000 + i) } },
+      product: { legacyResourceId: String(3000 + i) }
+    }))
+  };
+}
+
+function page(items, first, after) {
+  const start = after ? Number(after) : 0;
+  const nodes = items.slice(start, start + first);
+  const end = start + nodes.length;
+  return { nodes, pageInfo: { hasNextPage: end < items.length, endCursor: String(end) } };
+}
+
+let orders;
+let requests;
+// Moltiplicatore per simulare uno Shopify che conta più della stima nel codice
+let costFactor;
+
+function respond(body) {
+  return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+globalThis.fetch = async (url, options) => {
+  const { query, variables } = JSON.parse(options.body);
+  const requested = Math.ceil(requestedQueryCost(query, variables) * costFactor);
+  const operation = query.match(/(?:query|mutation)\s+(\w+)/)[1];
+  requests.push({ operation, variables, requested });
+
+  const throttleStatus = { maximumAvailable: 1000, currentlyAvailable: 1000, restoreRate: 50 };
+  if (requested > MAX_QUERY_COST) {
+    return respond({
+      errors: [{ message: `Query cost is ${requested}, which exceeds the single query max cost limit (${MAX_QUERY_COST}).`, extensions: { code: 'MAX_COST_EXCEEDED', cost: requested, maxCost: MAX_QUERY_COST } }],
+      extensions: { cost: { requestedQueryCost: requested, actualQueryCost: null, throttleStatus } }
+    });
+  }
+
+  const cost = { requestedQueryCost: requested, actualQueryCost: requested, throttleStatus };
+  // Bulk operation che non finisce mai: conta solo la scadenza
+  if (operation === 'runBulk') {
+    return respond({ data: { bulkOperationRunQuery: { bulkOperation: { id: 'gid://shopify/BulkOperation/1', status: 'CREATED' }, userErrors: [] } }, extensions: { cost } });
+  }
+  if (operation === 'bulkStatus') {
+    return respond({ data: { node: { status: 'RUNNING', errorCode: null, objectCount: '0', url: null } }, extensions: { cost } });
+  }
+  if (operation === 'cancelBulk') {
+    return respond({ data: { bulkOperationCancel: { userErrors: [] } }, extensions: { cost } });
+  }
+  if (operation === 'countOrders') {
+    return respond({ data: { ordersCount: { count: orders.length } }, extensions: { cost } });
+  }
+  if (operation === 'orderLineItems') {
+    const order = orders.find(o => o.id === variables.id);
+    const first = Number(query.match(/lineItems\(first:\s*(\d+)/)[1]);
+    return respond({ data: { order: { lineItems: page(order.lineItems, first, variables.after) } }, extensions: { cost } });
+  }
+
+  const lineItemsFirst = Number(query.match(/lineItems\(first:\s*(\d+)/)[1]);
+  const connection = page(orders, variables.first, variables.after);
+  connection.nodes = connection.nodes.map(order => ({
+    ...order,
+    lineItems: page(order.lineItems, lineItemsFirst, null),
+    discountApplications: { nodes: [] },
+    shippingLines: { nodes: [] }
+  }));
+  return respond({ data: { orders: connection }, extensions: { cost } });
+};
+
+beforeEach(() => {
+  setBulkDeadline(null);
+  requests = [];
+  costFactor = 1;
+  orders = Array.from({ length: 10 }, (_, i) => makeOrder(i + 1, i === 2 ? 260 : 3));
+});
+
+// ========================================
+// TEST
+// ========================================
+
+test('le pagine di ordini e di line item restano sotto il costo massimo', async () => {
+  const result = await fetchOrdersGraphQL('2025-01-01T00:00:00Z', '2025-01-31T23:59:59Z');
+
+  assert.equal(result.length, 10);
+  assert.equal(result[2].line_items.length, 260);
+  assert.ok(requests.every(r => r.requested <= MAX_QUERY_COST), JSON.stringify(requests.map(r => r.requested)));
+
+  const pages = requests.filter(r => r.operation === 'ordersPage');
+  assert.equal(pages[0].requested, 2 + 4 * 227);
+  assert.equal(pages.length, 3);
+
+  const followUps = requests.filter(r => r.operation === 'orderLineItems');
+  assert.equal(followUps[0].requested, 1 + 2 + 100 * 6);
+  assert.equal(followUps.length, 3);
+});
+
+test('MAX_COST_EXCEEDED riduce la pagina invece di fallire', async () => {
+  costFactor = 1.5;
+  const result = await fetchOrdersGraphQL('2025-01-01T00:00:00Z', '2025-01-31T23:59:59Z');
+
+  assert.equal(result.length, 10);
+  const pages = requests.filter(r => r.operation === 'ordersPage');
+  assert.equal(pages[0].variables.first, 4);
+  assert.ok(pages[0].requested > MAX_QUERY_COST);
+  assert.ok(pages.slice(1).every(r => r.requested <= MAX_QUERY_COST && r.variables.first < 4));
+  assert.deepEqual(result.map(o => o.id), orders.map(o => Number(o.legacyResourceId)));
+});
+
+test('le bulk operation rispettano la scadenza comune della richiesta', async () => {
+  orders = Array.from({ length: 300 }, (_, i) => makeOrder(i + 1, 1));
+
+  // Scadenza già passata: nessuna bulk operation avviata
+  setBulkDeadline(Date.now() - 1);
+  await assert.rejects(fetchOrdersGraphQL('2025-01-01T00:00:00Z', '2025-06-30T23:59:59Z'), /tempo della richiesta esaurito/);
+  assert.ok(!requests.some(r => r.operation === 'runBulk'));
+
+  // Scadenza vicina: si annulla lì, non dopo GRAPHQL_BULK_TIMEOUT_MS
+  const startedAt = Date.now();
+  setBulkDeadline(startedAt + 2500);
+  await assert.rejects(fetchOrdersGraphQL('2025-01-01T00:00:00Z', '2025-06-30T23:59:59Z'), /Bulk operation timeout/);
+  assert.ok(Date.now() - startedAt < 5000);
+  assert.equal(requests.filter(r => r.operation === 'cancelBulk').length, 1);
+});